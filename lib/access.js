@@ -0,0 +1,141 @@
+// Room visibility and access:
+// - public: listed, anyone can view + upload
+// - unlisted: not listed, anyone with the link can view + upload
+// - private: not listed; needs the room passphrase or a signed invite link
+// Passphrases and invites hand out a "grant" in a signed per-room cookie,
+// named after an id kept in the room's access settings, so grants (like
+// invite links) keep working when the room is renamed.
+// Invite grants are re-checked against the invite list, so revoking works.
+
+import crypto from "crypto";
+import { hashPassword, verifyPassword } from "./auth.js";
+
+export const VISIBILITIES = ["public", "unlisted", "private"];
+export const PERMS = ["view", "upload"];
+
+const PASSPHRASE_GRANT_MS = 30 * 24 * 60 * 60 * 1000;
+
+const permRank = (perm) => PERMS.indexOf(perm) + 1; // none=0, view=1, upload=2
+
+export const createAccess = ({ store, secret, isAdmin }) => {
+  const settings = (room) => store.data.rooms[room]?.access || { visibility: "public", invites: [] };
+  const cookieName = (room) => `room_${settings(room).id}`;
+  const newId = () => crypto.randomBytes(8).toString("hex");
+  const sign = (...parts) => crypto.createHmac("sha256", secret).update(parts.join("|")).digest("base64url");
+  // Changing the passphrase invalidates grants made with the old one.
+  const passVersion = (hash) => (hash ? crypto.createHash("sha256").update(hash).digest("hex").slice(0, 8) : "");
+
+  const update = (room, fn) =>
+    store.update((d) => {
+      const entry = (d.rooms[room] ||= {});
+      entry.access ||= { visibility: "public", invites: [] };
+      entry.access.id ||= newId();
+      return fn(entry.access);
+    });
+
+  // Settings saved before they had an id get one
+  if (Object.values(store.data.rooms).some((r) => r.access && !r.access.id)) {
+    store.update((d) => {
+      for (const r of Object.values(d.rooms)) if (r.access) r.access.id ||= newId();
+    });
+  }
+
+  const isListed = (room) => settings(room).visibility === "public";
+
+  // "none" | "view" | "upload"
+  const permission = (req, room) => {
+    if (isAdmin(req)) return "upload";
+    const s = settings(room);
+    if (s.visibility !== "private") return "upload";
+    const grant = req.signedCookies?.[cookieName(room)];
+    if (!grant || typeof grant !== "object" || grant.exp <= Date.now()) return "none";
+    if (grant.via === "pass") return grant.v && grant.v === passVersion(s.passphrase) ? "upload" : "none";
+    const invite = s.invites.find((i) => i.id === grant.via);
+    if (!invite || invite.expiresAt <= Date.now()) return "none";
+    return invite.perm;
+  };
+
+  const can = (req, room, perm) => permRank(permission(req, room)) >= permRank(perm);
+
+  const setGrant = (req, res, room, grant) => {
+    res.cookie(cookieName(room), grant, {
+      signed: true,
+      httpOnly: true,
+      sameSite: "lax",
+      secure: req.secure,
+      expires: new Date(grant.exp),
+      path: "/",
+    });
+  };
+
+  const unlock = (req, res, room, passphrase) => {
+    const s = settings(room);
+    if (!s.passphrase || !verifyPassword(passphrase, s.passphrase)) return false;
+    setGrant(req, res, room, { via: "pass", v: passVersion(s.passphrase), exp: Date.now() + PASSPHRASE_GRANT_MS });
+    return true;
+  };
+
+  const inviteToken = (room, invite) => {
+    const body = `${invite.id}.${invite.expiresAt}.${invite.perm}`;
+    return `${body}.${sign(room, body)}`;
+  };
+
+  // Verifies the link signature, that it hasn't expired and wasn't revoked.
+  const redeem = (req, res, room, token) => {
+    const [id, exp, perm, sig] = String(token || "").split(".");
+    const signedAs = [room, ...(store.data.rooms[room]?.formerNames || [])];
+    const valid = signedAs.some((name) => {
+      const expected = sign(name, `${id}.${exp}.${perm}`);
+      return sig && sig.length === expected.length && crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected));
+    });
+    if (!valid) return false;
+    const invite = settings(room).invites.find((i) => i.id === id);
+    if (!invite || invite.expiresAt <= Date.now()) return false;
+    setGrant(req, res, room, { via: invite.id, exp: invite.expiresAt });
+    return true;
+  };
+
+  const setVisibility = (room, visibility) =>
+    update(room, (a) => {
+      if (VISIBILITIES.includes(visibility)) a.visibility = visibility;
+    });
+
+  // Empty passphrase clears it.
+  const setPassphrase = (room, passphrase) =>
+    update(room, (a) => {
+      if (passphrase) a.passphrase = hashPassword(passphrase);
+      else delete a.passphrase;
+    });
+
+  const createInvite = (room, { perm, ttlMs, createdBy }) =>
+    update(room, (a) => {
+      const invite = {
+        id: crypto.randomBytes(6).toString("hex"),
+        perm: PERMS.includes(perm) ? perm : "view",
+        expiresAt: Date.now() + ttlMs,
+        createdBy,
+        createdAt: new Date().toISOString(),
+      };
+      a.invites = a.invites.filter((i) => i.expiresAt > Date.now()).concat(invite);
+      return invite;
+    });
+
+  const revokeInvite = (room, id) =>
+    update(room, (a) => {
+      a.invites = a.invites.filter((i) => i.id !== id);
+    });
+
+  return {
+    settings,
+    isListed,
+    permission,
+    can,
+    unlock,
+    inviteToken,
+    redeem,
+    setVisibility,
+    setPassphrase,
+    createInvite,
+    revokeInvite,
+  };
+};
@@ -0,0 +1,109 @@
+// Age gate: visitors confirm their age before they get a room's content (room
+// pages, files, thumbnails, ZIPs, live updates). A confirmation is a signed
+// consent token in the `age_consent` cookie, holding the confirmed age, its
+// scope and an expiry, so it can't be made up or stretched. Modes:
+// - visit: for one room, for ttlHours (default 1); other rooms ask again
+// - session: for all rooms until the browser is closed (and at most ttlHours, default 24)
+// - token: for all rooms for ttlHours (default 720), across browser restarts
+// Rooms can turn the gate off, ask for a higher minimum age or show their own
+// text; unset room settings follow the defaults. With a consent log, every
+// confirmation is recorded with the token's id.
+
+import crypto from "crypto";
+
+export const AGE_GATE_MODES = ["visit", "session", "token"];
+const DEFAULT_TTL_HOURS = { visit: 1, session: 24, token: 720 };
+const COOKIE = "age_consent";
+
+// Defaults for every room; {age} in the text is replaced by the minimum age.
+// Without AGE_GATE_TEXT the text comes from the visitor's language.
+export const ageGateFromEnv = (env) => {
+  const mode = AGE_GATE_MODES.includes(env.AGE_GATE_MODE) ? env.AGE_GATE_MODE : "visit";
+  return {
+    enabled: env.AGE_GATE !== "0",
+    minAge: Number(env.AGE_GATE_MIN_AGE || 18),
+    text: env.AGE_GATE_TEXT || "",
+    mode,
+    ttlHours: Number(env.AGE_GATE_TTL_HOURS || DEFAULT_TTL_HOURS[mode]),
+  };
+};
+
+const safeEqual = (a, b) => {
+  const ab = Buffer.from(String(a || ""));
+  const bb = Buffer.from(String(b || ""));
+  return ab.length === bb.length && crypto.timingSafeEqual(ab, bb);
+};
+
+// store: the room settings store (null = the defaults apply everywhere);
+// log(req, consent): called for every confirmation, when given
+export const createAgeGate = ({ store = null, secret, defaults, log = null }) => {
+  const overrides = (room) => store?.data.rooms[room]?.ageGate || {};
+
+  // { enabled, minAge, text } for a room
+  const settings = (room) => {
+    const { enabled, minAge, text } = { ...defaults, ...overrides(room) };
+    return { enabled, minAge, text };
+  };
+
+  // The gate text with the room's minimum age filled in (plain text);
+  // fallback: the text to use when neither the room nor the defaults set one
+  const text = (room, fallback = "") => {
+    const s = settings(room);
+    return (s.text || fallback).replace(/\{age\}/g, String(s.minAge));
+  };
+
+  // Keys set to undefined fall back to the default again.
+  const set = (room, values) =>
+    store.update((d) => {
+      const entry = (d.rooms[room] ||= {});
+      entry.ageGate = Object.fromEntries(Object.entries(values).filter(([, v]) => v !== undefined));
+    });
+
+  const sign = (payload) => crypto.createHmac("sha256", secret).update(`age|${payload}`).digest("base64url");
+
+  // The visitor's consent { id, age, room ("*" = all rooms), exp }, or null
+  const consent = (req) => {
+    const [payload, sig] = String(req.cookies?.[COOKIE] || "").split(".");
+    if (!payload || !safeEqual(sig, sign(payload))) return null;
+    try {
+      const c = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+      return c.exp > Date.now() ? c : null;
+    } catch {
+      return null;
+    }
+  };
+
+  // Whether the visitor may see the room's content
+  const passes = (req, room) => {
+    const s = settings(room);
+    if (!s.enabled) return true;
+    const c = consent(req);
+    return Boolean(c) && c.age >= s.minAge && (c.room === "*" || c.room === room);
+  };
+
+  // The visitor confirmed they are old enough for `room`: hands out a new
+  // consent token (keeping a higher age confirmed before for all rooms)
+  const confirm = (req, res, room) => {
+    const { mode, ttlHours } = defaults;
+    const previous = consent(req);
+    const c = {
+      id: crypto.randomBytes(8).toString("hex"),
+      age: Math.max(settings(room).minAge, previous?.room === "*" ? previous.age : 0),
+      room: mode === "visit" ? room : "*",
+      exp: Date.now() + ttlHours * 60 * 60 * 1000,
+    };
+    const payload = Buffer.from(JSON.stringify(c)).toString("base64url");
+    res.cookie(COOKIE, `${payload}.${sign(payload)}`, {
+      httpOnly: true,
+      sameSite: "lax",
+      secure: req.secure,
+      path: "/",
+      // Session cookies go when the browser is closed
+      ...(mode !== "session" && { expires: new Date(c.exp) }),
+    });
+    log?.(req, { room, mode, age: c.age, scope: c.room, id: c.id, expiresAt: new Date(c.exp).toISOString() });
+    return c;
+  };
+
+  return { settings, text, set, passes, confirm, overrides };
+};
@@ -0,0 +1,171 @@
+// JSON API (/api/v1). Every error is `{ error: { code, message } }` with a
+// matching HTTP status. Admin operations need `Authorization: Bearer <token>`;
+// a token also grants access to unlisted/private rooms. Other callers get the
+// same room access as in the browser (admin session or room grant cookie).
+
+import fs from "fs";
+import express from "express";
+import multer from "multer";
+import { ROOM_NAME_RE, FILE_NAME_RE } from "./rooms.js";
+import { UploadRejectedError } from "./policy.js";
+import { expiresIn } from "./expiry.js";
+import { FILE_SORTS, FILE_KINDS } from "./library.js";
+
+const OPENAPI = JSON.parse(fs.readFileSync(new URL("./openapi.json", import.meta.url), "utf8"));
+
+export class ApiError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// describe(req, err): the message for an UploadRejectedError
+export const createApi = ({ library, trash, tokens, upload, access, audit, limits, moderation, expiry, files, describe = (req, err) => err.message }) => {
+  const router = express.Router();
+  router.use(express.json());
+
+  const roomJson = (r) => ({
+    name: r.name,
+    title: r.title,
+    description: r.description,
+    createdAt: r.createdAt,
+    createdBy: r.createdBy,
+    cover: r.cover,
+    expiresAt: r.expiresAt,
+  });
+
+  const fileJson = (room, f) => ({
+    name: f.name,
+    originalName: f.originalName,
+    note: f.note,
+    size: f.size,
+    mtime: new Date(f.mtimeMs).toISOString(),
+    uploadedAt: f.uploadedAt,
+    mime: f.mime,
+    sha256: f.sha256,
+    status: f.status,
+    expiresAt: f.expiresAt,
+    maxDownloads: f.maxDownloads,
+    downloads: f.downloads,
+    url: files.url(room, f.name),
+  });
+
+  // Sets req.apiToken when a valid bearer token is sent; never fails.
+  router.use((req, res, next) => {
+    const [scheme, token] = (req.get("authorization") || "").split(" ");
+    if (scheme === "Bearer") req.apiToken = tokens.verify(token);
+    next();
+  });
+
+  const requireToken = (req, res, next) => {
+    if (req.apiToken) return next();
+    res.set("WWW-Authenticate", 'Bearer realm="rooms"');
+    next(new ApiError(401, "unauthorized", "A valid bearer token is required"));
+  };
+
+  const requireRoomAccess = (perm) => (req, res, next) => {
+    if (req.apiToken || access.can(req, req.room, perm)) return next();
+    next(new ApiError(403, "forbidden", `You don't have ${perm} access to room "${req.room}"`));
+  };
+
+  // Resolves :room to an existing room or fails with 404.
+  router.param("room", (req, res, next, value) => {
+    const room = String(value).toLowerCase();
+    if (!library.exists(room)) return next(new ApiError(404, "room_not_found", `Room "${room}" does not exist`));
+    if (expiry.roomExpired(room)) return next(new ApiError(410, "room_expired", `Room "${room}" has expired`));
+    req.room = room;
+    next();
+  });
+
+  router.get("/openapi.json", (req, res) => res.json(OPENAPI));
+
+  router.get("/rooms", (req, res) => {
+    const list = library.listRooms().filter((r) => req.apiToken || access.isListed(r.name));
+    res.json({ rooms: list.map(roomJson) });
+  });
+
+  router.post("/rooms", requireToken, (req, res) => {
+    const name = String(req.body?.name || "").trim().toLowerCase();
+    if (!ROOM_NAME_RE.test(name)) {
+      throw new ApiError(400, "invalid_room_name", "Room names are 1-40 lowercase letters, numbers or dashes");
+    }
+    if (library.exists(name)) throw new ApiError(409, "room_exists", `Room "${name}" already exists`);
+    const { title, description, expiresInHours = 0 } = req.body;
+    if (!Number.isFinite(expiresInHours) || expiresInHours < 0) {
+      throw new ApiError(400, "invalid_expiry", "expiresInHours must be a number of hours (0 = never)");
+    }
+    const expiresAt = expiresIn(expiresInHours);
+    const room = library.createRoom(name, { title, description, expiresAt, createdBy: `token:${req.apiToken.name}` });
+    audit.log(req, "room.create", { room: name, ...(expiresAt && { expiresAt }) });
+    res.status(201).json({ room: roomJson(room) });
+  });
+
+  router.delete("/rooms/:room", requireToken, async (req, res, next) => {
+    try {
+      const item = await trash.trashRoom(req.room, { actor: `token:${req.apiToken.name}` });
+      audit.log(req, "room.delete", { room: req.room, files: item.files.length });
+      res.status(204).end();
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // ?sort=newest|oldest|size|name, ?type=image|video|audio|other, ?q=<search>, ?limit=&offset=
+  router.get("/rooms/:room/files", requireRoomAccess("view"), (req, res) => {
+    const { sort = "newest", type, q, limit, offset = 0 } = req.query;
+    if (!Object.hasOwn(FILE_SORTS, sort)) throw new ApiError(400, "invalid_query", `sort must be one of ${Object.keys(FILE_SORTS).join(", ")}`);
+    if (type !== undefined && !FILE_KINDS.includes(type)) throw new ApiError(400, "invalid_query", `type must be one of ${FILE_KINDS.join(", ")}`);
+    const [lim, off] = [Number(limit ?? Infinity), Number(offset)];
+    if (!(lim >= 1) || !Number.isInteger(off) || off < 0) throw new ApiError(400, "invalid_query", "limit must be at least 1 and offset a whole number");
+    // Files held for review are only listed for token holders
+    const all = Boolean(req.apiToken);
+    const { files, total } = library.queryFiles(req.room, {
+      sort,
+      kind: type,
+      q: typeof q === "string" ? q : "",
+      filter: (f) => (all || moderation.isPublished(f)) && !expiry.fileExpired(f),
+      offset: off,
+      limit: Math.floor(lim),
+    });
+    res.json({ files: files.map((f) => fileJson(req.room, f)), total });
+  });
+
+  router.post("/rooms/:room/files", requireRoomAccess("upload"), limits.guard(), upload.single("file"), (req, res) => {
+    if (!req.file) throw new ApiError(400, "file_required", 'Send the file as multipart field "file"');
+    const { filename, originalname, size, sha256, duplicate } = req.file;
+    audit.log(req, "file.upload", { room: req.room, file: filename, originalName: originalname, size, sha256, ...(duplicate && { duplicate }) });
+    const file = fileJson(req.room, library.getFile(req.room, filename));
+    // Same content already in the room (duplicates policy "link"): 200 with the existing file
+    if (duplicate) return res.json({ file, duplicate: true });
+    res.status(201).json({ file });
+  });
+
+  router.delete("/rooms/:room/files/:name", requireToken, async (req, res, next) => {
+    const { name } = req.params;
+    try {
+      const item = FILE_NAME_RE.test(name) && (await trash.trashFile(req.room, name, { actor: `token:${req.apiToken.name}` }));
+      if (!item) throw new ApiError(404, "file_not_found", `File "${name}" does not exist`);
+      audit.log(req, "file.delete", { room: req.room, file: name, originalName: item.files[0].record.originalName });
+      res.status(204).end();
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.use((req, res, next) => next(new ApiError(404, "not_found", "Unknown API endpoint")));
+
+  router.use((err, req, res, next) => {
+    if (err instanceof UploadRejectedError) err = new ApiError(err.status, err.code, describe(req, err));
+    else if (err instanceof multer.MulterError) err = new ApiError(400, "upload_error", err.message);
+    else if (err.type === "entity.parse.failed") err = new ApiError(400, "invalid_json", "Request body is not valid JSON");
+    else if (!(err instanceof ApiError)) {
+      console.error(err);
+      err = new ApiError(500, "internal_error", "Internal server error");
+    }
+    res.status(err.status).json({ error: { code: err.code, message: err.message } });
+  });
+
+  return router;
+};
@@ -0,0 +1,2078 @@
+// Rooms app with:
+// - Age gate in front of rooms and their files, with signed consent tokens (see lib/agegate.js). Admin skips the gate.
+// - Per-room uploads + gallery (no login for visitors)
+// - Admin login with hashed credentials + signed session cookie (see lib/auth.js)
+// - Room + file metadata (titles, descriptions, original names, notes; see lib/library.js)
+// - Thumbnails/previews for images, type-specific cards for other files (see lib/thumbs.js)
+// - Per-file delete (admin only)
+// - Per-room delete with confirmation (admin only); deletes go to the trash (see lib/trash.js)
+// - Admin dashboard with storage stats; file manager with bulk delete/move/copy and room rename
+// - Audit log of uploads and admin actions (see lib/audit.js)
+// - Signed outgoing webhooks for uploads and deletes, with a retry queue (see lib/webhooks.js)
+// - Upload rate limits and IP block/allow lists (see lib/limits.js)
+// - Expiring rooms, file lifetimes and download limits (see lib/expiry.js)
+// - File content on local disk or S3-compatible storage (see lib/storage.js)
+// - Room downloads as ZIP (see lib/zip.js), admin import from ZIP/tar archives (see lib/archive.js)
+// - Newest-first ordering; multi-file / drag-and-drop uploads, resumable via tus (see lib/tus.js)
+// - Mobile-friendly pages
+// createRoomsApp() builds it as an Express app that app.js runs on its own
+// and other servers can mount (at their root path: the pages link to
+// absolute paths). The data side is shared with the rooms CLI (lib/core.js).
+
+import fs from "fs";
+import crypto from "crypto";
+import path from "path";
+import { pipeline } from "stream/promises";
+import express from "express";
+import cookieParser from "cookie-parser";
+import multer from "multer";
+import { fileURLToPath } from "url";
+import { createAuth, adminsFromEnv } from "./auth.js";
+import { ROOM_NAME_RE } from "./rooms.js";
+import { openJsonStore } from "./store.js";
+import { createTokens } from "./tokens.js";
+import { createApi } from "./api.js";
+import { formatBytes, DUPLICATE_MODES, MIME_FAMILIES, UploadRejectedError } from "./policy.js";
+import { backfillHashes } from "./blobs.js";
+import { createAccess, PERMS, VISIBILITIES } from "./access.js";
+import { ROOM_SORTS, FILE_SORTS, FILE_KINDS, LIBRARY_EVENTS } from "./library.js";
+import { canThumbnail } from "./thumbs.js";
+import { createAudit, AUDIT_ACTIONS, CSV_FIELDS, toCsvRow } from "./audit.js";
+import { createTus } from "./tus.js";
+import { createLimits, normalizeIp } from "./limits.js";
+import { createModeration, REPORT_REASONS } from "./moderation.js";
+import { expiresIn, parseHoursList } from "./expiry.js";
+import { zipStream } from "./zip.js";
+import { createImporter } from "./archive.js";
+import { createLive } from "./live.js";
+import { createFileServer, isInlineSafe } from "./serve.js";
+import { createAgeGate, ageGateFromEnv } from "./agegate.js";
+import { createWebhooks, WEBHOOK_EVENTS } from "./webhooks.js";
+import { html, raw, join, js, themeCss, THEMES } from "./view.js";
+import { createI18n } from "./i18n.js";
+import { createCore, dataDirFromEnv, dirSize } from "./core.js";
+
+const LOCALES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "locales");
+const MB = 1024 * 1024;
+
+// config:
+// - env: the settings, by their environment variable names (default process.env)
+// - dataDir: where everything is kept (default DATA_DIR, or data/)
+// - admins: Map of admin name -> password hash (default ADMIN_USERS / ADMIN_PASS)
+// - sessionSecret: signs cookies and links (default SESSION_SECRET, or random)
+// - auth: replaces the built-in admin login; an object like createAuth()'s
+//   whose middleware sets req.admin = { name, csrf } for admins
+// - hooks: { "<library event>": listener }, e.g. { "file:added": ({ room, name, record }) => ... }
+// Resolves to { app, upgrade(req, socket), close(), library, trash, audit, ... }.
+export const createRoomsApp = async ({
+  env = process.env,
+  dataDir = dataDirFromEnv(env),
+  admins,
+  sessionSecret = env.SESSION_SECRET || crypto.randomBytes(32).toString("hex"),
+  auth,
+  hooks = {},
+} = {}) => {
+  const unknownHooks = Object.keys(hooks).filter((event) => !LIBRARY_EVENTS.includes(event));
+  if (unknownHooks.length) throw new Error(`Unknown hook events: ${unknownHooks.join(", ")}`);
+
+  const app = express();
+
+  // ====== CONFIG ======
+  const SESSION_TTL_MS = Number(env.SESSION_TTL_HOURS || 12) * 60 * 60 * 1000;
+  // Unfinished resumable uploads are dropped after this long without activity
+  const TUS_EXPIRE_MS = Number(env.UPLOAD_RESUME_HOURS || 24) * 60 * 60 * 1000;
+  const MAX_FILES_PER_POST = 20;
+  // Room lifetimes offered when creating a room (hours; 0 = never expires)
+  const ROOM_EXPIRY_HOURS = [0, 1, 24, 72, 168, 720];
+  // File cards per room page
+  const ROOM_PAGE_SIZE = Number(env.ROOM_PAGE_SIZE || 48);
+  // Live room updates: "sse" (default) or "websocket", for proxies that buffer event streams
+  const LIVE_TRANSPORT = env.LIVE_TRANSPORT === "websocket" ? "websocket" : "sse";
+  // Behind a reverse proxy, set TRUST_PROXY (e.g. "1" or "loopback") so client IPs come from X-Forwarded-For
+  if (env.TRUST_PROXY) {
+    const hops = Number(env.TRUST_PROXY);
+    app.set("trust proxy", Number.isInteger(hops) ? hops : env.TRUST_PROXY);
+  }
+  // Upload rate limits (0 = unlimited)
+  const UPLOAD_RATES = {
+    ipUploadsPerMinute: Number(env.RATE_IP_UPLOADS_PER_MIN || 10),
+    ipBytesPerHour: Number(env.RATE_IP_MB_PER_HOUR || 1024) * MB,
+    roomUploadsPerMinute: Number(env.RATE_ROOM_UPLOADS_PER_MIN || 60),
+    roomBytesPerHour: Number(env.RATE_ROOM_MB_PER_HOUR || 10240) * MB,
+  };
+  // STORAGE_PRESIGNED_DOWNLOADS=1: downloads redirect to short-lived URLs of the
+  // storage backend (S3) instead of passing through the app
+  const PRESIGNED_DOWNLOADS = env.STORAGE_PRESIGNED_DOWNLOADS === "1";
+  const PRESIGN_SECONDS = Number(env.STORAGE_PRESIGN_SECONDS || 300);
+  // SIGNED_FILE_URLS=1: file and thumbnail URLs expire (HMAC-signed), so they can't be hotlinked
+  const SIGNED_FILE_URLS = env.SIGNED_FILE_URLS === "1";
+  const SIGNED_URL_TTL_SECONDS = Number(env.SIGNED_URL_TTL_SECONDS || 3600);
+  // Largest archive an admin can import (MB, 0 = unlimited)
+  const IMPORT_MAX_BYTES = Number(env.IMPORT_MAX_MB || 1024) * MB;
+  // Age gate defaults (AGE_GATE, AGE_GATE_MODE, AGE_GATE_MIN_AGE, AGE_GATE_TEXT, AGE_GATE_TTL_HOURS);
+  // rooms can override all but the mode. AGE_GATE_LOG=1 keeps a log of every confirmation.
+  const AGE_GATE = ageGateFromEnv(env);
+  const AGE_GATE_LOG = env.AGE_GATE_LOG === "1";
+  // UI language for browsers that ask for none of the locales/ (rooms can set their own), and the default theme
+  const LOCALE = env.LOCALE || "en";
+  const THEME = Object.hasOwn(THEMES, env.THEME) ? env.THEME : "dark";
+  // Public address of the app (e.g. https://rooms.example.com), for links that leave it (webhooks, invites)
+  const PUBLIC_URL = String(env.PUBLIC_URL || "").replace(/\/+$/, "");
+
+  // Storage, records, thumbnails, trash, content store, uploads, audit log, expiry
+  const core = await createCore({ dataDir, env });
+  const { systemDir, storage, roomStore, library, defaultPolicy, policies, thumbs, trash, blobs, upload, audit, expiry } = core;
+  for (const [event, listener] of Object.entries(hooks)) library.events.on(event, listener);
+  core.claim();
+
+  // File responses: path checks, safe headers, ranges, signed URLs
+  const files = createFileServer({
+    storage,
+    secret: env.FILE_URL_SECRET || sessionSecret,
+    signing: SIGNED_FILE_URLS,
+    ttlSeconds: SIGNED_URL_TTL_SECONDS,
+  });
+  const tokens = createTokens({ store: openJsonStore(path.join(systemDir, "tokens.json"), { tokens: [] }) });
+
+  const sweepTrash = () =>
+    trash.sweep().then(
+      (purged) => purged.length && console.log(`Emptied ${purged.length} expired trash items`),
+      (err) => console.error("Trash sweep failed:", err)
+    );
+  sweepTrash();
+  const timers = [setInterval(sweepTrash, 60 * 60 * 1000).unref()];
+  // Review queue for rooms that hold new uploads, and visitor reports
+  const moderation = createModeration({ library, trash });
+  // Admin bulk import: archives are unpacked through the same intake
+  const importer = createImporter({ uploads: upload, tmpDir: path.join(systemDir, "tmp"), maxBytes: IMPORT_MAX_BYTES });
+  // Uploads and deletes are POSTed to the configured webhooks (data/.system/webhooks.json)
+  const webhooks = createWebhooks({
+    library,
+    store: openJsonStore(path.join(systemDir, "webhooks.json"), { hooks: [], deliveries: [] }),
+    fileUrl: (room, name) => `${PUBLIC_URL}${files.url(room, name, { download: 1 })}`,
+  });
+  if (!PUBLIC_URL && webhooks.list().length) console.warn("Webhooks are set up but PUBLIC_URL is not; their download links will be bare paths");
+  backfillHashes({ library, storage, blobs }).then(
+    (n) => n && console.log(`Hashed ${n} existing files`),
+    (err) => console.error("Hash backfill failed:", err)
+  );
+
+  // A host's own auth is the host's to close
+  const ownAuth = !auth;
+  auth ||= createAuth({ admins: admins || adminsFromEnv(env), ttlMs: SESSION_TTL_MS });
+  // A host app may have parsed the cookies already, with its own secret
+  const parseCookies = cookieParser(sessionSecret);
+  const readCookies = (req, res, next) => {
+    if (!req.cookies) return parseCookies(req, res, next);
+    const own = { headers: req.headers };
+    parseCookies(own, res, () => {
+      req.signedCookies ||= {};
+      for (const [name, value] of Object.entries(own.signedCookies)) if (value !== false) req.signedCookies[name] = value;
+      next();
+    });
+  };
+  app.use(readCookies);
+  app.use(auth.middleware);
+
+  // UI strings (locales/*.json): the room's language on pages of a room that
+  // has one, otherwise the browser's (Accept-Language). Themes: `theme` cookie.
+  const i18n = createI18n({ dir: LOCALES_DIR, defaultLocale: LOCALE });
+  const localize = (req, room) => {
+    const fixed = room && library.getRoom(room)?.locale;
+    req.locale = fixed && i18n.has(fixed) ? fixed : i18n.negotiate(req.headers["accept-language"]);
+    req.t = i18n.translator(req.locale);
+  };
+  app.use((req, res, next) => {
+    localize(req);
+    req.theme = Object.hasOwn(THEMES, req.cookies.theme) ? req.cookies.theme : THEME;
+    next();
+  });
+  // For the routes of a room's visitor pages
+  const roomLocale = (req, res, next) => {
+    localize(req, String(req.params.room || "").toLowerCase());
+    next();
+  };
+
+  const auditUpload = (req, room, { filename, originalName, size, sha256, duplicate }) =>
+    audit.log(req, "file.upload", { room, file: filename, originalName, size, sha256, ...(duplicate && { duplicate }) });
+
+  const sweepExpired = () => core.sweepExpired().catch((err) => console.error("Expiry sweep failed:", err));
+  sweepExpired();
+  timers.push(setInterval(sweepExpired, 60 * 1000).unref());
+
+  // Upload rate limits and IP block/allow lists
+  const limits = createLimits({
+    store: openJsonStore(path.join(systemDir, "limits.json"), { block: [], allow: [] }),
+    rates: UPLOAD_RATES,
+    isAdmin: auth.isAdmin,
+    roomExists: (room) => library.exists(room),
+  });
+
+  // Room visibility, passphrases and invite links
+  const access = createAccess({ store: roomStore, secret: sessionSecret, isAdmin: auth.isAdmin });
+
+  // Age confirmations (data/.system/consent/, same format as the audit log)
+  const consentLog = AGE_GATE_LOG
+    ? createAudit({ dir: path.join(systemDir, "consent"), maxBytes: Number(env.AUDIT_MAX_MB || 10) * MB, prefix: "consent" })
+    : null;
+  const gate = createAgeGate({
+    store: roomStore,
+    secret: sessionSecret,
+    defaults: AGE_GATE,
+    log: consentLog && ((req, consent) => consentLog.log(req, "age.consent", consent)),
+  });
+
+  // Helpers
+  // Only same-site paths are allowed as post-login redirect targets.
+  const safeNext = (next) => (typeof next === "string" && /^\/(?!\/)/.test(next) ? next : "/rooms");
+  const { isAdmin, requireAdmin, requireCsrf } = auth;
+  const csrfField = (req) => raw(auth.csrfField(req));
+  // An UploadRejectedError in the visitor's language
+  const uploadError = (t, err) => t(`upload.error.${err.code}`, err.params);
+  const { listFiles } = library;
+  // ISO timestamp -> "2024-05-01 13:37" (UTC)
+  const when = (iso) => iso.slice(0, 16).replace("T", " ");
+  // 0 -> "keep", 5 -> "5 hours", 48 -> "2 days"
+  const duration = (t, h) => (!h ? t("duration.keep") : h % 24 ? t("duration.hours", { n: h }) : t("duration.days", { n: h / 24 }));
+  // Expiry badge; the page script turns it into a live countdown
+  const countdown = (req, iso, kind = "file") =>
+    iso &&
+    html`<span class="badge" data-expires="${iso}" data-label="${req.t(`countdown.${kind}In`)}">${req.t(`countdown.${kind}`, { time: `${when(iso)} UTC` })}</span>`;
+  // Signed when SIGNED_FILE_URLS is on
+  const fileUrl = (room, name, params) => files.url(room, name, params);
+  const thumbUrl = (room, name, size = "thumb") => files.url(room, name, { route: "thumb", size });
+
+  // Gallery card media by type: resized image, inline video/audio, or an icon placeholder
+  const cardMedia = (room, f) => {
+    const url = fileUrl(room, f.name);
+    if (canThumbnail(f.mime)) {
+      return html`<a href="${thumbUrl(room, f.name, "preview")}" target="_blank" rel="noopener">
+        <img class="thumb" src="${thumbUrl(room, f.name)}" alt="${f.originalName}" loading="lazy"/></a>`;
+    }
+    if (f.mime.startsWith("video/")) {
+      return html`<video class="thumb" src="${url}#t=0.1" preload="metadata" muted playsinline controls></video>`;
+    }
+    if (f.mime.startsWith("audio/")) {
+      return html`<div class="thumb placeholder"><span>♪</span><audio src="${url}" preload="none" controls></audio></div>`;
+    }
+    const label = f.mime === "application/pdf" ? "PDF" : f.mime.startsWith("image/") ? "IMG" : (path.extname(f.name).slice(1) || "FILE").toUpperCase();
+    return html`<a class="thumb placeholder" href="${url}" target="_blank" rel="noopener"><span>${label}</span></a>`;
+  };
+
+  // Strings the page script shows
+  const clientStrings = (t) =>
+    Object.fromEntries(
+      ["connectionLost", "rateLimited", "retrying", "done", "expired", "viewing", "newFiles", "reload", "roomDeleted", "roomRenamed", "newAddress"].map(
+        (k) => [k, t(`client.${k}`)]
+      )
+    );
+
+  // Theme links under every page
+  const prefsBar = (req) => {
+    const next = encodeURIComponent(req.originalUrl);
+    return html`<p class="meta prefs">${req.t("theme.label")}
+      ${join(
+        Object.keys(THEMES).map((name) =>
+          name === req.theme ? html`<b>${req.t(`theme.${name}`)}</b>` : html`<a href="/theme/${name}?next=${next}">${req.t(`theme.${name}`)}</a>`
+        ),
+        " · "
+      )}</p>`;
+  };
+
+  // A whole page; title is plain text, content markup from html``
+  const layout = (req, title, content) => String(html`<!doctype html>
+  <html lang="${req.locale}" data-theme="${req.theme}">
+  <meta charset="utf-8"/>
+  <meta name="viewport" content="width=device-width,initial-scale=1"/>
+  <title>${title}</title>
+  <style>
+  ${themeCss()}
+  *{box-sizing:border-box} body{margin:0;background:var(--bg);color:var(--fg);font:16px system-ui, -apple-system, Segoe UI, Roboto, sans-serif}
+  a{color:var(--link);text-decoration:none} a:hover{text-decoration:underline}
+  .wrap{max-width:980px;margin:28px auto;padding:0 16px}
+  .panel{background:var(--panel);padding:20px;border-radius:16px;border:1px solid var(--btn-border);box-shadow:0 10px 30px var(--shadow)}
+  h1{margin:0 0 14px;font-size:28px}
+  h2{margin:22px 0 10px;font-size:18px;color:var(--mut)}
+  .row{display:flex;gap:10px;flex-wrap:wrap;align-items:center}
+  .btn{background:var(--btn);color:var(--btn-fg);border:1px solid var(--btn-border);border-radius:10px;padding:10px 14px;font-weight:600;cursor:pointer}
+  .btn.primary{background:var(--accent);color:#fff} .btn.ok{background:var(--ok);color:#fff} .btn.danger{background:var(--danger);color:#fff}
+  .btn.small{padding:6px 10px;font-size:14px}
+  .card{background:var(--card);padding:12px;border-radius:12px;border:1px solid var(--btn-border);box-shadow:0 6px 16px var(--shadow)}
+  .grid{display:grid;grid-template-columns:repeat(auto-fill,minmax(220px,1fr));gap:14px}
+  .meta{color:var(--mut);font-size:12px;margin:6px 0 0}
+  input[type="text"],input[type="password"],input[type="search"],input[type="number"],select{padding:12px;border-radius:10px;border:1px solid var(--border);background:var(--input);color:var(--fg)}
+  input[type="text"]{width:100%}
+  input[type="file"]{padding:10px;border-radius:10px;border:1px solid var(--border);background:var(--input);color:var(--fg)}
+  hr{border:0;height:1px;background:var(--rule);margin:18px 0}
+  .note{color:var(--warn)}
+  .thumb{display:block;width:100%;height:160px;object-fit:cover;border-radius:8px;border:1px solid var(--btn);background:var(--input)}
+  .thumb.placeholder{display:flex;flex-direction:column;gap:10px;align-items:center;justify-content:center;color:var(--mut);text-decoration:none}
+  .thumb.placeholder span{font-size:34px;font-weight:700;letter-spacing:1px}
+  .thumb.placeholder audio{width:90%}
+  .cover{width:64px;height:64px;object-fit:cover;border-radius:10px;border:1px solid var(--btn)}
+  .uploader{border:2px dashed var(--border);border-radius:12px;padding:12px}
+  .uploader.dragging{border-color:var(--accent);background:var(--drop)}
+  .uploads progress{width:100%;height:8px}
+  .stats{width:100%;border-collapse:collapse;font-size:14px} .stats th,.stats td{padding:6px 8px;border-bottom:1px solid var(--rule);text-align:left} .stats .num{text-align:right}
+  .badge{display:inline-block;background:var(--badge-bg);border:1px solid var(--badge-border);padding:2px 8px;border-radius:999px;color:var(--badge-fg);font-size:12px}
+  .prefs{text-align:center;margin:12px 0}
+  </style>
+  <div class="wrap"><div class="panel">${content}</div>${prefsBar(req)}</div>
+  <script>
+  const T = ${raw(js(clientStrings(req.t)))};
+  // Uploads: files from the picker or dropped on the form go through the tus
+  // endpoint in 5 MB chunks with a progress bar each. Interrupted uploads retry
+  // with backoff and resume (also after a reload) from the last stored offset.
+  // Without JS the form posts normally.
+  (function(){
+    const form = document.querySelector('[data-uploader]');
+    if(!form || !window.XMLHttpRequest) return;
+    const CHUNK = 5 * 1024 * 1024;
+    const list = form.parentNode.querySelector('.uploads');
+    const btn = form.querySelector('[data-upload]');
+    const input = form.querySelector('input[type=file]');
+    const endpoint = form.dataset.tus;
+    const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+    const b64 = (s) => btoa(unescape(encodeURIComponent(s)));
+    const fatal = (x) => Object.assign(new Error(x.responseText || ('HTTP ' + x.status)), { fatal: true });
+
+    const send = (method, url, headers, body, onProgress) => new Promise((resolve, reject) => {
+      const x = new XMLHttpRequest();
+      x.open(method, url);
+      x.setRequestHeader('Tus-Resumable', '1.0.0');
+      for (const k in headers || {}) x.setRequestHeader(k, headers[k]);
+      if (onProgress) x.upload.onprogress = (e) => onProgress(e.loaded);
+      x.onload = () => resolve(x);
+      x.onerror = x.onabort = () => reject(new Error(T.connectionLost));
+      x.send(body === undefined ? null : body);
+    });
+
+    async function uploadOne(file, fields, show){
+      const key = 'tus:' + endpoint + ':' + [file.name, file.size, file.lastModified].join(':');
+      let url = localStorage.getItem(key), offset = 0, tries = 0;
+      for(;;){
+        try{
+          if(url){
+            const h = await send('HEAD', url);
+            if(h.status !== 200){ url = null; localStorage.removeItem(key); continue; }
+            offset = Number(h.getResponseHeader('Upload-Offset'));
+          } else {
+            const meta = ['filename ' + b64(file.name), 'filetype ' + b64(file.type || '')]
+              .concat(Object.keys(fields).map((k) => k + ' ' + b64(fields[k]))).join(',');
+            const c = await send('POST', endpoint, { 'Upload-Length': file.size, 'Upload-Metadata': meta });
+            if(c.status === 429){
+              show(0, T.rateLimited);
+              await sleep(1000 * (Number(c.getResponseHeader('Retry-After')) || 30));
+              continue;
+            }
+            if(c.status !== 201) throw c.status >= 500 ? new Error('HTTP ' + c.status) : fatal(c);
+            url = c.getResponseHeader('Location'); offset = 0;
+            localStorage.setItem(key, url);
+          }
+          do {
+            const p = await send('PATCH', url, { 'Upload-Offset': offset, 'Content-Type': 'application/offset+octet-stream' },
+              file.slice(offset, offset + CHUNK), (n) => show(offset + n));
+            if(p.status === 409 || p.status >= 500) throw new Error('HTTP ' + p.status);
+            if(p.status !== 204) throw fatal(p);
+            offset = Number(p.getResponseHeader('Upload-Offset'));
+            show(offset); tries = 0;
+          } while(offset < file.size);
+          localStorage.removeItem(key);
+          return;
+        } catch(e){
+          if(e.fatal){ localStorage.removeItem(key); throw e; }
+          if(++tries > 8) throw e;
+          show(offset, T.retrying);
+          await sleep(Math.min(30000, 1000 * 2 ** tries));
+        }
+      }
+    }
+
+    let running = 0, okCount = 0;
+    async function start(files){
+      // note, lifetime and download limit as set in the form
+      const fields = {};
+      for (const k of ['note', 'ttl', 'maxDownloads']) fields[k] = (form.querySelector('[name=' + k + ']') || {}).value || '';
+      running++; btn.disabled = true;
+      for(const file of files){
+        const row = document.createElement('div');
+        row.className = 'meta';
+        row.innerHTML = '<div class="row" style="justify-content:space-between"><span></span><span></span></div><progress max="1" value="0"></progress>';
+        const [name, status] = row.querySelectorAll('span');
+        const bar = row.querySelector('progress');
+        name.textContent = file.name;
+        list.appendChild(row);
+        const show = (n, msg) => { bar.value = file.size ? n / file.size : 1; status.textContent = msg || Math.round(bar.value * 100) + '%'; };
+        try { await uploadOne(file, fields, show); show(file.size, T.done); okCount++; }
+        catch(e){ status.textContent = e.message; status.className = 'note'; }
+      }
+      if(--running === 0){ btn.disabled = false; if(okCount) location.reload(); }
+    }
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      if(input.files.length) start(Array.from(input.files));
+      input.value = '';
+    });
+    form.addEventListener('dragover', (e) => { e.preventDefault(); form.classList.add('dragging'); });
+    form.addEventListener('dragleave', () => form.classList.remove('dragging'));
+    form.addEventListener('drop', (e) => {
+      e.preventDefault(); form.classList.remove('dragging');
+      if(e.dataTransfer.files.length) start(Array.from(e.dataTransfer.files));
+    });
+  })();
+
+  // Expiry badges count down (also on cards added later)
+  (function(){
+    const left = (ms) => {
+      const s = Math.floor(ms / 1000), d = Math.floor(s / 86400), h = Math.floor(s / 3600) % 24, m = Math.floor(s / 60) % 60;
+      return d ? d + 'd ' + h + 'h' : h ? h + 'h ' + m + 'm' : m + 'm ' + (s % 60) + 's';
+    };
+    const tick = () => document.querySelectorAll('[data-expires]').forEach((b) => {
+      const ms = Date.parse(b.dataset.expires) - Date.now();
+      b.textContent = ms > 0 ? b.dataset.label.replace('{time}', left(ms)) : T.expired;
+    });
+    tick(); setInterval(tick, 1000);
+  })();
+
+  // Live room updates (lib/live.js): new and changed cards appear, deleted ones
+  // go away, and the viewer count follows. Server-Sent Events, or a WebSocket
+  // with data-live-ws; both reconnect and catch up on what they missed.
+  (function(){
+    const grid = document.querySelector('[data-live]');
+    if(!grid) return;
+    const presence = document.querySelector('[data-presence]');
+    const notice = document.querySelector('[data-live-notice]');
+    const card = (name) => Array.from(grid.querySelectorAll('[data-file]')).find((c) => c.dataset.file === name);
+    // text with "{link}" standing for a link to href
+    const say = (text, label, href) => {
+      const [before, after] = text.split('{link}');
+      notice.textContent = before;
+      if(label){
+        const a = document.createElement('a');
+        a.href = href; a.textContent = label;
+        notice.append(a, after || '');
+      }
+      notice.hidden = false;
+    };
+    let lastId = 0, over = false;
+    const handle = (msg) => {
+      if(msg.id) lastId = msg.id;
+      const el = msg.name && card(msg.name);
+      if(msg.type === 'presence'){
+        presence.textContent = T.viewing.replace('{n}', msg.viewers); presence.hidden = false;
+      } else if(msg.type === 'delete'){
+        if(el) el.remove();
+      } else if(msg.type === 'file'){
+        if(el) el.outerHTML = msg.html;
+        else if('liveInsert' in grid.dataset){
+          const empty = grid.querySelector('.empty'); if(empty) empty.remove();
+          grid.insertAdjacentHTML('afterbegin', msg.html);
+        } else say(T.newFiles, T.reload, location.href);
+      } else if(msg.type === 'room-deleted'){
+        over = true; presence.hidden = true;
+        say(T.roomDeleted);
+        document.querySelectorAll('.uploader').forEach((f) => f.remove());
+      } else if(msg.type === 'room-renamed'){
+        over = true; presence.hidden = true;
+        say(T.roomRenamed, T.newAddress, '/room/' + encodeURIComponent(msg.to));
+        document.querySelectorAll('.uploader').forEach((f) => f.remove());
+      }
+    };
+    const sse = () => {
+      const source = new EventSource(grid.dataset.live);
+      source.onmessage = (e) => { handle(JSON.parse(e.data)); if(over) source.close(); };
+    };
+    const ws = (delay) => {
+      const socket = new WebSocket((location.protocol === 'https:' ? 'wss://' : 'ws://') + location.host + grid.dataset.live + '?last=' + lastId);
+      let opened = false;
+      socket.onopen = () => { opened = true; };
+      socket.onmessage = (e) => handle(JSON.parse(e.data));
+      socket.onclose = () => {
+        if(over) return;
+        const next = opened ? 1000 : Math.min(delay * 2, 30000);
+        setTimeout(() => ws(next), next);
+      };
+    };
+    if('liveWs' in grid.dataset && window.WebSocket) ws(1000);
+    else if(window.EventSource) sse();
+  })();
+  </script>
+  </html>`);
+
+  // -------- AGE GATE (see lib/agegate.js) ----------
+  const gatePage = (req, room, next) => {
+    const { t } = req;
+    const { minAge } = gate.settings(room);
+    return layout(
+      req,
+      t("gate.pageTitle"),
+      html`
+    <h1>${t("gate.title", { age: minAge })}</h1>
+    <p>${gate.text(room, t("gate.text"))}</p>
+    <p class="meta">${t("gate.room")} <b>${room}</b></p>
+    <form method="post" action="/age/${encodeURIComponent(room)}">
+      <input type="hidden" name="next" value="${next}"/>
+      <div class="row" style="margin-top:14px">
+        <button class="btn ok">${t("gate.yes", { age: minAge })}</button>
+        <a class="btn danger" href="/rooms">${t("gate.no")}</a>
+      </div>
+    </form>
+    <p class="meta" style="margin-top:12px">${t(`gate.remember.${AGE_GATE.mode}`, { time: duration(t, AGE_GATE.ttlHours) })}
+      ${consentLog && t("gate.logged")}</p>
+  `
+    );
+  };
+
+  const roomEnterLink = (room) => `/room/${encodeURIComponent(room)}`;
+
+  const loginPage = (req, next, error) => {
+    const { t } = req;
+    return layout(
+      req,
+      t("login.title"),
+      html`
+    <h1>${t("login.title")}</h1>
+    ${error && html`<p class="note">${error}</p>`}
+    <form method="post" action="/admin/login">
+      <input type="hidden" name="next" value="${next}"/>
+      <p><input name="username" type="text" placeholder="${t("login.username")}" autocomplete="username" required/></p>
+      <p><input name="password" type="password" placeholder="${t("login.password")}" autocomplete="current-password" required/></p>
+      <div class="row">
+        <button class="btn primary">${t("login.submit")}</button>
+        <a class="btn" href="/rooms">${t("action.cancel")}</a>
+      </div>
+    </form>
+  `
+    );
+  };
+
+  const logoutForm = (req) => html`<form method="post" action="/admin/logout" style="display:inline">
+    ${csrfField(req)}
+    <button class="btn danger">${req.t("login.logout")}</button>
+  </form>`;
+
+  // Simple pages: a heading and a link back
+  const messagePage = (req, title, heading, { href = "/rooms", label = req.t("nav.rooms") } = {}) =>
+    layout(req, title, html`<h1>${heading}</h1><a class="btn" href="${href}">${label}</a>`);
+
+  // ---------- ROUTES ----------
+  app.get("/", (req, res) => res.redirect("/rooms"));
+
+  // Links to a renamed room (and its files) lead to its new name
+  app.use(/^\/(room|file|thumb|zip|live|invite|age)\/([^/?]+)/, (req, res, next) => {
+    const to = library.renamedTo(String(req.params[1]).toLowerCase());
+    if (!to) return next();
+    res.redirect(req.originalUrl.replace(/^(\/[a-z]+\/)[^/?]+/, `$1${to}`));
+  });
+
+  // Theme picked from the links under each page
+  app.get("/theme/:name", (req, res) => {
+    if (Object.hasOwn(THEMES, req.params.name)) {
+      res.cookie("theme", req.params.name, { maxAge: 365 * 24 * 60 * 60 * 1000, sameSite: "lax", secure: req.secure, httpOnly: true });
+    }
+    res.redirect(safeNext(req.query.next));
+  });
+
+  // Rooms list (no create/delete here; admin actions are separate UI)
+  app.get("/rooms", (req, res) => {
+    const { t } = req;
+    const admin = isAdmin(req);
+    const sort = ROOM_SORTS[req.query.sort] ? req.query.sort : "name";
+    // Unlisted and private rooms are only listed for admins
+    const rooms = library.listRooms({ sort }).filter((r) => admin || access.isListed(r.name));
+    const pending = admin ? moderation.queue().length : 0;
+    const items = rooms.length
+      ? join(
+          rooms.map(
+            ({ name: r, ...room }) => html`<div class="row" style="justify-content:space-between;align-items:center">
+                    ${room.cover && html`<img class="cover" src="${thumbUrl(r, room.cover)}" alt=""/>`}
+                    <div style="flex:1;min-width:200px">
+                      <a class="btn small" href="/room/${encodeURIComponent(r)}">${t("rooms.enter", { title: room.title })}</a>
+                      ${admin && !access.isListed(r) && html`<span class="badge">${t(`visibility.${access.settings(r).visibility}`)}</span>`}
+                      ${admin && html`<a class="btn small" href="/admin/file-tools/${encodeURIComponent(r)}">${t("rooms.files")}</a>`}
+                      ${admin && html`<a class="btn small" href="/admin/policy/${encodeURIComponent(r)}">${t("policy.title")}</a>`}
+                      ${room.description && html`<div class="meta">${room.description}</div>`}
+                      <div class="meta">/${r} · ${room.createdBy ? t("rooms.createdBy", { date: room.createdAt.slice(0, 10), name: room.createdBy }) : t("rooms.created", { date: room.createdAt.slice(0, 10) })}</div>
+                    </div>
+                    ${admin && html`<a class="btn danger small" href="/admin/delete-room/${encodeURIComponent(r)}">${t("room.delete")}</a>`}
+                  </div>`
+          ),
+          raw("<hr>")
+        )
+      : html`<p class="meta">${t("rooms.none")}</p>`;
+    const sortLinks = join(
+      Object.keys(ROOM_SORTS).map((k) =>
+        k === sort ? html`<span class="badge">${t(`rooms.sort.${k}`)}</span>` : html`<a href="/rooms?sort=${k}">${t(`rooms.sort.${k}`)}</a>`
+      ),
+      " "
+    );
+
+    const adminControls = admin
+      ? html`<hr>
+         <h2>${t("rooms.admin")}</h2>
+         <form class="row" action="/admin/create-room" method="post">
+           ${csrfField(req)}
+           <input name="room" type="text" placeholder="${t("room.namePlaceholder")}"/>
+           <input name="title" type="text" placeholder="${t("rooms.titlePlaceholder")}"/>
+           <input name="description" type="text" placeholder="${t("rooms.descriptionPlaceholder")}"/>
+           <select name="expiresIn" title="${t("room.lifetime")}">${ROOM_EXPIRY_HOURS.map((h) => html`<option value="${h}">${h ? t("room.expiresAfter", { time: duration(t, h) }) : t("room.neverExpires")}</option>`)}</select>
+           <button class="btn primary">${t("rooms.create")}</button>
+         </form>
+         <p class="meta">${t("rooms.loggedInAs")} <span class="badge">${req.admin.name}</span> · <a href="/admin">${t("dashboard.title")}</a> · <a href="/admin/tokens">${t("tokens.title")}</a> · <a href="/admin/webhooks">${t("webhooks.title")}</a> · <a href="/admin/trash">${t("trash.title")}</a> · <a href="/admin/audit">${t("audit.title")}</a> · <a href="/admin/limits">${t("limits.title")}</a> · <a href="/admin/moderation">${t("moderation.title")}${pending ? ` (${pending})` : ""}</a></p>
+         ${logoutForm(req)}`
+      : html`<p class="meta">${t("rooms.visitorNote")}</p>
+         <a class="btn" href="/admin/login">${t("nav.admin")}</a>`;
+
+    res.send(
+      layout(req, t("rooms.title"), html`<h1>${t("rooms.title")}</h1>${adminControls}<hr><h2>${t("rooms.existing")}</h2><p class="meta">${t("rooms.sortLabel")} ${sortLinks}</p>${items}`)
+    );
+  });
+
+  app.use(express.urlencoded({ extended: true }));
+
+  // Admin login / logout
+  app.get("/admin/login", (req, res) => {
+    const next = safeNext(req.query.next);
+    if (isAdmin(req)) return res.redirect(next);
+    res.send(loginPage(req, next));
+  });
+  app.post("/admin/login", (req, res) => {
+    const next = safeNext(req.body.next);
+    const username = (req.body.username || "").trim();
+    if (!auth.login(username, req.body.password)) {
+      audit.log(req, "admin.login_failed", { username: username.slice(0, 100) });
+      return res.status(401).send(loginPage(req, next, req.t("login.failed")));
+    }
+    auth.startSession(req, res, username);
+    audit.log(req, "admin.login", { actor: username });
+    res.redirect(next);
+  });
+  app.post("/admin/logout", requireAdmin, requireCsrf, (req, res) => {
+    audit.log(req, "admin.logout");
+    auth.endSession(req, res);
+    res.redirect("/rooms");
+  });
+
+  // Admin: dashboard with per-room and overall storage figures
+  const DASHBOARD_SORTS = {
+    name: (a, b) => a.name.localeCompare(b.name),
+    files: (a, b) => b.files - a.files,
+    size: (a, b) => b.bytes - a.bytes,
+    activity: (a, b) => b.activity.localeCompare(a.activity),
+  };
+
+  app.get("/admin", requireAdmin, async (req, res, next) => {
+    const { t } = req;
+    try {
+      const sort = Object.hasOwn(DASHBOARD_SORTS, req.query.sort) ? req.query.sort : "name";
+      const stats = [];
+      for (const room of library.listRooms()) {
+        const { files, bytes } = library.usage(room.name);
+        // What the storage holds for the room (differs from the records while files are missing)
+        const stored = (await storage.list(`${room.name}/`)).reduce((n, o) => n + o.size, 0);
+        const activity = library.listFiles(room.name)[0]?.uploadedAt || room.createdAt;
+        stats.push({ ...room, files, bytes, stored, activity, pending: library.listFiles(room.name).filter((f) => !moderation.isPublished(f)).length });
+      }
+      stats.sort(DASHBOARD_SORTS[sort]);
+      const total = (key) => stats.reduce((n, r) => n + r[key], 0);
+      const trashBytes = trash.list().reduce((n, item) => n + item.size, 0);
+      const disk = storage.driver === "local" ? fs.statfsSync(dataDir) : null;
+      const failedHooks = webhooks.recent(200).filter((x) => x.status === "failed").length;
+      const head = (key, label, num) =>
+        html`<th class="${num ? "num" : ""}">${key === sort ? label : html`<a href="/admin?sort=${key}">${label}</a>`}</th>`;
+      const rows = stats.map(
+        (r) => html`<tr>
+          <td><a href="${roomEnterLink(r.name)}">${r.title}</a> <span class="meta">/${r.name}</span>${r.pending ? html` <span class="badge">${t("dashboard.pending", { n: r.pending })}</span>` : ""}</td>
+          <td class="num">${r.files}</td>
+          <td class="num">${formatBytes(r.bytes)}</td>
+          <td class="num">${r.stored === r.bytes ? formatBytes(r.stored) : html`<span class="note">${formatBytes(r.stored)}</span>`}</td>
+          <td>${when(r.activity)}</td>
+          <td><a class="btn small" href="/admin/file-tools/${encodeURIComponent(r.name)}">${t("rooms.files")}</a></td>
+        </tr>`
+      );
+      res.send(
+        layout(
+          req,
+          t("dashboard.title"),
+          html`<h1>${t("dashboard.title")}</h1>
+           <div class="row" style="margin-bottom:12px">
+             <a class="btn" href="/rooms">${t("nav.rooms")}</a>
+             <a class="btn" href="/admin/moderation">${t("moderation.title")}</a>
+             <a class="btn" href="/admin/trash">${t("trash.title")}</a>
+             <a class="btn" href="/admin/webhooks">${t("webhooks.title")}${failedHooks ? ` (${t("dashboard.failed", { n: failedHooks })})` : ""}</a>
+           </div>
+           <div class="row">
+             <span class="badge">${t("dashboard.rooms", { n: stats.length })}</span>
+             <span class="badge">${t("dashboard.files", { n: total("files") })}</span>
+             <span class="badge">${t("dashboard.inRooms", { size: formatBytes(total("bytes")) })}</span>
+             <span class="badge">${t("dashboard.inTrash", { size: formatBytes(trashBytes) })}</span>
+             <span class="badge">${t("dashboard.thumbCache", { size: formatBytes(dirSize(path.join(systemDir, "cache"))) })}</span>
+             ${blobs && html`<span class="badge">${t("dashboard.contentStore", { blobs: blobs.stats().blobs, n: blobs.stats().references })}</span>`}
+             ${
+               disk
+                 ? html`<span class="badge">${t("dashboard.disk", { free: formatBytes(disk.bavail * disk.bsize), total: formatBytes(disk.blocks * disk.bsize) })}</span>`
+                 : html`<span class="badge">${t("dashboard.storage", { driver: storage.driver })}</span>`
+             }
+           </div>
+           <table class="stats" style="margin-top:14px">
+             <tr>${head("name", t("dashboard.room"))}${head("files", t("rooms.files"), true)}${head("size", t("dashboard.size"), true)}<th class="num">${t("dashboard.stored")}</th>${head("activity", t("dashboard.lastUpload"))}<th></th></tr>
+             ${rows.length ? rows : html`<tr><td colspan="6" class="meta">${t("rooms.none")}</td></tr>`}
+           </table>
+           <p class="meta">${t("dashboard.note")}</p>`
+        )
+      );
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Admin: API tokens (plaintext is only shown right after creation)
+  const tokensPage = (req, created) => {
+    const { t } = req;
+    const rows = tokens.list().map(
+      (token) => html`<div class="row" style="justify-content:space-between">
+        <div>
+          <b>${token.name}</b>
+          <div class="meta">${t("tokens.meta", { date: token.createdAt, name: token.createdBy, used: token.lastUsedAt || t("tokens.never") })}</div>
+        </div>
+        <form method="post" action="/admin/tokens/${token.id}/revoke">
+          ${csrfField(req)}
+          <button class="btn danger small">${t("tokens.revoke")}</button>
+        </form>
+      </div>`
+    );
+    return layout(
+      req,
+      t("tokens.title"),
+      html`<h1>${t("tokens.title")}</h1>
+       <div class="row" style="margin-bottom:12px"><a class="btn" href="/rooms">${t("nav.rooms")}</a></div>
+       ${created && html`<p class="note">${t("tokens.created")}</p><input type="text" readonly value="${created}"/>`}
+       <form class="row" method="post" action="/admin/tokens" style="margin-top:12px">
+         ${csrfField(req)}
+         <input name="name" type="text" placeholder="${t("tokens.namePlaceholder")}"/>
+         <button class="btn primary">${t("tokens.create")}</button>
+       </form>
+       <hr>
+       ${rows.length ? join(rows, raw("<hr>")) : html`<p class="meta">${t("tokens.none")}</p>`}
+       <p class="meta">${t("tokens.apiDescription")} <a href="/api/v1/openapi.json">/api/v1/openapi.json</a></p>`
+    );
+  };
+  app.get("/admin/tokens", requireAdmin, (req, res) => res.send(tokensPage(req)));
+  app.post("/admin/tokens", requireAdmin, requireCsrf, (req, res) => {
+    const { token, record } = tokens.create(req.body.name, req.admin.name);
+    audit.log(req, "token.create", { id: record.id, name: record.name });
+    res.send(tokensPage(req, token));
+  });
+  app.post("/admin/tokens/:id/revoke", requireAdmin, requireCsrf, (req, res) => {
+    if (tokens.revoke(req.params.id)) audit.log(req, "token.revoke", { id: req.params.id });
+    res.redirect("/admin/tokens");
+  });
+
+  // Admin: webhooks and their recent deliveries (a hook's secret is only shown right after creation)
+  const webhooksPage = (req, created, error) => {
+    const { t } = req;
+    const hookRows = webhooks.list().map(
+      (h) => html`<div class="row" style="justify-content:space-between">
+        <div style="flex:1;min-width:220px">
+          <b>${h.url}</b>
+          <div class="meta">${h.room ? t("webhooks.room", { room: h.room }) : t("webhooks.allRooms")} · ${h.events.join(", ")} · ${t("webhooks.createdBy", { date: when(h.createdAt), name: h.createdBy })}</div>
+        </div>
+        <form method="post" action="/admin/webhooks/${h.id}/delete">
+          ${csrfField(req)}
+          <button class="btn danger small">${t("action.delete")}</button>
+        </form>
+      </div>`
+    );
+    const deliveryRows = webhooks.recent().map((x) => {
+      const details = [
+        x.url,
+        when(x.createdAt),
+        t("webhooks.attempts", { n: x.attempts }),
+        x.lastError || (x.lastStatus && `HTTP ${x.lastStatus}`),
+        x.status === "pending" && x.attempts && t("webhooks.nextTry", { time: when(new Date(x.nextAt).toISOString()) }),
+        x.redeliveryOf && t("webhooks.redeliveryOf", { id: x.redeliveryOf }),
+      ];
+      return html`<div class="row" style="justify-content:space-between">
+        <div style="flex:1;min-width:220px">
+          <span class="badge">${t(`webhooks.status.${x.status}`)}</span> <span class="badge">${x.event}</span> ${x.room && html`<b>/${x.room}</b>`}
+          ${x.payload.file && (x.payload.file.originalName || x.payload.file.name)}
+          <div class="meta">${details.filter(Boolean).join(" · ")}</div>
+        </div>
+        ${
+          x.status !== "pending" &&
+          html`<form method="post" action="/admin/webhooks/deliveries/${x.id}/redeliver">${csrfField(req)}<button class="btn small">${t("webhooks.redeliver")}</button></form>`
+        }
+      </div>`;
+    });
+    return layout(
+      req,
+      t("webhooks.title"),
+      html`<h1>${t("webhooks.title")}</h1>
+       <div class="row" style="margin-bottom:12px"><a class="btn" href="/rooms">${t("nav.rooms")}</a></div>
+       ${!PUBLIC_URL && html`<p class="note">${t("webhooks.noPublicUrl")}</p>`}
+       ${error && html`<p class="note">${error}</p>`}
+       ${created && html`<p class="note">${t("webhooks.secret", { url: created.url })}</p><input type="text" readonly value="${created.secret}"/>`}
+       <form method="post" action="/admin/webhooks" style="margin-top:12px">
+         ${csrfField(req)}
+         <p><input name="url" type="text" placeholder="https://example.com/hooks/rooms" required/></p>
+         <div class="row">
+           <select name="room">
+             <option value="">${t("webhooks.allRoomsOption")}</option>
+             ${library.listRooms().map((r) => html`<option value="${r.name}">${r.title} (/${r.name})</option>`)}
+           </select>
+           ${WEBHOOK_EVENTS.map((e) => html`<label class="badge"><input type="checkbox" name="events" value="${e}" checked/> ${e}</label> `)}
+           <button class="btn primary">${t("webhooks.add")}</button>
+         </div>
+       </form>
+       <hr>
+       ${hookRows.length ? join(hookRows, raw("<hr>")) : html`<p class="meta">${t("webhooks.none")}</p>`}
+       <h2>${t("webhooks.deliveries")}</h2>
+       ${deliveryRows.length ? join(deliveryRows, raw("<hr>")) : html`<p class="meta">${t("webhooks.nothingSent")}</p>`}`
+    );
+  };
+  app.get("/admin/webhooks", requireAdmin, (req, res) => res.send(webhooksPage(req)));
+  app.post("/admin/webhooks", requireAdmin, requireCsrf, (req, res) => {
+    const room = library.exists(req.body.room) ? req.body.room : null;
+    const hook = webhooks.create({ url: req.body.url, room, events: [].concat(req.body.events || []), createdBy: req.admin.name });
+    if (!hook) return res.status(400).send(webhooksPage(req, null, req.t("webhooks.invalid")));
+    audit.log(req, "webhook.create", { room, id: hook.id, url: hook.url, events: hook.events });
+    res.send(webhooksPage(req, hook));
+  });
+  app.post("/admin/webhooks/:id/delete", requireAdmin, requireCsrf, (req, res) => {
+    if (webhooks.remove(req.params.id)) audit.log(req, "webhook.delete", { id: req.params.id });
+    res.redirect("/admin/webhooks");
+  });
+  app.post("/admin/webhooks/deliveries/:id/redeliver", requireAdmin, requireCsrf, (req, res) => {
+    const delivery = webhooks.redeliver(req.params.id);
+    if (delivery) audit.log(req, "webhook.redeliver", { room: delivery.room, id: delivery.id, of: req.params.id });
+    res.redirect("/admin/webhooks");
+  });
+
+  // Admin: trash (restore puts files back in their room, recreating it if needed)
+  const trashPage = (req) => {
+    const { t } = req;
+    const rows = trash.list().map((item) => {
+      const what =
+        item.kind === "room"
+          ? html`${t("trash.room")} <b>${item.roomRecord.title}</b> (${t("dashboard.files", { n: item.files.length })})`
+          : html`<b>${item.files[0].record.originalName}</b> ${t("trash.from", { room: item.roomRecord?.title || item.room })}`;
+      const expires = trash.expiresAt(item);
+      const details = [
+        `/${item.room}`,
+        formatBytes(item.size),
+        item.deletedBy ? t("trash.deletedBy", { date: when(item.deletedAt), name: item.deletedBy }) : t("trash.deleted", { date: when(item.deletedAt) }),
+        expires && t("trash.purged", { date: when(expires) }),
+      ];
+      return html`<div class="row" style="justify-content:space-between">
+        <div>
+          ${what}
+          <div class="meta">${details.filter(Boolean).join(" · ")}</div>
+        </div>
+        <div class="row">
+          <form method="post" action="/admin/trash/${item.id}/restore">${csrfField(req)}<button class="btn small">${t("trash.restore")}</button></form>
+          <form method="post" action="/admin/trash/${item.id}/purge">${csrfField(req)}<button class="btn danger small">${t("trash.purge")}</button></form>
+        </div>
+      </div>`;
+    });
+    return layout(
+      req,
+      t("trash.title"),
+      html`<h1>${t("trash.title")}</h1>
+       <div class="row" style="margin-bottom:12px">
+         <a class="btn" href="/rooms">${t("nav.rooms")}</a>
+         ${
+           rows.length > 0 &&
+           html`<form method="post" action="/admin/trash/empty">${csrfField(req)}<button class="btn danger">${t("trash.empty")}</button></form>`
+         }
+       </div>
+       ${rows.length ? join(rows, raw("<hr>")) : html`<p class="meta">${t("trash.isEmpty")}</p>`}`
+    );
+  };
+
+  const auditPurge = (req, item) =>
+    audit.log(req, "trash.purge", { room: item.room, file: item.kind === "file" ? item.files[0].name : null, kind: item.kind });
+
+  app.get("/admin/trash", requireAdmin, (req, res) => res.send(trashPage(req)));
+  app.post("/admin/trash/empty", requireAdmin, requireCsrf, async (req, res, next) => {
+    try {
+      for (const item of await trash.empty()) auditPurge(req, item);
+      res.redirect("/admin/trash");
+    } catch (err) {
+      next(err);
+    }
+  });
+  app.post("/admin/trash/:id/restore", requireAdmin, requireCsrf, async (req, res, next) => {
+    try {
+      const item = await trash.restore(req.params.id);
+      if (!item) return res.redirect("/admin/trash");
+      audit.log(req, `${item.kind}.restore`, { room: item.room, file: item.kind === "file" ? item.files[0].name : null });
+      res.redirect(roomEnterLink(item.room));
+    } catch (err) {
+      next(err);
+    }
+  });
+  app.post("/admin/trash/:id/purge", requireAdmin, requireCsrf, async (req, res, next) => {
+    try {
+      const item = await trash.purge(req.params.id);
+      if (item) auditPurge(req, item);
+      res.redirect("/admin/trash");
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Admin: audit log (filter by room / action / date; export as CSV or JSON Lines)
+  const AUDIT_PAGE_SIZE = 200;
+  const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+  const auditFilter = (q) => ({
+    room: ROOM_NAME_RE.test(q.room || "") ? q.room : undefined,
+    action: AUDIT_ACTIONS.includes(q.action) ? q.action : undefined,
+    from: DAY_RE.test(q.from || "") ? q.from : undefined,
+    to: DAY_RE.test(q.to || "") ? q.to : undefined,
+  });
+
+  app.get("/admin/audit", requireAdmin, async (req, res, next) => {
+    const { t } = req;
+    try {
+      const filter = auditFilter(req.query);
+      const entries = await audit.recent(filter, AUDIT_PAGE_SIZE);
+      const query = new URLSearchParams(Object.entries(filter).filter(([, v]) => v)).toString();
+      const options = (values, selected) =>
+        ["", ...values].map((v) => html`<option value="${v}" ${v === (selected || "") ? "selected" : ""}>${v || t("audit.any")}</option>`);
+      const rows = entries.map(
+        (e) => html`<div>
+          <span class="badge">${e.action}</span> ${e.room && html`<b>/${e.room}</b>`} ${e.file && (e.detail?.originalName || e.file)}
+          <div class="meta">${e.ts.slice(0, 19).replace("T", " ")} · ${e.actor || t("audit.visitor")} · ${e.ip} · ${e.userAgent || ""}</div>
+        </div>`
+      );
+      res.send(
+        layout(
+          req,
+          t("audit.title"),
+          html`<h1>${t("audit.title")}</h1>
+           <form class="row" method="get" action="/admin/audit" style="margin-bottom:12px">
+             <select name="room">${options(library.listRooms().map((r) => r.name), filter.room)}</select>
+             <select name="action">${options(AUDIT_ACTIONS, filter.action)}</select>
+             <input type="date" name="from" value="${filter.from || ""}"/>
+             <input type="date" name="to" value="${filter.to || ""}"/>
+             <button class="btn">${t("audit.filter")}</button>
+           </form>
+           <div class="row" style="margin-bottom:12px">
+             <a class="btn" href="/rooms">${t("nav.rooms")}</a>
+             <a class="btn" href="/admin/audit/export.csv?${query}">${t("audit.exportCsv")}</a>
+             <a class="btn" href="/admin/audit/export.jsonl?${query}">${t("audit.exportJsonl")}</a>
+             ${consentLog && html`<a class="btn" href="/admin/consent/export.csv?${query}">${t("audit.exportConsent")}</a>`}
+           </div>
+           ${
+             rows.length
+               ? html`${join(rows, raw("<hr>"))}${rows.length === AUDIT_PAGE_SIZE ? html`<p class="meta">${t("audit.newest", { n: AUDIT_PAGE_SIZE })}</p>` : ""}`
+               : html`<p class="meta">${query ? t("audit.noneForFilter") : t("audit.none")}</p>`
+           }`
+        )
+      );
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Streamed, oldest first; the consent log (AGE_GATE_LOG=1) exports the same way
+  const exportLog = (log, name) => async (req, res, next) => {
+    const csv = req.params.format === "csv";
+    res.type(csv ? "text/csv" : "application/x-ndjson");
+    res.attachment(`${name}-${new Date().toISOString().slice(0, 10)}.${req.params.format}`);
+    try {
+      if (csv) res.write(`${CSV_FIELDS.join(",")}\n`);
+      for await (const e of log.entries(auditFilter(req.query))) {
+        if (!res.write(`${csv ? toCsvRow(e) : JSON.stringify(e)}\n`)) await new Promise((r) => res.once("drain", r));
+      }
+      res.end();
+    } catch (err) {
+      if (res.headersSent) return res.destroy(err);
+      next(err);
+    }
+  };
+  app.get("/admin/audit/export.:format(csv|jsonl)", requireAdmin, exportLog(audit, "audit"));
+  if (consentLog) app.get("/admin/consent/export.:format(csv|jsonl)", requireAdmin, exportLog(consentLog, "consent"));
+
+  // Admin: upload limits, IP block/allow lists and recent limit hits
+  const limitsPage = (req, error) => {
+    const { t } = req;
+    const ruleList = (list) => {
+      const rows = limits.rules(list).map(
+        (r) => html`<div class="row" style="justify-content:space-between">
+          <div><b>${r.cidr}</b>${r.note && html` · ${r.note}`}
+            <div class="meta">${r.addedBy ? t("limits.addedBy", { date: r.addedAt.slice(0, 10), name: r.addedBy }) : t("limits.added", { date: r.addedAt.slice(0, 10) })}</div></div>
+          <form method="post" action="/admin/limits/${list}/${r.id}/remove">${csrfField(req)}<button class="btn small">${t("limits.remove")}</button></form>
+        </div>`
+      );
+      return html`<h2>${t(`limits.${list}.title`)}</h2>
+        <p class="meta">${t(`limits.${list}.hint`)}</p>
+        ${rows.length ? join(rows, raw("<hr>")) : html`<p class="meta">${t("limits.emptyList")}</p>`}
+        <form class="row" method="post" action="/admin/limits/${list}" style="margin-top:8px">
+          ${csrfField(req)}
+          <input name="cidr" type="text" placeholder="203.0.113.7 or 203.0.113.0/24"/>
+          <input name="note" type="text" placeholder="${t("limits.notePlaceholder")}"/>
+          <button class="btn">${t("limits.add")}</button>
+        </form>`;
+    };
+    const rates = limits
+      .settings()
+      .map((l) => html`<li>${l.capacity ? (l.unit === "bytes" ? formatBytes(l.capacity) : l.capacity) : t("limits.unlimited")} ${t(`limits.rate.${l.id}`)}</li>`);
+    const hits = limits.hits().map(
+      (h) => html`<div class="row" style="justify-content:space-between">
+        <div>${h.ip} → /${h.room}<div class="meta">${h.at.slice(0, 19).replace("T", " ")} · ${t(`limits.rate.${h.limitId}`)} · ${t("limits.retryAfter", { n: h.retryAfter })}</div></div>
+        <form method="post" action="/admin/limits/block">${csrfField(req)}<input type="hidden" name="cidr" value="${h.ip}"/>
+          <input type="hidden" name="note" value="rate limited"/><button class="btn danger small">${t("limits.block")}</button></form>
+      </div>`
+    );
+    return layout(
+      req,
+      t("limits.title"),
+      html`<h1>${t("limits.title")}</h1>
+       <div class="row" style="margin-bottom:12px"><a class="btn" href="/rooms">${t("nav.rooms")}</a></div>
+       ${error && html`<p class="note">${error}</p>`}
+       <p class="meta">${t("limits.rates")}</p><ul class="meta">${rates}</ul>
+       ${ruleList("block")}
+       ${ruleList("allow")}
+       <h2>${t("limits.hits")}</h2>
+       ${hits.length ? join(hits, raw("<hr>")) : html`<p class="meta">${t("limits.noHits")}</p>`}`
+    );
+  };
+
+  app.get("/admin/limits", requireAdmin, (req, res) => res.send(limitsPage(req)));
+  app.post("/admin/limits/:list(block|allow)", requireAdmin, requireCsrf, (req, res) => {
+    const rule = limits.addRule(req.params.list, req.body.cidr, { note: req.body.note, addedBy: req.admin.name });
+    if (!rule) return res.status(400).send(limitsPage(req, req.t("limits.invalid", { cidr: req.body.cidr || "" })));
+    audit.log(req, "ip.rule_add", { list: req.params.list, cidr: rule.cidr, note: rule.note });
+    res.redirect("/admin/limits");
+  });
+  app.post("/admin/limits/:list(block|allow)/:id/remove", requireAdmin, requireCsrf, (req, res) => {
+    const rule = limits.removeRule(req.params.list, req.params.id);
+    if (rule) audit.log(req, "ip.rule_remove", { list: req.params.list, cidr: rule.cidr });
+    res.redirect("/admin/limits");
+  });
+
+  // Admin: create room
+  app.post("/admin/create-room", requireAdmin, requireCsrf, (req, res) => {
+    let room = (req.body.room || "").trim().toLowerCase();
+    if (!ROOM_NAME_RE.test(room)) {
+      return res.send(messagePage(req, req.t("room.invalidTitle"), req.t("room.invalid"), { label: req.t("nav.back") }));
+    }
+    if (!library.exists(room)) {
+      const hours = ROOM_EXPIRY_HOURS.includes(Number(req.body.expiresIn)) ? Number(req.body.expiresIn) : 0;
+      const { expiresAt } = library.createRoom(room, {
+        title: req.body.title,
+        description: req.body.description,
+        createdBy: req.admin.name,
+        expiresAt: expiresIn(hours),
+      });
+      audit.log(req, "room.create", { room, ...(expiresAt && { expiresAt }) });
+    }
+    res.redirect("/rooms");
+  });
+
+  // Admin: per-room upload policy (blank fields inherit the global default)
+  const policySummary = (t, p) =>
+    [
+      t("policy.perFile", { size: p.maxFileSize ? formatBytes(p.maxFileSize) : t("limits.unlimited") }),
+      p.maxFiles ? t("policy.maxFiles", { n: p.maxFiles }) : "",
+      p.quotaBytes ? t("policy.quota", { size: formatBytes(p.quotaBytes) }) : "",
+      p.allowedFamilies.map((f) => t(`policy.family.${f}`)).join(", ") || t("policy.noTypes"),
+      t("policy.duplicates", { mode: t(`policy.duplicates.${p.duplicates}`) }),
+      p.moderate ? t("policy.held") : "",
+      p.fileTtlHours.length ? t("policy.lifetime", { times: p.fileTtlHours.map((h) => duration(t, h)).join(" / ") }) : "",
+      p.maxDownloads ? t("policy.maxDownloads", { n: p.maxDownloads }) : "",
+    ]
+      .filter(Boolean)
+      .join(" · ");
+
+  app.get("/admin/policy/:room", requireAdmin, (req, res) => {
+    const { t } = req;
+    const room = req.params.room;
+    if (!library.exists(room)) return res.redirect("/rooms");
+    const current = roomStore.data.rooms[room]?.policy || {};
+    const effective = policies.get(room);
+    const used = upload.usage(room);
+    const numField = (name, label, value, unit) => html`<p>${label}${unit && ` (${unit})`}:
+      <input name="${name}" type="text" inputmode="numeric" value="${value ?? ""}" placeholder="${t("policy.defaultUnlimited")}"/></p>`;
+    const families = MIME_FAMILIES.map(
+      (f) => html`<label class="badge"><input type="checkbox" name="families" value="${f}" ${effective.allowedFamilies.includes(f) && "checked"}/> ${t(`policy.family.${f}`)}</label> `
+    );
+    const duplicates = ["", ...DUPLICATE_MODES].map(
+      (m) =>
+        html`<option value="${m}" ${(current.duplicates || "") === m && "selected"}>${m ? t(`policy.duplicateOption.${m}`) : t("policy.default", { value: t(`policy.duplicates.${defaultPolicy.duplicates}`) })}</option>`
+    );
+    res.send(
+      layout(
+        req,
+        t("policy.title"),
+        html`<h1>${t("policy.heading", { room })}</h1>
+         <p class="meta">${t("policy.effective", { summary: policySummary(t, effective) })}</p>
+         <p class="meta">${t("policy.usage", { n: used.files, size: formatBytes(used.bytes) })}</p>
+         <form method="post" action="/admin/policy/${encodeURIComponent(room)}">
+           ${csrfField(req)}
+           ${numField("maxFileSizeMb", t("policy.maxFileSize"), current.maxFileSize === undefined ? "" : current.maxFileSize / MB, "MB")}
+           ${numField("maxFiles", t("policy.maxFilesField"), current.maxFiles)}
+           ${numField("quotaMb", t("policy.quotaField"), current.quotaBytes === undefined ? "" : current.quotaBytes / MB, "MB")}
+           <p>${t("policy.allowedTypes")}</p>
+           <div class="row">${families}</div>
+           <p class="meta"><label><input type="checkbox" name="inheritFamilies" value="1" ${!current.allowedFamilies && "checked"}/> ${t("policy.defaultTypes")}</label></p>
+           <p>${t("policy.duplicatesField")} <select name="duplicates">${duplicates}</select></p>
+           <p>${t("policy.newUploads")} <select name="moderate">
+             <option value="" ${current.moderate === undefined && "selected"}>${t("policy.default", { value: t(defaultPolicy.moderate ? "policy.hold" : "policy.publish") })}</option>
+             <option value="0" ${current.moderate === false && "selected"}>${t("policy.publishNow")}</option>
+             <option value="1" ${current.moderate === true && "selected"}>${t("policy.holdForReview")}</option>
+           </select></p>
+           <p>${t("policy.lifetimes")}
+             <input name="fileTtlHours" type="text" value="${current.fileTtlHours?.join(", ") ?? ""}"
+                    placeholder="${t("policy.default", { value: defaultPolicy.fileTtlHours.join(", ") || t("duration.keep") })}"/></p>
+           ${numField("maxDownloads", t("policy.maxDownloadsField"), current.maxDownloads)}
+           <div class="row" style="margin-top:12px">
+             <button class="btn primary">${t("policy.save")}</button>
+             <a class="btn" href="/rooms">${t("action.cancel")}</a>
+           </div>
+         </form>`
+      )
+    );
+  });
+  app.post("/admin/policy/:room", requireAdmin, requireCsrf, (req, res) => {
+    const room = req.params.room;
+    if (!library.exists(room)) return res.redirect("/rooms");
+    const num = (v, scale = 1) => {
+      const n = Number(String(v ?? "").trim());
+      return String(v ?? "").trim() === "" || !Number.isFinite(n) || n < 0 ? undefined : Math.floor(n * scale);
+    };
+    const families = [].concat(req.body.families || []).filter((f) => MIME_FAMILIES.includes(f));
+    policies.set(room, {
+      maxFileSize: num(req.body.maxFileSizeMb, MB),
+      maxFiles: num(req.body.maxFiles),
+      quotaBytes: num(req.body.quotaMb, MB),
+      allowedFamilies: req.body.inheritFamilies ? undefined : families,
+      duplicates: DUPLICATE_MODES.includes(req.body.duplicates) ? req.body.duplicates : undefined,
+      moderate: { 0: false, 1: true }[req.body.moderate],
+      fileTtlHours: String(req.body.fileTtlHours ?? "").trim() ? parseHoursList(req.body.fileTtlHours) : undefined,
+      maxDownloads: num(req.body.maxDownloads),
+    });
+    audit.log(req, "room.policy", { room, policy: roomStore.data.rooms[room].policy });
+    res.redirect(`/admin/policy/${encodeURIComponent(room)}`);
+  });
+
+  // Admin: delete room (asks to type room to confirm)
+  app.get("/admin/delete-room/:room", requireAdmin, (req, res) => {
+    const { t } = req;
+    const room = req.params.room;
+    res.send(
+      layout(
+        req,
+        t("deleteRoom.title"),
+        html`<h1>${t("deleteRoom.heading", { room })}</h1>
+         <p class="note">${t("deleteRoom.note")} <a href="/admin/trash">${t("trash.title")}</a></p>
+         <form method="post" action="/admin/delete-room/${encodeURIComponent(room)}">
+           ${csrfField(req)}
+           <p>${t("deleteRoom.confirm")}</p>
+           <input type="text" name="confirm" placeholder="${room}"/>
+           <div class="row" style="margin-top:12px">
+             <button class="btn danger">${t("room.delete")}</button>
+             <a class="btn" href="/rooms">${t("action.cancel")}</a>
+           </div>
+         </form>`
+      )
+    );
+  });
+  app.post("/admin/delete-room/:room", requireAdmin, requireCsrf, async (req, res, next) => {
+    const room = req.params.room;
+    if ((req.body.confirm || "").trim() !== room) {
+      return res.send(messagePage(req, req.t("deleteRoom.mismatchTitle"), req.t("deleteRoom.mismatch"), { label: req.t("nav.back") }));
+    }
+    try {
+      const item = await trash.trashRoom(room, { actor: req.admin.name });
+      if (item) audit.log(req, "room.delete", { room, files: item.files.length });
+      res.redirect("/rooms");
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Age gate in front of everything that shows a room's content. Admins and
+  // API token holders skip it. Pages (kind "page", and files opened directly)
+  // go to the gate and come back after confirming; uploads (kind "upload") are
+  // rejected like other uploads; other requests are refused.
+  const bearerToken = (req) => {
+    const [scheme, token] = (req.headers.authorization || "").split(" ");
+    return scheme === "Bearer" && Boolean(tokens.verify(token));
+  };
+  // Other sites can't confirm for the visitor
+  const crossSite = (req) => {
+    try {
+      return Boolean(req.get("Origin")) && new URL(req.get("Origin")).host !== req.get("host");
+    } catch {
+      return true;
+    }
+  };
+  const ageOk = (req, room) => isAdmin(req) || gate.passes(req, room) || bearerToken(req);
+  const requireAge = (kind) => (req, res, next) => {
+    const room = String(req.params.room || "").toLowerCase();
+    if (ageOk(req, room)) return next();
+    const opened = req.get("Sec-Fetch-Mode") ? req.get("Sec-Fetch-Mode") === "navigate" : /text\/html/.test(req.get("Accept") || "");
+    if (req.method === "GET" && (kind === "page" || opened)) return res.redirect(`/age/${encodeURIComponent(room)}?next=${encodeURIComponent(req.originalUrl)}`);
+    if (kind === "upload") return next(new UploadRejectedError(403, "age_unconfirmed"));
+    res.status(403).send(req.t("gate.confirmFirst"));
+  };
+
+  app.get("/age/:room", roomLocale, (req, res) => {
+    const room = String(req.params.room || "").toLowerCase();
+    if (!ROOM_NAME_RE.test(room)) return res.redirect("/rooms");
+    const next = req.query.next ? safeNext(req.query.next) : roomEnterLink(room);
+    if (ageOk(req, room)) return res.redirect(next);
+    res.send(gatePage(req, room, next));
+  });
+  app.post("/age/:room", roomLocale, (req, res) => {
+    const room = String(req.params.room || "").toLowerCase();
+    if (!ROOM_NAME_RE.test(room)) return res.redirect("/rooms");
+    if (crossSite(req)) return res.status(403).send(req.t("error.forbidden"));
+    gate.confirm(req, res, room);
+    res.redirect(req.body.next ? safeNext(req.body.next) : roomEnterLink(room));
+  });
+
+  // Private rooms: passphrase form / invite notice instead of the room
+  const lockedPage = (req, room, error) => {
+    const { t } = req;
+    const hasPass = Boolean(access.settings(room).passphrase);
+    return layout(
+      req,
+      t("locked.title"),
+      html`<h1>${t("locked.title")}</h1>
+       <p>${t(hasPass ? "locked.passOrInvite" : "locked.invite", { room })}</p>
+       ${error && html`<p class="note">${error}</p>`}
+       ${hasPass &&
+         html`<form class="row" method="post" action="/room/${encodeURIComponent(room)}/unlock">
+              <input name="passphrase" type="password" placeholder="${t("locked.passphrase")}" required/>
+              <button class="btn primary">${t("locked.enter")}</button>
+            </form>`}
+       <div class="row" style="margin-top:12px"><a class="btn" href="/rooms">${t("nav.rooms")}</a></div>`
+    );
+  };
+
+  // Upload routes: the rejected-upload page (see the end) links back to :room
+  const keepRoom = (req, res, next) => {
+    res.locals.room = String(req.params.room || "").toLowerCase();
+    next();
+  };
+
+  // Gate a route on the visitor's permission for :room ("view" or "upload")
+  const requireRoomAccess = (perm) => (req, res, next) => {
+    const room = String(req.params.room || "").toLowerCase();
+    if (access.can(req, room, perm)) return next();
+    if (perm === "upload") return next(new UploadRejectedError(403, "forbidden"));
+    res.status(403).send(lockedPage(req, room));
+  };
+
+  app.post("/room/:room/unlock", roomLocale, (req, res) => {
+    const room = String(req.params.room || "").toLowerCase();
+    if (!library.exists(room)) return res.redirect("/rooms");
+    if (!access.unlock(req, res, room, req.body.passphrase)) {
+      return res.status(403).send(lockedPage(req, room, req.t("locked.wrongPassphrase")));
+    }
+    res.redirect(roomEnterLink(room));
+  });
+
+  app.get("/invite/:room/:token", roomLocale, (req, res) => {
+    const room = String(req.params.room || "").toLowerCase();
+    if (!library.exists(room) || !access.redeem(req, res, room, req.params.token)) {
+      return res.status(403).send(messagePage(req, req.t("invite.invalidTitle"), req.t("invite.invalid")));
+    }
+    res.redirect(roomEnterLink(room));
+  });
+
+  // Admin: room access (visibility, passphrase, invites) — managed from the room page
+  const accessPanel = (req, room) => {
+    const { t } = req;
+    const s = access.settings(room);
+    // The request's own host only when no public address is set: Host can be made up
+    const base = PUBLIC_URL || `${req.protocol}://${req.get("host")}`;
+    const invites = s.invites
+      .filter((i) => i.expiresAt > Date.now())
+      .map(
+        (i) => html`<div class="row" style="justify-content:space-between">
+          <div style="flex:1;min-width:220px">
+            <span class="badge">${t(`access.perm.${i.perm}`)}</span>
+            <span class="meta">${t("access.inviteMeta", { time: new Date(i.expiresAt).toISOString(), admin: i.createdBy })}</span>
+            <input type="text" readonly value="${base}/invite/${encodeURIComponent(room)}/${access.inviteToken(room, i)}"/>
+          </div>
+          <form method="post" action="/admin/invites/${encodeURIComponent(room)}/${i.id}/revoke">
+            ${csrfField(req)}
+            <button class="btn danger small">${t("access.revoke")}</button>
+          </form>
+        </div>`
+      );
+    return html`<h2>${t("access.title")}</h2>
+      <form class="row" method="post" action="/admin/access/${encodeURIComponent(room)}">
+        ${csrfField(req)}
+        <select name="visibility" class="btn">
+          ${VISIBILITIES.map((v) => html`<option value="${v}" ${v === s.visibility && "selected"}>${t(`visibility.${v}`)}</option>`)}
+        </select>
+        <input name="passphrase" type="text" placeholder="${t(s.passphrase ? "access.passphraseSet" : "access.noPassphrase")}" style="flex:1;width:auto"/>
+        <label class="meta"><input type="checkbox" name="clearPassphrase" value="1"/> ${t("access.clearPassphrase")}</label>
+        <button class="btn small">${t("access.save")}</button>
+      </form>
+      <form class="row" method="post" action="/admin/invites/${encodeURIComponent(room)}" style="margin-top:10px">
+        ${csrfField(req)}
+        <select name="perm" class="btn">
+          ${PERMS.map((p) => html`<option value="${p}">${t(`access.perm.${p}`)}</option>`)}
+        </select>
+        <select name="hours" class="btn">
+          ${[1, 24, 168, 720].map((h) => html`<option value="${h}" ${h === 24 && "selected"}>${duration(t, h)}</option>`)}
+        </select>
+        <button class="btn small primary">${t("access.createInvite")}</button>
+      </form>
+      ${invites.length ? html`<div style="margin-top:10px">${invites}</div>` : html`<p class="meta">${t("access.noInvites")}</p>`}
+      ${s.visibility !== "private" && html`<p class="meta">${t("access.privateOnly")}</p>`}`;
+  };
+
+  // Admin: the room's age gate (blank fields follow the AGE_GATE_* defaults)
+  const ageGatePanel = (req, room) => {
+    const { t } = req;
+    const current = gate.overrides(room);
+    const effective = gate.settings(room);
+    const choice = current.enabled === undefined ? "" : current.enabled ? "1" : "0";
+    const options = [
+      ["", t("policy.default", { value: t(AGE_GATE.enabled ? "ageGate.on" : "ageGate.off") })],
+      ["1", t("ageGate.onOption")],
+      ["0", t("ageGate.offOption")],
+    ];
+    return html`<h2>${t("ageGate.title")}</h2>
+      <p class="meta">${effective.enabled ? t("ageGate.effective", { age: effective.minAge }) : t("ageGate.effectiveOff")}</p>
+      <form method="post" action="/admin/age-gate/${encodeURIComponent(room)}">
+        ${csrfField(req)}
+        <div class="row">
+          <select name="enabled" class="btn">
+            ${options.map(([v, label]) => html`<option value="${v}" ${v === choice && "selected"}>${label}</option>`)}
+          </select>
+          <input name="minAge" type="number" min="1" max="99" value="${current.minAge ?? ""}" placeholder="${t("ageGate.minAge", { age: AGE_GATE.minAge })}" style="width:14em"/>
+        </div>
+        <p><input name="text" type="text" maxlength="1000" value="${current.text ?? ""}" placeholder="${t("ageGate.text", { text: AGE_GATE.text || t("gate.text") })}"/></p>
+        <p class="meta">${t("ageGate.textHint")}</p>
+        <button class="btn small">${t("ageGate.save")}</button>
+      </form>`;
+  };
+
+  // Admin: room title / description / cover / language
+  const detailsPanel = (req, room, info, files) => {
+    const { t } = req;
+    const languages = Object.entries(i18n.names());
+    return html`<h2>${t("details.title")}</h2>
+    <form method="post" action="/admin/room/${encodeURIComponent(room)}">
+      ${csrfField(req)}
+      <p><input name="title" type="text" maxlength="100" value="${info.title}" placeholder="${t("details.titlePlaceholder")}"/></p>
+      <p><input name="description" type="text" maxlength="500" value="${info.description}" placeholder="${t("details.descriptionPlaceholder")}"/></p>
+      <div class="row">
+        <select name="cover" class="btn">
+          <option value="">${t("details.noCover")}</option>
+          ${files
+            .filter((f) => canThumbnail(f.mime))
+            .map((f) => html`<option value="${f.name}" ${f.name === info.cover && "selected"}>${f.originalName}</option>`)}
+        </select>
+        <select name="expiresIn" class="btn" title="${t("room.lifetime")}">
+          <option value="">${info.expiresAt ? t("details.expires", { time: when(info.expiresAt) }) : t("room.neverExpires")}</option>
+          ${ROOM_EXPIRY_HOURS.map((h) => html`<option value="${h}">${h ? t("details.expireIn", { time: duration(t, h) }) : t("details.neverExpire")}</option>`)}
+        </select>
+        <select name="locale" class="btn" title="${t("details.language")}">
+          <option value="">${t("details.browserLanguage")}</option>
+          ${languages.map(([code, name]) => html`<option value="${code}" ${code === info.locale && "selected"}>${name}</option>`)}
+        </select>
+        <button class="btn small">${t("details.save")}</button>
+      </div>
+    </form>
+    <p>
+      <a class="btn small" href="/admin/file-tools/${encodeURIComponent(room)}">${t("details.manageFiles")}</a>
+      <a class="btn small" href="/admin/import/${encodeURIComponent(room)}">${t("details.import")}</a>
+    </p>`;
+  };
+
+  app.post("/admin/room/:room", requireAdmin, requireCsrf, (req, res) => {
+    const room = req.params.room;
+    if (!library.exists(room)) return res.redirect("/rooms");
+    const cover = library.getFile(room, req.body.cover);
+    library.updateRoom(room, {
+      title: String(req.body.title || "").trim().slice(0, 100) || room,
+      description: String(req.body.description || "").trim().slice(0, 500),
+      cover: cover && canThumbnail(cover.mime) ? cover.name : null,
+      expiresAt: ROOM_EXPIRY_HOURS.includes(Number(req.body.expiresIn)) && req.body.expiresIn !== "" ? expiresIn(Number(req.body.expiresIn)) : undefined,
+      locale: i18n.has(req.body.locale) ? req.body.locale : null,
+    });
+    audit.log(req, "room.update", { room });
+    res.redirect(roomEnterLink(room));
+  });
+
+  app.post("/admin/access/:room", requireAdmin, requireCsrf, (req, res) => {
+    const room = req.params.room;
+    if (!library.exists(room)) return res.redirect("/rooms");
+    access.setVisibility(room, req.body.visibility);
+    if (req.body.clearPassphrase) access.setPassphrase(room, "");
+    else if (req.body.passphrase) access.setPassphrase(room, req.body.passphrase);
+    audit.log(req, "room.access", {
+      room,
+      visibility: access.settings(room).visibility,
+      passphrase: req.body.clearPassphrase ? "cleared" : req.body.passphrase ? "changed" : undefined,
+    });
+    res.redirect(roomEnterLink(room));
+  });
+  app.post("/admin/age-gate/:room", requireAdmin, requireCsrf, (req, res) => {
+    const room = req.params.room;
+    if (!library.exists(room)) return res.redirect("/rooms");
+    const minAge = Number(req.body.minAge);
+    const text = String(req.body.text || "").trim().slice(0, 1000);
+    gate.set(room, {
+      enabled: { 0: false, 1: true }[req.body.enabled],
+      minAge: Number.isInteger(minAge) && minAge > 0 && minAge < 100 ? minAge : undefined,
+      text: text || undefined,
+    });
+    audit.log(req, "room.age_gate", { room, ageGate: gate.overrides(room) });
+    res.redirect(roomEnterLink(room));
+  });
+  app.post("/admin/invites/:room", requireAdmin, requireCsrf, (req, res) => {
+    const room = req.params.room;
+    if (!library.exists(room)) return res.redirect("/rooms");
+    const hours = Math.min(Math.max(Number(req.body.hours) || 24, 1), 24 * 365);
+    const invite = access.createInvite(room, { perm: req.body.perm, ttlMs: hours * 60 * 60 * 1000, createdBy: req.admin.name });
+    audit.log(req, "invite.create", { room, id: invite.id, perm: invite.perm, expiresAt: new Date(invite.expiresAt).toISOString() });
+    res.redirect(roomEnterLink(room));
+  });
+  app.post("/admin/invites/:room/:id/revoke", requireAdmin, requireCsrf, (req, res) => {
+    const room = req.params.room;
+    if (library.exists(room)) {
+      access.revokeInvite(room, req.params.id);
+      audit.log(req, "invite.revoke", { room, id: req.params.id });
+    }
+    res.redirect(roomEnterLink(room));
+  });
+
+  // Moderation: approve/reject buttons for a set of "room/name" files, visitor report form
+  const moderationButtons = (req, files, next) => html`<form class="row" method="post" action="/admin/moderation" style="margin-top:8px">
+      ${csrfField(req)}
+      ${files.map((f) => html`<input type="hidden" name="files" value="${f}"/>`)}
+      <input type="hidden" name="next" value="${next}"/>
+      <button class="btn primary small" name="action" value="approve">${req.t("moderation.approve")}</button>
+      <button class="btn danger small" name="action" value="reject">${req.t("moderation.reject")}</button>
+    </form>`;
+
+  const reportForm = (req, room, f) => html`<details class="meta" style="margin-top:8px">
+      <summary>${req.t("report.title")}</summary>
+      <form method="post" action="/report/${encodeURIComponent(room)}/${encodeURIComponent(f.name)}">
+        <select name="reason">${Object.keys(REPORT_REASONS).map((k) => html`<option value="${k}">${req.t(`report.reason.${k}`)}</option>`)}</select>
+        <input name="text" type="text" maxlength="500" placeholder="${req.t("report.details")}"/>
+        <button class="btn danger small">${req.t("report.send")}</button>
+      </form>
+    </details>`;
+
+  app.post("/report/:room/:name", roomLocale, requireAge("content"), requireRoomAccess("view"), (req, res) => {
+    const room = String(req.params.room || "").toLowerCase();
+    const { name } = req.params;
+    const { reason, text } = req.body;
+    if (!moderation.report(room, name, { reason, text, ip: normalizeIp(req.ip) })) return res.status(404).send(req.t("error.notFound"));
+    audit.log(req, "file.report", { room, file: name, reason });
+    res.redirect(`${roomEnterLink(room)}?reported=1`);
+  });
+
+  // Admin: everything pending review or reported, across rooms
+  app.get("/admin/moderation", requireAdmin, (req, res) => {
+    const { t } = req;
+    const items = moderation.queue();
+    const card = (f) => {
+      const reports = f.reports.map(
+        (r) => html`<li>${REPORT_REASONS[r.reason] ? t(`report.reason.${r.reason}`) : r.reason}${r.text && `: ${r.text}`} <span class="meta">(${when(r.at)})</span></li>`
+      );
+      return html`<div class="card">
+        <label class="meta"><input type="checkbox" name="files" value="${`${f.room}/${f.name}`}"/> ${t("action.select")}</label>
+        ${cardMedia(f.room, f)}
+        ${!moderation.isPublished(f) && html`<span class="badge">${t("moderation.pending")}</span>`}
+        <div class="meta"><a href="${roomEnterLink(f.room)}">${f.roomTitle}</a> · ${f.originalName}</div>
+        ${f.note && html`<div>${f.note}</div>`}
+        <div class="meta">${when(f.uploadedAt)} · ${formatBytes(f.size)}</div>
+        ${reports.length > 0 && html`<ul class="note">${reports}</ul>`}
+      </div>`;
+    };
+    res.send(
+      layout(
+        req,
+        t("moderation.title"),
+        html`<h1>${t("moderation.title")}</h1>
+         <div class="row" style="margin-bottom:12px"><a class="btn" href="/rooms">${t("nav.rooms")}</a></div>
+         ${
+           items.length
+             ? html`<form method="post" action="/admin/moderation">
+                  ${csrfField(req)}
+                  <p class="meta">${t("moderation.help")}</p>
+                  <div class="row" style="margin-bottom:12px">
+                    <button class="btn primary" name="action" value="approve">${t("moderation.approveSelected")}</button>
+                    <button class="btn danger" name="action" value="reject">${t("moderation.rejectSelected")}</button>
+                    <button class="btn danger" name="action" value="delete">${t("moderation.deleteSelected")}</button>
+                  </div>
+                  <div class="grid">${items.map(card)}</div>
+                </form>`
+             : html`<p class="meta">${t("moderation.empty")}</p>`
+         }`
+      )
+    );
+  });
+
+  app.post("/admin/moderation", requireAdmin, requireCsrf, async (req, res, next) => {
+    const { action } = req.body;
+    try {
+      for (const entry of [].concat(req.body.files || [])) {
+        const [room, name] = String(entry).split("/");
+        if (!library.getFile(room, name)) continue;
+        if (action === "approve") {
+          moderation.approve(room, name);
+          audit.log(req, "file.approve", { room, file: name });
+        } else if (action === "reject" || action === "delete") {
+          if (await moderation.reject(room, name, { actor: req.admin.name })) audit.log(req, `file.${action}`, { room, file: name });
+        }
+      }
+      res.redirect(safeNext(req.body.next || "/admin/moderation"));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Files that go into a room's ZIP: what the visitor sees, minus files with a
+  // download limit (those are only handed out one counted download at a time)
+  const canZip = (f) => !expiry.fileExpired(f) && !f.maxDownloads;
+  const zippableFiles = (req, room) => moderation.visibleFiles(room, isAdmin(req)).filter(canZip);
+
+  // ZIP entry names: the original names, made safe and unique ("a.jpg", "a (2).jpg")
+  const zipNames = (files) => {
+    const seen = new Set();
+    return files.map((f) => {
+      const clean = f.originalName.replace(/[\\/:*?"<>|\x00-\x1f]/g, "_").replace(/^[.\s]+/, "").trim() || f.name;
+      const { name, ext } = path.parse(clean);
+      let entry = clean;
+      for (let n = 2; seen.has(entry.toLowerCase()); n++) entry = `${name} (${n})${ext}`;
+      seen.add(entry.toLowerCase());
+      return entry;
+    });
+  };
+
+  // A file's card on the room page; lib/live.js pushes it to open pages too
+  const fileCard = (req, room, f) => {
+    const { t } = req;
+    const admin = isAdmin(req);
+    const enc = encodeURIComponent(f.name);
+    return html`<div class="card" data-file="${f.name}">
+      ${cardMedia(room, f)}
+      ${admin && !moderation.isPublished(f) && html`<span class="badge">${t("moderation.pending")}</span>`}
+      ${admin && f.reports.length > 0 && html`<a class="badge" href="/admin/moderation">${t("file.reports", { n: f.reports.length })}</a>`}
+      <div class="meta" title="${f.name}">${f.originalName}</div>
+      ${f.note && html`<div>${f.note}</div>`}
+      <div class="meta">${when(f.uploadedAt)} · ${formatBytes(f.size)}</div>
+      ${countdown(req, f.expiresAt)}
+      ${f.maxDownloads > 0 && html`<span class="badge">${t("file.downloadsLeft", { n: f.maxDownloads - f.downloads, max: f.maxDownloads })}</span>`}
+      <div class="row" style="margin-top:8px">
+        <a class="btn small" href="${fileUrl(room, f.name, { download: 1 })}" download>${t("file.download")}</a>
+        ${admin &&
+          html`<form method="post" action="/delete/${encodeURIComponent(room)}/${enc}" style="display:inline"
+                  onsubmit="return confirm(${js(t("file.confirmDelete", { name: f.originalName }))})">
+                ${csrfField(req)}
+                <button class="btn danger small">${t("action.delete")}</button>
+              </form>`}
+        ${canZip(f) && html`<label class="meta"><input type="checkbox" name="files" value="${f.name}" form="zip-form"/> ${t("action.select")}</label>`}
+      </div>
+      ${admin && !moderation.isPublished(f) && moderationButtons(req, [`${room}/${f.name}`], roomEnterLink(room))}
+      ${!admin && reportForm(req, room, f)}
+    </div>`;
+  };
+
+  // Open room pages get new, changed and deleted files pushed to them
+  const live = createLive({
+    library,
+    canView: (req, room) => ageOk(req, room) && access.can(req, room, "view") && !expiry.roomExpired(room),
+    // In the language the viewer's page was rendered in
+    renderCard: (req, room, name) => {
+      const f = library.getFile(room, name);
+      if (!f || (!isAdmin(req) && !moderation.isPublished(f)) || expiry.fileExpired(f)) return null;
+      localize(req, room);
+      return String(fileCard(req, room, f));
+    },
+  });
+  app.get("/live/:room", live.sse);
+
+  // Room page gallery: sort, media kind, search and page from the query string
+  const galleryQuery = (q) => ({
+    sort: Object.hasOwn(FILE_SORTS, q.sort) ? q.sort : "newest",
+    kind: FILE_KINDS.includes(q.type) ? q.type : "",
+    q: typeof q.q === "string" ? q.q.trim().slice(0, 100) : "",
+    page: Math.max(1, Number.parseInt(q.page, 10) || 1),
+  });
+  // Room page URL for a gallery view; defaults are left out
+  const galleryUrl = (room, { sort, kind, q, page }) => {
+    const params = new URLSearchParams();
+    if (q) params.set("q", q);
+    if (kind) params.set("type", kind);
+    if (sort !== "newest") params.set("sort", sort);
+    if (page > 1) params.set("page", String(page));
+    const query = params.toString();
+    return `/room/${encodeURIComponent(room)}${query ? `?${query}` : ""}`;
+  };
+
+  // Room view
+  app.get("/room/:room", roomLocale, requireAge("page"), requireRoomAccess("view"), (req, res) => {
+    const { t } = req;
+    const room = (req.params.room || "").toLowerCase();
+    if (!ROOM_NAME_RE.test(room)) return res.redirect("/rooms");
+    if (expiry.roomExpired(room)) {
+      return res.status(410).send(messagePage(req, t("room.expiredTitle"), t("room.expired")));
+    }
+
+    const admin = isAdmin(req);
+    const view = galleryQuery(req.query);
+    const visible = (f) => (admin || moderation.isPublished(f)) && !expiry.fileExpired(f);
+    const { files, total } = library.queryFiles(room, {
+      ...view,
+      filter: visible,
+      offset: (view.page - 1) * ROOM_PAGE_SIZE,
+      limit: ROOM_PAGE_SIZE,
+    });
+    const pages = Math.max(1, Math.ceil(total / ROOM_PAGE_SIZE));
+    const filtered = Boolean(view.q || view.kind);
+    const info = library.getRoom(room) || { title: room, description: "", cover: null };
+    const policy = policies.get(room);
+    const canUpload = access.can(req, room, "upload");
+    const zippable = zippableFiles(req, room).length;
+    const accept = policy.allowedFamilies.map((f) => `${f}/*`).join(",");
+
+    const fileCards = files.map((f) => fileCard(req, room, f));
+
+    const galleryControls = html`<form class="row" method="get" action="/room/${encodeURIComponent(room)}" style="margin-bottom:12px">
+        <input name="q" type="search" value="${view.q}" placeholder="${t("gallery.search")}" style="flex:1;width:auto"/>
+        <select name="type">
+          <option value="">${t("gallery.allTypes")}</option>
+          ${FILE_KINDS.map((k) => html`<option value="${k}" ${k === view.kind && "selected"}>${t(`gallery.kind.${k}`)}</option>`)}
+        </select>
+        <select name="sort">
+          ${Object.keys(FILE_SORTS).map((k) => html`<option value="${k}" ${k === view.sort && "selected"}>${t(`gallery.sort.${k}`)}</option>`)}
+        </select>
+        <button class="btn small">${t("gallery.show")}</button>
+        ${filtered && html`<a class="btn small" href="${galleryUrl(room, { sort: view.sort, page: 1 })}">${t("gallery.clear")}</a>`}
+      </form>`;
+    const pager =
+      pages > 1 &&
+      html`<div class="row" style="margin-top:12px">
+            ${view.page > 1 && html`<a class="btn small" href="${galleryUrl(room, { ...view, page: view.page - 1 })}">${t("gallery.previous")}</a>`}
+            <span class="meta">${t("gallery.page", { page: Math.min(view.page, pages), pages })} · ${t("gallery.files", { n: total })}</span>
+            ${view.page < pages && html`<a class="btn small" href="${galleryUrl(room, { ...view, page: view.page + 1 })}">${t("gallery.next")}</a>`}
+          </div>`;
+
+    const adminBadge = admin
+      ? html`<a class="btn" href="/rooms">${t("nav.rooms")}</a>
+         ${logoutForm(req)}`
+      : html`<a class="btn" href="/rooms">${t("nav.rooms")}</a>
+         <a class="btn" href="/admin/login?next=${encodeURIComponent(roomEnterLink(room))}">${t("nav.admin")}</a>`;
+
+    res.send(
+      layout(
+        req,
+        t("room.title", { title: info.title }),
+        html`<div class="row">
+           ${info.cover && html`<img class="cover" src="${thumbUrl(room, info.cover)}" alt=""/>`}
+           <h1>${t("room.title", { title: info.title })}</h1>
+           ${countdown(req, info.expiresAt, "room")}
+           <span class="badge" data-presence hidden></span>
+         </div>
+         ${info.description && html`<p>${info.description}</p>`}
+         <div class="row" style="margin-bottom:12px">${adminBadge}</div>
+         ${req.query.reported && html`<p class="note">${t("report.thanks")}</p>`}
+         ${canUpload
+           ? html`<form class="row uploader" action="/upload/${encodeURIComponent(room)}" method="post" enctype="multipart/form-data"
+                    data-uploader data-tus="/tus/${encodeURIComponent(room)}">
+                <input name="file" type="file" accept="${accept}" multiple required/>
+                <input name="note" type="text" maxlength="500" placeholder="${t("upload.note")}" style="flex:1;width:auto"/>
+                ${policy.fileTtlHours.length > 0 &&
+                  html`<select name="ttl" title="${t("upload.ttl")}">${policy.fileTtlHours.map(
+                    (h) => html`<option value="${h}">${h ? t("upload.deleteAfter", { time: duration(t, h) }) : t("duration.keep")}</option>`
+                  )}</select>`}
+                <input name="maxDownloads" type="number" min="1" placeholder="${t("upload.maxDownloads")}" style="width:9em"/>
+                <button class="btn primary" data-upload>${t("upload.submit")}</button>
+              </form>
+              <p class="meta">${t("upload.hint", { policy: policySummary(t, policy) })}</p>
+              ${policy.moderate && !admin && html`<p class="note">${t("upload.moderated")}</p>`}
+              <div class="uploads"></div>`
+           : html`<p class="meta">${t("upload.viewOnly")}</p>`}
+         ${admin &&
+           library.exists(room) &&
+           html`<hr/>${detailsPanel(req, room, info, library.listFiles(room))}<hr/>${accessPanel(req, room)}<hr/>${ageGatePanel(req, room)}`}
+         <hr/>
+         ${(total > 0 || filtered) && galleryControls}
+         ${zippable > 0 &&
+           html`<form id="zip-form" class="row" method="get" action="/zip/${encodeURIComponent(room)}" style="margin-bottom:12px">
+                <a class="btn small" href="/zip/${encodeURIComponent(room)}">${t("zip.all")}</a>
+                <button class="btn small">${t("zip.selected")}</button>
+              </form>`}
+         <p class="note" data-live-notice hidden></p>
+         <div class="grid" ${library.exists(room) && html`data-live="/live/${encodeURIComponent(room)}"`}
+              ${LIVE_TRANSPORT === "websocket" && "data-live-ws"} ${view.page === 1 && view.sort === "newest" && !filtered && "data-live-insert"}>
+           ${fileCards.length ? fileCards : html`<div class="meta empty">${t(filtered ? "gallery.noMatch" : "gallery.empty")}</div>`}
+         </div>
+         ${pager}`
+      )
+    );
+  });
+
+  // File serve (see lib/serve.js); ?download=1 sends it as an attachment
+  app.get("/file/:room/:name", roomLocale, requireAge("content"), async (req, res, next) => {
+    const { t } = req;
+    const target = files.resolve(req.params.room, req.params.name);
+    if (!target) return res.status(404).send(t("error.notFound"));
+    const { room, name, key } = target;
+    if (!access.can(req, room, "view")) return res.status(403).send(t("error.forbidden"));
+    if (!isAdmin(req) && !files.verify(req, room, name)) return res.status(403).send(t("file.linkExpired"));
+    const record = library.getFile(room, name);
+    if (!record || (!moderation.isPublished(record) && !isAdmin(req))) return res.status(404).send(t("error.notFound"));
+    if (expiry.roomExpired(room) || expiry.fileExpired(record)) return res.status(410).send(t("error.expired"));
+    // Visitors' downloads count against a download limit. Files with a limit
+    // are sent whole to them, never in ranges, so each GET is one download;
+    // for other files only requests from the start count.
+    const limited = record.maxDownloads > 0 && !isAdmin(req);
+    const range = req.get("Range");
+    let last = false;
+    if (req.method === "GET" && !isAdmin(req) && (limited || !range || /^bytes=0-/.test(range))) {
+      const counted = expiry.countDownload(room, name);
+      if (!counted.ok) return res.status(410).send(t("error.expired"));
+      last = counted.last;
+      if (last) {
+        res.on("finish", () =>
+          library.deleteFile(room, name, { actor: "expiry" }).then(
+            (deleted) => deleted && audit.log(null, "file.expire", { room, file: name, originalName: record.originalName }),
+            (err) => console.error(`Deleting ${key} after its last download failed:`, err)
+          )
+        );
+      }
+    }
+    const download = req.query.download === "1";
+    try {
+      // Limited files are streamed: a presigned URL would take ranges and could
+      // be fetched again until it expires
+      if (PRESIGNED_DOWNLOADS && !limited && !storage.localPath(key)) {
+        const attachment = download || !isInlineSafe(record.mime);
+        return res.redirect(
+          storage.signedUrl(key, { expiresIn: PRESIGN_SECONDS, contentType: record.mime, ...(attachment && { filename: record.originalName }) })
+        );
+      }
+      await files.send(req, res, target, record, { download, cache: !record.maxDownloads, ranges: !limited });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // A room (or the files picked on its page) as one ZIP, streamed entry by entry
+  app.get("/zip/:room", roomLocale, requireAge("content"), async (req, res) => {
+    const { t } = req;
+    const room = String(req.params.room || "").toLowerCase();
+    if (!library.exists(room)) return res.status(404).send(t("error.notFound"));
+    if (!access.can(req, room, "view")) return res.status(403).send(t("error.forbidden"));
+    if (expiry.roomExpired(room)) return res.status(410).send(t("error.expired"));
+    const selected = [].concat(req.query.files || []).map(String);
+    const files = zippableFiles(req, room).filter((f) => !selected.length || selected.includes(f.name));
+    if (!files.length) return res.status(404).send(t("zip.none"));
+    const names = zipNames(files);
+    const entries = files.map((f, i) => ({
+      name: names[i],
+      size: f.size,
+      mtime: new Date(f.uploadedAt),
+      open: () => storage.createReadStream(library.fileKey(room, f.name)),
+    }));
+    res.attachment(`${room}${selected.length ? "-selection" : ""}.zip`).set("Cache-Control", "no-store");
+    // A failure halfway can only cut the download short; the client sees a broken ZIP
+    await pipeline(zipStream(entries), res).catch((err) => {
+      if (err.code !== "ERR_STREAM_PREMATURE_CLOSE") console.error(`ZIP of ${room} failed:`, err);
+    });
+  });
+
+  // Thumbnails / previews (WebP when the browser takes it, JPEG otherwise)
+  app.get("/thumb/:room/:name", roomLocale, requireAge("content"), async (req, res, next) => {
+    const { t } = req;
+    const target = files.resolve(req.params.room, req.params.name);
+    if (!target || !library.exists(target.room)) return res.status(404).send(t("error.notFound"));
+    const { room, name } = target;
+    if (!access.can(req, room, "view")) return res.status(403).send(t("error.forbidden"));
+    if (!isAdmin(req) && !files.verify(req, room, name)) return res.status(403).send(t("error.forbidden"));
+    const record = library.getFile(room, name);
+    if (!record || (!moderation.isPublished(record) && !isAdmin(req)) || expiry.fileExpired(record)) return res.status(404).send(t("error.notFound"));
+    const size = req.query.size === "preview" ? "preview" : "thumb";
+    const format = req.accepts(["image/webp", "image/jpeg"]) === "image/webp" ? "webp" : "jpeg";
+    try {
+      const file = await thumbs.get(room, name, size, format);
+      if (!file) return res.status(404).send(t("error.notFound"));
+      res.vary("Accept").set({ "Cache-Control": "private, max-age=604800", "X-Content-Type-Options": "nosniff" });
+      res.sendFile(file, { cacheControl: false });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Resumable uploads (tus protocol), used by the upload form's script
+  const tus = createTus({
+    uploads: upload,
+    partialsDir: path.join(systemDir, "partials"),
+    expireMs: TUS_EXPIRE_MS,
+    maxSize: defaultPolicy.maxFileSize,
+    onComplete: (req, file) => auditUpload(req, req.params.room.toLowerCase(), file),
+    describe: (req, err) => uploadError(req.t, err),
+  });
+  app.use(
+    "/tus/:room",
+    roomLocale,
+    requireAge("content"),
+    (req, res, next) => (access.can(req, req.params.room.toLowerCase(), "upload") ? next() : res.status(403).send(req.t("error.forbidden"))),
+    // Creating an upload counts against the rate limits with its Upload-Length
+    (req, res, next) => {
+      if (req.method !== "POST" || req.path !== "/") return next();
+      limits.guard((r) => r.get("Upload-Length"))(req, res, (err) =>
+        err ? res.status(err.status).type("text").send(uploadError(req.t, err)) : next()
+      );
+    },
+    tus
+  );
+
+  // Upload (any visitor can upload; several files per post without JS)
+  app.post("/upload/:room", roomLocale, keepRoom, requireAge("upload"), requireRoomAccess("upload"), limits.guard(), limits.perFile(upload.array("file", MAX_FILES_PER_POST)), (req, res) => {
+    const room = req.params.room.toLowerCase();
+    for (const f of req.files) auditUpload(req, room, { ...f, originalName: f.originalname });
+    res.redirect(roomEnterLink(room));
+  });
+
+  // Per-file delete (admin only)
+  app.post("/delete/:room/:name", requireAdmin, requireCsrf, async (req, res, next) => {
+    const target = files.resolve(req.params.room, req.params.name);
+    if (!target) return res.status(404).send(req.t("error.notFound"));
+    const { room, name } = target;
+    try {
+      const item = await trash.trashFile(room, name, { actor: req.admin.name });
+      if (item) audit.log(req, "file.delete", { room, file: name, originalName: item.files[0].record.originalName });
+      res.redirect(roomEnterLink(room));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Admin: bulk import from a ZIP/tar archive, with a summary of what was imported or skipped
+  const importPage = (req, room, result) => {
+    const { t } = req;
+    const { imported, skipped, truncated } = result || {};
+    const summary =
+      result &&
+      html`<h2>${t("import.imported", { n: imported.length })}</h2>
+         ${imported.map(
+           (f) =>
+             html`<div class="meta">${f.name} → <a href="${fileUrl(room, f.filename)}">${f.originalName}</a> · ${formatBytes(f.size)}${f.duplicate && ` · ${t("import.duplicate")}`}${f.status === "pending" && ` · ${t("moderation.pending")}`}</div>`
+         )}
+         ${skipped.length > 0 && html`<h2>${t("import.skipped", { n: skipped.length })}</h2>`}
+         ${skipped.map((s) => html`<div class="meta">${s.name}: ${s.error ? uploadError(t, s.error) : s.reason}</div>`)}
+         ${truncated && html`<p class="note">${t("import.truncated", { n: imported.length + skipped.length })}</p>`}`;
+    return layout(
+      req,
+      t("import.title"),
+      html`<h1>${t("import.heading", { room })}</h1>
+       <p class="meta">${t("import.help")}</p>
+       <form class="row" method="post" action="/admin/import/${encodeURIComponent(room)}" enctype="multipart/form-data">
+         ${csrfField(req)}
+         <input name="archive" type="file" accept=".zip,.tar,.tgz,.gz" required/>
+         <input name="note" type="text" maxlength="500" placeholder="${t("import.note")}" style="flex:1;width:auto"/>
+         <button class="btn primary">${t("import.submit")}</button>
+       </form>
+       <p class="meta">${IMPORT_MAX_BYTES ? t("import.maxSize", { size: formatBytes(IMPORT_MAX_BYTES) }) : t("import.anySize")}</p>
+       ${summary}
+       <div class="row" style="margin-top:12px"><a class="btn" href="${roomEnterLink(room)}">${t("nav.backToRoom")}</a></div>`
+    );
+  };
+
+  app.get("/admin/import/:room", requireAdmin, (req, res) => {
+    if (!library.exists(req.params.room)) return res.redirect("/rooms");
+    res.send(importPage(req, req.params.room));
+  });
+  // The CSRF field is part of the multipart body, so it's checked after receiving
+  app.post("/admin/import/:room", requireAdmin, keepRoom, importer.receive("archive"), requireCsrf, async (req, res, next) => {
+    const room = req.params.room;
+    try {
+      const result = await importer.importArchive(room, req.file.path, { note: req.body.note });
+      for (const f of result.imported) auditUpload(req, room, f);
+      audit.log(req, "room.import", { room, originalName: req.file.originalname, imported: result.imported.length, skipped: result.skipped.length });
+      res.send(importPage(req, room, result));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Admin: every file of a room with bulk delete / move / copy, and room rename
+  const FILE_TOOL_ACTIONS = ["delete", "move", "copy"];
+  const fileToolsPage = (req, room, error) => {
+    const { t } = req;
+    const info = library.getRoom(room);
+    const files = library.listFiles(room);
+    const done = FILE_TOOL_ACTIONS.includes(req.query.done) && req.query.done;
+    const to = ROOM_NAME_RE.test(req.query.to || "") ? req.query.to : "";
+    const targets = library.listRooms().filter((r) => r.name !== room);
+    const rows = files.map(
+      (f) => html`<tr>
+        <td><input type="checkbox" name="files" value="${f.name}"/></td>
+        <td>${canThumbnail(f.mime) ? html`<img class="cover" src="${thumbUrl(room, f.name)}" alt="" loading="lazy"/>` : html`<span class="badge">${fileKindLabel(f)}</span>`}</td>
+        <td><a href="${fileUrl(room, f.name)}" target="_blank" rel="noopener">${f.originalName}</a>
+          <div class="meta">${f.name}${!moderation.isPublished(f) && ` · ${t("moderation.pending")}`}${expiry.fileExpired(f) && ` · ${t("fileTools.expired")}`}</div></td>
+        <td class="num">${formatBytes(f.size)}</td>
+        <td>${when(f.uploadedAt)}</td>
+      </tr>`
+    );
+    return layout(
+      req,
+      t("fileTools.title", { title: info.title }),
+      html`<h1>${t("fileTools.title", { title: info.title })}</h1>
+       <div class="row" style="margin-bottom:12px">
+         <a class="btn" href="/admin">${t("dashboard.title")}</a>
+         <a class="btn" href="${roomEnterLink(room)}">${t("fileTools.openRoom")}</a>
+       </div>
+       ${error && html`<p class="note">${error}</p>`}
+       ${req.query.renamed && html`<p class="note">${t("fileTools.renamed")}</p>`}
+       ${done &&
+         html`<p class="note">${t(`fileTools.done.${done}`, { n: Number(req.query.n) || 0 })}${to && html` <a href="/admin/file-tools/${to}">/${to}</a>`}.</p>`}
+       <form class="row" method="post" action="/admin/rename-room/${encodeURIComponent(room)}">
+         ${csrfField(req)}
+         <input name="to" type="text" value="${room}" placeholder="${t("room.namePlaceholder")}" style="flex:1;width:auto"/>
+         <button class="btn">${t("fileTools.rename")}</button>
+       </form>
+       <p class="meta">${t("fileTools.renameHelp")}</p>
+       <hr/>
+       ${
+         files.length
+           ? html`<form method="post" action="/admin/file-tools/${encodeURIComponent(room)}">
+                ${csrfField(req)}
+                <div class="row" style="margin-bottom:12px">
+                  <label class="meta"><input type="checkbox" onclick="this.form.querySelectorAll('[name=files]').forEach((c) => { c.checked = this.checked; })"/> ${t("fileTools.selectAll")}</label>
+                  <select name="to">
+                    <option value="">${t("fileTools.otherRoom")}</option>
+                    ${targets.map((r) => html`<option value="${r.name}">${r.title} (/${r.name})</option>`)}
+                  </select>
+                  <button class="btn small" name="action" value="move">${t("fileTools.move")}</button>
+                  <button class="btn small" name="action" value="copy">${t("fileTools.copy")}</button>
+                  <button class="btn danger small" name="action" value="delete" onclick="return confirm(${js(t("fileTools.confirmDelete"))})">${t("fileTools.delete")}</button>
+                </div>
+                <table class="stats">
+                  <tr><th></th><th></th><th>${t("fileTools.file")}</th><th class="num">${t("dashboard.size")}</th><th>${t("fileTools.uploaded")}</th></tr>
+                  ${rows}
+                </table>
+              </form>
+              <p class="meta">${t("gallery.files", { n: files.length })} · ${formatBytes(library.usage(room).bytes)}. ${t("fileTools.transferHelp")}</p>`
+           : html`<p class="meta">${t("fileTools.empty")}</p>`
+       }`
+    );
+  };
+  const fileKindLabel = (f) => (path.extname(f.name).slice(1) || "file").toUpperCase();
+
+  app.get("/admin/file-tools/:room", requireAdmin, (req, res) => {
+    if (!library.exists(req.params.room)) return res.redirect("/admin");
+    res.send(fileToolsPage(req, req.params.room));
+  });
+  app.post("/admin/file-tools/:room", requireAdmin, requireCsrf, async (req, res, next) => {
+    const room = req.params.room;
+    if (!library.exists(room)) return res.redirect("/admin");
+    const { action } = req.body;
+    const to = String(req.body.to || "");
+    const names = [].concat(req.body.files || []).map(String).filter((name) => library.getFile(room, name));
+    if (!FILE_TOOL_ACTIONS.includes(action)) return res.redirect(`/admin/file-tools/${encodeURIComponent(room)}`);
+    if (action !== "delete" && (!library.exists(to) || to === room)) {
+      return res.status(400).send(fileToolsPage(req, room, req.t("fileTools.pickRoom")));
+    }
+    let done = 0;
+    try {
+      for (const name of names) {
+        if (action === "delete") {
+          const item = await trash.trashFile(room, name, { actor: req.admin.name });
+          if (!item) continue;
+          audit.log(req, "file.delete", { room, file: name, originalName: item.files[0].record.originalName });
+        } else {
+          const copied = await library.transferFile(room, name, to, { move: action === "move", actor: req.admin.name });
+          if (!copied) continue;
+          audit.log(req, `file.${action}`, { room, file: name, to, toFile: copied });
+        }
+        done++;
+      }
+      const query = new URLSearchParams({ done: action, n: String(done), ...(action !== "delete" && { to }) });
+      res.redirect(`/admin/file-tools/${encodeURIComponent(room)}?${query}`);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  app.post("/admin/rename-room/:room", requireAdmin, requireCsrf, async (req, res, next) => {
+    const room = req.params.room;
+    const to = String(req.body.to || "").trim().toLowerCase();
+    if (!library.exists(room)) return res.redirect("/admin");
+    if (to === room) return res.redirect(`/admin/file-tools/${encodeURIComponent(room)}`);
+    if (!ROOM_NAME_RE.test(to)) return res.status(400).send(fileToolsPage(req, room, req.t("fileTools.invalidName")));
+    if (library.exists(to)) return res.status(409).send(fileToolsPage(req, room, req.t("fileTools.nameTaken", { name: to })));
+    try {
+      await library.renameRoom(room, to, { actor: req.admin.name });
+      audit.log(req, "room.rename", { room: to, from: room });
+      res.redirect(`/admin/file-tools/${encodeURIComponent(to)}?renamed=1`);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // JSON API
+  // API error messages are in English, like the rest of the API
+  const apiT = i18n.translator("en");
+  app.use("/api/v1", createApi({ library, trash, tokens, upload, access, audit, limits, moderation, expiry, files, describe: (req, err) => uploadError(apiT, err) }));
+
+  // 404 (in a host app: on to the host's routes)
+  let mounted = false;
+  app.on("mount", () => {
+    mounted = true;
+  });
+  app.use((req, res, next) => (mounted ? next() : res.status(404).send(messagePage(req, req.t("error.notFoundTitle"), req.t("error.notFoundTitle")))));
+
+  // multer's own errors (too many files, unknown fields, ...) as rejections
+  const MULTER_ERRORS = { LIMIT_FILE_COUNT: "too_many_files", LIMIT_UNEXPECTED_FILE: "unexpected_field" };
+
+  // Rejected uploads get a page explaining why instead of a silent redirect
+  app.use((err, req, res, next) => {
+    if (err instanceof multer.MulterError) err = new UploadRejectedError(400, MULTER_ERRORS[err.code] || "bad_form");
+    if (!(err instanceof UploadRejectedError)) return next(err);
+    const room = res.locals.room || "";
+    const { t } = req;
+    res.status(err.status).send(
+      layout(
+        req,
+        t("upload.rejected"),
+        html`<h1>${t("upload.rejected")}</h1>
+         <p class="note">${uploadError(t, err)}</p>
+         <a class="btn" href="${ROOM_NAME_RE.test(room) ? roomEnterLink(room) : "/rooms"}">${t("nav.backToRoom")}</a>`
+      )
+    );
+  });
+
+  // For the server's "upgrade" event: WebSocket handshakes for live updates get
+  // the same cookies and session as requests. Returns false for other paths.
+  const upgrade = (req, socket) => {
+    if (!req.url.startsWith("/live/")) return false;
+    readCookies(req, null, () =>
+      auth.middleware(req, null, () => {
+        if (!live.upgrade(req, socket)) socket.destroy();
+      })
+    );
+    return true;
+  };
+
+  // Stops the background jobs and timers and ends live connections; the
+  // host closes its server
+  const close = () => {
+    for (const timer of timers) clearInterval(timer);
+    if (ownAuth) auth.close();
+    limits.close();
+    tus.close();
+    webhooks.close();
+    live.close();
+    core.release();
+  };
+
+  return { app, upgrade, close, library, trash, audit, storage, upload, expiry, moderation, webhooks };
+};
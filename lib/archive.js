@@ -0,0 +1,127 @@
+// Bulk import: an uploaded ZIP or tar (.tar, .tar.gz/.tgz) archive is unpacked
+// into a room. Every entry goes through uploads.ingest() like a normal upload
+// (naming, type sniffing, room policy, duplicates); the room's size limit is
+// enforced on the unpacked bytes while they are written, so a small archive
+// can't blow up into a huge file. Folders in the archive are flattened (files
+// are named after their base name); directories, links, entries with absolute
+// or ".." paths and OS metadata (__MACOSX, .DS_Store, Thumbs.db) are skipped.
+// importArchive() resolves to a summary { imported, skipped, truncated }; entries
+// the upload intake refused carry its UploadRejectedError as `error`.
+
+import fs from "fs";
+import path from "path";
+import { Transform } from "stream";
+import { pipeline } from "stream/promises";
+import multer from "multer";
+import { nanoid } from "nanoid";
+import { UploadRejectedError, formatBytes } from "./policy.js";
+import { zipEntries } from "./zip.js";
+import { tarEntries } from "./tar.js";
+
+const JUNK_NAMES = new Set([".DS_Store", "Thumbs.db", "desktop.ini"]);
+
+// Why an entry path is not imported, or null when it's fine
+const unsafePath = (name) => {
+  const parts = name.replace(/\\/g, "/").split("/");
+  if (name.startsWith("/") || name.startsWith("\\") || /^[A-Za-z]:/.test(name)) return "absolute path";
+  if (parts.includes("..")) return "path outside the archive";
+  if (parts.includes("__MACOSX") || JUNK_NAMES.has(parts.at(-1)) || parts.at(-1).startsWith("._")) return "system file";
+  return null;
+};
+
+const isZip = (file) => {
+  const fd = fs.openSync(file, "r");
+  try {
+    const magic = Buffer.alloc(4);
+    fs.readSync(fd, magic, 0, 4, 0);
+    return magic.readUInt32LE(0) === 0x04034b50 || magic.readUInt32LE(0) === 0x06054b50;
+  } finally {
+    fs.closeSync(fd);
+  }
+};
+
+export const createImporter = ({ uploads, tmpDir, maxBytes, maxEntries = 1000 }) => {
+  fs.mkdirSync(tmpDir, { recursive: true });
+
+  const tmpName = () => path.join(tmpDir, `${Date.now()}-${nanoid(8)}.part`);
+
+  // Receives the archive (multipart field `field`) into req.file. The temp
+  // file is removed once the response is done, whatever happened.
+  const receive = (field) => {
+    const handler = multer({
+      storage: multer.diskStorage({ destination: tmpDir, filename: (req, file, cb) => cb(null, path.basename(tmpName())) }),
+      limits: { files: 1, ...(maxBytes && { fileSize: maxBytes }) },
+    }).single(field);
+    return (req, res, next) =>
+      handler(req, res, (err) => {
+        if (req.file) res.on("close", () => fs.rmSync(req.file.path, { force: true }));
+        if (err?.code === "LIMIT_FILE_SIZE") {
+          return next(new UploadRejectedError(413, "archive_too_large", { max: formatBytes(maxBytes) }));
+        }
+        if (!err && !req.file) return next(new UploadRejectedError(400, "no_file"));
+        next(err);
+      });
+  };
+
+  // Writes an entry's content to a temp file, failing once it passes limit
+  const unpack = async (entry, limit) => {
+    const tmpPath = tmpName();
+    let size = 0;
+    const counter = new Transform({
+      transform(chunk, enc, cb) {
+        size += chunk.length;
+        cb(size > limit ? uploads.tooLarge(limit) : null, chunk);
+      },
+    });
+    try {
+      await pipeline(await entry.open(), counter, fs.createWriteStream(tmpPath));
+      return { tmpPath, size };
+    } catch (err) {
+      fs.rmSync(tmpPath, { force: true });
+      throw err;
+    }
+  };
+
+  const importArchive = async (room, file, { note } = {}) => {
+    uploads.preflight(room); // no such room: nothing to do
+    const imported = [];
+    const skipped = [];
+    let truncated = false;
+    const entries = isZip(file) ? zipEntries(file) : tarEntries(fs.createReadStream(file));
+    try {
+      for await (const entry of entries) {
+        const name = entry.name;
+        if (entry.type === "dir") continue;
+        if (imported.length + skipped.length >= maxEntries) {
+          truncated = true;
+          break;
+        }
+        const why = entry.type === "file" ? unsafePath(name) : entry.reason || `${entry.type} entry`;
+        if (why) {
+          skipped.push({ name, reason: why });
+          continue;
+        }
+        try {
+          const { limit } = uploads.preflight(room);
+          const { tmpPath, size } = await unpack(entry, limit);
+          const originalName = name.replace(/\\/g, "/").split("/").at(-1);
+          const accepted = await uploads.ingest(room, { tmpPath, size, originalName, note });
+          imported.push({ name, originalName, size, ...accepted });
+        } catch (err) {
+          if (!(err instanceof UploadRejectedError)) throw err;
+          skipped.push({ name, reason: err.code, error: err });
+        }
+      }
+    } catch (err) {
+      // Z_BUF_ERROR: compressed data that ends early (a cut-off .tar.gz)
+      if (!["EBADARCHIVE", "Z_DATA_ERROR", "Z_BUF_ERROR"].includes(err.code)) throw err;
+      if (!imported.length && !skipped.length) {
+        throw new UploadRejectedError(415, "not_an_archive");
+      }
+      skipped.push({ name: "(rest of the archive)", reason: err.message });
+    }
+    return { imported, skipped, truncated };
+  };
+
+  return { receive, importArchive };
+};
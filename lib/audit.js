@@ -0,0 +1,147 @@
+// Append-only audit log of uploads and admin actions, as JSON Lines in one
+// file per UTC day (audit-YYYY-MM-DD.jsonl). A day's file that reaches
+// maxBytes continues in audit-YYYY-MM-DD.1.jsonl, .2, ... Entries are never
+// rewritten; old files are only read (filtering, export). Other logs of the
+// same kind (e.g. the age gate's consent log) use their own dir and prefix.
+
+import fs from "fs";
+import path from "path";
+import readline from "readline";
+
+export const AUDIT_ACTIONS = [
+  "admin.login",
+  "admin.login_failed",
+  "admin.logout",
+  "file.upload",
+  "file.delete",
+  "file.restore",
+  "file.report",
+  "file.approve",
+  "file.reject",
+  "file.expire",
+  "file.move",
+  "file.copy",
+  "room.create",
+  "room.update",
+  "room.policy",
+  "room.access",
+  "room.age_gate",
+  "room.delete",
+  "room.rename",
+  "room.restore",
+  "room.expire",
+  "room.import",
+  "invite.create",
+  "invite.revoke",
+  "token.create",
+  "token.revoke",
+  "webhook.create",
+  "webhook.delete",
+  "webhook.redeliver",
+  "ip.rule_add",
+  "ip.rule_remove",
+  "trash.purge",
+];
+
+// Fields of an exported CSV row, in order
+export const CSV_FIELDS = ["ts", "action", "actor", "ip", "userAgent", "room", "file", "detail"];
+
+// Values starting with = + - @ are prefixed with ' so spreadsheets don't run them.
+const csvCell = (v) => {
+  let s = v == null ? "" : typeof v === "object" ? JSON.stringify(v) : String(v);
+  if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+export const toCsvRow = (entry) => CSV_FIELDS.map((f) => csvCell(entry[f])).join(",");
+
+export const createAudit = ({ dir, maxBytes, prefix = "audit" }) => {
+  fs.mkdirSync(dir, { recursive: true });
+  const fileRe = new RegExp(`^${prefix}-(\\d{4}-\\d{2}-\\d{2})(?:\\.(\\d+))?\\.jsonl$`);
+
+  // Log files, oldest first
+  const files = () =>
+    fs
+      .readdirSync(dir)
+      .map((name) => ({ name, m: fileRe.exec(name) }))
+      .filter(({ m }) => m)
+      .map(({ name, m }) => ({ name, day: m[1], part: Number(m[2] || 0) }))
+      .sort((a, b) => a.day.localeCompare(b.day) || a.part - b.part);
+
+  let current = null; // { day, part, size }
+  const target = (day) => {
+    if (current?.day !== day) {
+      const last = files().filter((f) => f.day === day).pop();
+      const part = last?.part || 0;
+      const file = path.join(dir, last?.name || `${prefix}-${day}.jsonl`);
+      current = { day, part, size: fs.existsSync(file) ? fs.statSync(file).size : 0 };
+    }
+    if (maxBytes && current.size >= maxBytes) current = { day, part: current.part + 1, size: 0 };
+    return path.join(dir, `${prefix}-${day}${current.part ? `.${current.part}` : ""}.jsonl`);
+  };
+
+  // Who did it and from where; req is null for the app's own background jobs
+  const context = (req) =>
+    req
+      ? {
+          actor: req.admin?.name || (req.apiToken ? `token:${req.apiToken.name}` : null),
+          ip: req.ip,
+          userAgent: req.get("User-Agent") || null,
+        }
+      : { actor: "system", ip: null, userAgent: null };
+
+  // actor overrides the one taken from the request (e.g. on login)
+  const log = (req, action, { room = null, file = null, actor, ...detail } = {}) => {
+    const entry = {
+      ts: new Date().toISOString(),
+      action,
+      ...context(req),
+      ...(actor && { actor }),
+      room,
+      file,
+      ...(Object.keys(detail).length && { detail }),
+    };
+    const line = `${JSON.stringify(entry)}\n`;
+    const logFile = target(entry.ts.slice(0, 10));
+    fs.appendFileSync(logFile, line);
+    current.size += Buffer.byteLength(line);
+    return entry;
+  };
+
+  // from / to are YYYY-MM-DD (inclusive, UTC)
+  const matches = (e, { room, action, actor, from, to }) =>
+    (!room || e.room === room) &&
+    (!action || e.action === action) &&
+    (!actor || e.actor === actor) &&
+    (!from || e.ts.slice(0, 10) >= from) &&
+    (!to || e.ts.slice(0, 10) <= to);
+
+  // Matching entries, oldest first, streamed file by file
+  async function* entries(filter = {}) {
+    for (const f of files()) {
+      if ((filter.from && f.day < filter.from) || (filter.to && f.day > filter.to)) continue;
+      const lines = readline.createInterface({ input: fs.createReadStream(path.join(dir, f.name)), crlfDelay: Infinity });
+      for await (const line of lines) {
+        if (!line) continue;
+        let e;
+        try {
+          e = JSON.parse(line);
+        } catch {
+          continue; // torn last line after a crash
+        }
+        if (matches(e, filter)) yield e;
+      }
+    }
+  }
+
+  // The newest `limit` matching entries, newest first
+  const recent = async (filter, limit) => {
+    const out = [];
+    for await (const e of entries(filter)) {
+      out.push(e);
+      if (out.length > limit) out.shift();
+    }
+    return out.reverse();
+  };
+
+  return { log, entries, recent };
+};
@@ -0,0 +1,124 @@
+// Admin authentication:
+// - Named admins with scrypt-hashed passwords (ADMIN_USERS="name:scrypt$salt$hash,...")
+// - Server-side sessions referenced by a signed HttpOnly cookie, with expiry + logout
+// - Per-session CSRF token for admin forms
+
+import crypto from "crypto";
+
+const SCRYPT_KEYLEN = 32;
+const HEX_RE = /^(?:[0-9a-f]{2})+$/i;
+
+export const hashPassword = (password, salt = crypto.randomBytes(16)) => {
+  const hash = crypto.scryptSync(String(password), salt, SCRYPT_KEYLEN);
+  return `scrypt$${salt.toString("hex")}$${hash.toString("hex")}`;
+};
+
+// Whether stored looks like a hash from hashPassword()
+export const isPasswordHash = (stored) => {
+  const [scheme, saltHex, hashHex, ...rest] = String(stored || "").split("$");
+  return scheme === "scrypt" && HEX_RE.test(saltHex) && HEX_RE.test(hashHex) && hashHex.length === SCRYPT_KEYLEN * 2 && !rest.length;
+};
+
+// Malformed stored hashes never match
+export const verifyPassword = (password, stored) => {
+  if (!isPasswordHash(stored)) return false;
+  const [, saltHex, hashHex] = stored.split("$");
+  const expected = Buffer.from(hashHex, "hex");
+  const actual = crypto.scryptSync(String(password), Buffer.from(saltHex, "hex"), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+// "alice:scrypt$..$..,bob:scrypt$..$.." -> Map(name -> hash)
+export const parseAdminUsers = (spec) => {
+  const admins = new Map();
+  for (const entry of String(spec || "").split(",")) {
+    const idx = entry.indexOf(":");
+    if (idx <= 0) continue;
+    admins.set(entry.slice(0, idx).trim(), entry.slice(idx + 1).trim());
+  }
+  return admins;
+};
+
+// The admins from ADMIN_USERS, or a single "admin" with ADMIN_PASS
+export const adminsFromEnv = (env) => {
+  const admins = parseAdminUsers(env.ADMIN_USERS);
+  for (const [name, stored] of admins) if (!isPasswordHash(stored)) console.warn(`ADMIN_USERS: ${name} has no valid scrypt hash and can't log in`);
+  if (!admins.size) {
+    if (!env.ADMIN_PASS) console.warn("ADMIN_USERS/ADMIN_PASS not set; using default admin password");
+    admins.set("admin", hashPassword(env.ADMIN_PASS || "letmein"));
+  }
+  return admins;
+};
+
+const safeEqual = (a, b) => {
+  const ab = Buffer.from(String(a || ""));
+  const bb = Buffer.from(String(b || ""));
+  return ab.length === bb.length && crypto.timingSafeEqual(ab, bb);
+};
+
+// Sessions live in memory; a restart simply logs every admin out.
+export const createAuth = ({ admins, ttlMs, cookieName = "rooms_admin" }) => {
+  const sessions = new Map();
+
+  const sweep = () => {
+    const now = Date.now();
+    for (const [id, s] of sessions) if (s.expires <= now) sessions.delete(id);
+  };
+  const sweeper = setInterval(sweep, 10 * 60 * 1000).unref();
+  const close = () => clearInterval(sweeper);
+
+  // Attach req.admin ({ name, csrf, expires }) when the session cookie is valid.
+  const middleware = (req, res, next) => {
+    const id = req.signedCookies?.[cookieName];
+    const s = id && sessions.get(id);
+    if (s && s.expires > Date.now()) req.admin = s;
+    else if (s) sessions.delete(id);
+    next();
+  };
+
+  const login = (name, password) => {
+    const stored = admins.get(String(name || ""));
+    // Always run a hash so unknown names don't answer faster than wrong passwords.
+    const ok = verifyPassword(password, stored || hashPassword(""));
+    return Boolean(stored) && ok;
+  };
+
+  const startSession = (req, res, name) => {
+    const id = crypto.randomBytes(32).toString("hex");
+    const expires = Date.now() + ttlMs;
+    sessions.set(id, { name, csrf: crypto.randomBytes(24).toString("hex"), expires });
+    res.cookie(cookieName, id, {
+      signed: true,
+      httpOnly: true,
+      sameSite: "strict",
+      secure: req.secure,
+      maxAge: ttlMs,
+      path: "/",
+    });
+  };
+
+  const endSession = (req, res) => {
+    const id = req.signedCookies?.[cookieName];
+    if (id) sessions.delete(id);
+    res.clearCookie(cookieName, { path: "/" });
+  };
+
+  const isAdmin = (req) => Boolean(req.admin);
+
+  // Non-admins are sent to the login page and come back afterwards.
+  const requireAdmin = (req, res, next) => {
+    if (isAdmin(req)) return next();
+    if (req.method !== "GET") return res.redirect("/admin/login");
+    res.redirect(`/admin/login?next=${encodeURIComponent(req.originalUrl)}`);
+  };
+
+  const csrfField = (req) =>
+    req.admin ? `<input type="hidden" name="_csrf" value="${req.admin.csrf}"/>` : "";
+
+  const requireCsrf = (req, res, next) => {
+    if (req.admin && safeEqual(req.body?._csrf, req.admin.csrf)) return next();
+    res.status(403).send("Invalid or missing CSRF token");
+  };
+
+  return { middleware, login, startSession, endSession, isAdmin, requireAdmin, csrfField, requireCsrf, close };
+};
@@ -0,0 +1,106 @@
+// Content-addressed store shared across rooms (CONTENT_STORE=1). Each
+// distinct content is kept once as blobs/<ab>/<sha256>; room files are hard
+// links to it. The store counts references per hash (as the list of
+// "room/name" files using it) and removes the blob when the last room file
+// using it is deleted. Needs the local storage driver (room files on disk).
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { pipeline } from "stream/promises";
+
+export const hashStream = async (stream) => {
+  const hash = crypto.createHash("sha256");
+  await pipeline(stream, hash);
+  return hash.digest("hex");
+};
+export const hashFile = (file) => hashStream(fs.createReadStream(file));
+
+// Hard link when the filesystem allows it, copy otherwise.
+const linkOrCopy = (src, dest) => {
+  try {
+    fs.linkSync(src, dest);
+  } catch (err) {
+    if (!["EXDEV", "EPERM", "ENOTSUP", "EMLINK"].includes(err.code)) throw err;
+    fs.copyFileSync(src, dest);
+  }
+};
+
+export const createBlobStore = ({ dir, store }) => {
+  const blobPath = (hash) => path.join(dir, hash.slice(0, 2), hash);
+
+  const refs = (hash) => store.data.refs[hash] || [];
+  const has = (hash, ref) => refs(hash).includes(ref);
+
+  const addRef = (hash, ref) =>
+    store.update((d) => {
+      d.refs[hash] = [...new Set([...(d.refs[hash] || []), ref])];
+    });
+
+  // Place a received temp file at dest (the room file `ref`), sharing the
+  // existing blob when this content is already stored. Consumes the temp file.
+  const adopt = (tmpPath, hash, dest, ref) => {
+    const blob = blobPath(hash);
+    if (fs.existsSync(blob)) {
+      fs.rmSync(tmpPath, { force: true });
+    } else {
+      fs.mkdirSync(path.dirname(blob), { recursive: true });
+      fs.renameSync(tmpPath, blob);
+    }
+    fs.mkdirSync(path.dirname(dest), { recursive: true });
+    linkOrCopy(blob, dest);
+    addRef(hash, ref);
+  };
+
+  // Register a room file that was stored before the content store was enabled.
+  const adoptExisting = (file, hash, ref) => {
+    const blob = blobPath(hash);
+    if (!fs.existsSync(blob)) {
+      fs.mkdirSync(path.dirname(blob), { recursive: true });
+      linkOrCopy(file, blob);
+    }
+    addRef(hash, ref);
+  };
+
+  const release = (hash, ref) => {
+    if (!hash || !has(hash, ref)) return;
+    const left = store.update((d) => {
+      d.refs[hash] = d.refs[hash].filter((r) => r !== ref);
+      if (!d.refs[hash].length) delete d.refs[hash];
+      return d.refs[hash]?.length || 0;
+    });
+    if (!left) fs.rmSync(blobPath(hash), { force: true });
+  };
+
+  const stats = () => {
+    const hashes = Object.keys(store.data.refs);
+    return { blobs: hashes.length, references: hashes.reduce((n, h) => n + store.data.refs[h].length, 0) };
+  };
+
+  return { adopt, adoptExisting, release, has, stats };
+};
+
+// Background job at startup: hash files recorded without a sha256 (uploaded
+// before hashing existed) and, with a content store, register every room file
+// in it. One file at a time to keep the server responsive.
+export const backfillHashes = async ({ library, storage, blobs }) => {
+  let hashed = 0;
+  for (const { name: room } of library.listRooms()) {
+    for (const f of library.listFiles(room)) {
+      const ref = library.fileKey(room, f.name);
+      let { sha256 } = f;
+      try {
+        if (!sha256) {
+          sha256 = await hashStream(await storage.createReadStream(ref));
+          library.updateFile(room, f.name, { sha256 });
+          hashed++;
+        }
+        if (blobs && !blobs.has(sha256, ref)) blobs.adoptExisting(storage.localPath(ref), sha256, ref);
+      } catch (err) {
+        // deleted while we were busy
+        if (err.code !== "ENOENT") throw err;
+      }
+    }
+  }
+  return hashed;
+};
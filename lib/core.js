@@ -0,0 +1,148 @@
+// The data side of the rooms app, shared by the web app (lib/app.js) and the
+// rooms CLI (scripts/rooms.js): storage, room and file records, thumbnails,
+// the trash, the content store, uploads, expiry and the audit log, all kept
+// under one data directory. Settings are read from `env` with the same names
+// as the app's environment variables. Background jobs are left to the
+// caller (sweepExpired(), trash.sweep()).
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createRooms } from "./rooms.js";
+import { createStorageFromEnv } from "./storage.js";
+import { openJsonStore } from "./store.js";
+import { createPolicies, defaultPolicyFromEnv } from "./policy.js";
+import { createUploads } from "./upload.js";
+import { createBlobStore } from "./blobs.js";
+import { createLibrary } from "./library.js";
+import { createThumbs } from "./thumbs.js";
+import { createTrash } from "./trash.js";
+import { createAudit } from "./audit.js";
+import { createExpiry } from "./expiry.js";
+
+const MB = 1024 * 1024;
+
+// DATA_DIR, or data/ next to lib/
+export const dataDirFromEnv = (env) =>
+  path.resolve(env.DATA_DIR || path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "data"));
+
+// Bytes below a directory (thumbnail cache, ...)
+export const dirSize = (dir) => {
+  if (!fs.existsSync(dir)) return 0;
+  return fs.readdirSync(dir, { withFileTypes: true }).reduce((n, d) => {
+    const p = path.join(dir, d.name);
+    return n + (d.isDirectory() ? dirSize(p) : d.isFile() ? fs.statSync(p).size : 0);
+  }, 0);
+};
+
+// The app writes its process id here while it runs on the data directory
+const PID_FILE = "app.pid";
+
+// The id of a live process that has the app running on systemDir, or null
+export const runningApp = (systemDir) => {
+  const file = path.join(systemDir, PID_FILE);
+  const pid = fs.existsSync(file) ? Number(fs.readFileSync(file, "utf8").trim()) : 0;
+  if (!pid || pid === process.pid) return null;
+  try {
+    process.kill(pid, 0);
+    return pid;
+  } catch (err) {
+    return err.code === "EPERM" ? pid : null;
+  }
+};
+
+export const createCore = async ({ dataDir, env = process.env }) => {
+  // App state (tokens, settings, ...) lives here; it is never listed as a room.
+  const systemDir = path.join(dataDir, ".system");
+  fs.mkdirSync(systemDir, { recursive: true });
+
+  // File content goes to STORAGE_DRIVER ("local" = the data dir, or "s3"); see lib/storage.js
+  const storage = createStorageFromEnv(env, { dataDir });
+  const rooms = createRooms({ storage });
+
+  // Room records (title, description, ..., per-room settings) + per-room file records
+  const roomStore = openJsonStore(path.join(systemDir, "rooms.json"), { rooms: {} });
+  const library = createLibrary({ rooms, store: roomStore, filesDir: path.join(systemDir, "files") });
+  const migrated = await library.migrate();
+  if (migrated) console.log(`Added metadata for ${migrated} existing rooms/files`);
+  const defaultPolicy = defaultPolicyFromEnv(env);
+  const policies = createPolicies({ store: roomStore, defaults: defaultPolicy });
+  // Derivatives are cached apart from the originals and follow file/room deletes
+  const thumbs = createThumbs({ library, storage, cacheDir: path.join(systemDir, "cache") });
+  // Deleted files and rooms are kept in the trash for TRASH_RETENTION_DAYS (0 = until purged)
+  const trash = createTrash({
+    library,
+    storage,
+    prefix: ".system/trash/",
+    store: openJsonStore(path.join(systemDir, "trash.json"), { items: [] }),
+    retentionMs: Number(env.TRASH_RETENTION_DAYS || 30) * 24 * 60 * 60 * 1000,
+  });
+
+  // CONTENT_STORE=1: identical content is stored once for all rooms (hard links + refcounts)
+  if (env.CONTENT_STORE === "1" && storage.driver !== "local") console.warn("CONTENT_STORE needs the local storage driver; ignored");
+  const blobs =
+    env.CONTENT_STORE === "1" && storage.driver === "local"
+      ? createBlobStore({ dir: path.join(systemDir, "blobs"), store: openJsonStore(path.join(systemDir, "blobs.json"), { refs: {} }) })
+      : null;
+  if (blobs) {
+    library.events.on("file:deleted", ({ room, name, record }) => blobs.release(record?.sha256, `${room}/${name}`));
+    library.events.on("room:deleted", ({ room, files }) => {
+      for (const { name, record } of files) blobs.release(record.sha256, `${room}/${name}`);
+    });
+    // Files restored from the trash, or moved/copied from another room
+    library.events.on("file:added", ({ room, name, record }) => {
+      if (record.sha256 && !blobs.has(record.sha256, `${room}/${name}`)) {
+        blobs.adoptExisting(storage.localPath(library.fileKey(room, name)), record.sha256, `${room}/${name}`);
+      }
+    });
+    library.events.on("room:renamed", ({ room, to, files }) => {
+      for (const { name, record } of files) {
+        if (!record.sha256) continue;
+        blobs.adoptExisting(storage.localPath(library.fileKey(to, name)), record.sha256, `${to}/${name}`);
+        blobs.release(record.sha256, `${room}/${name}`);
+      }
+    });
+  }
+  // Uploads land in a temp dir and go to the storage once they pass the policy
+  const upload = createUploads({ library, storage, policies, blobs, tmpDir: path.join(systemDir, "tmp") });
+
+  // Who uploaded/deleted what, admin logins and settings changes (data/.system/audit/)
+  const audit = createAudit({ dir: path.join(systemDir, "audit"), maxBytes: Number(env.AUDIT_MAX_MB || 10) * MB });
+
+  // Expiring rooms and files are deleted for good once their time (or downloads) ran out
+  const expiry = createExpiry({ library });
+  const sweepExpired = async ({ actor } = {}) => {
+    const removed = await expiry.sweep();
+    for (const { room, file, originalName } of removed) {
+      audit.log(null, file ? "file.expire" : "room.expire", { room, file, actor, ...(originalName && { originalName }) });
+    }
+    return removed;
+  };
+
+  // While the app runs, the CLI leaves the data alone (see runningApp())
+  const pidFile = path.join(systemDir, PID_FILE);
+  const claim = () => fs.writeFileSync(pidFile, String(process.pid));
+  const release = () => {
+    if (fs.existsSync(pidFile) && Number(fs.readFileSync(pidFile, "utf8")) === process.pid) fs.rmSync(pidFile);
+  };
+
+  return {
+    dataDir,
+    systemDir,
+    storage,
+    rooms,
+    roomStore,
+    library,
+    defaultPolicy,
+    policies,
+    thumbs,
+    trash,
+    blobs,
+    upload,
+    audit,
+    expiry,
+    sweepExpired,
+    claim,
+    release,
+  };
+};
@@ -0,0 +1,56 @@
+// Short-lived content: rooms with an expiresAt, files with an expiresAt (the
+// lifetime the uploader picked) and files with a maxDownloads limit. Expired
+// content is deleted for good (not moved to the trash) by sweep(), which the
+// app runs periodically; until then roomExpired()/fileExpired() let routes refuse it.
+
+// "1,24,168" -> [1, 24, 168]; 0 stands for "keep"
+export const parseHoursList = (text) => [
+  ...new Set(
+    String(text ?? "")
+      .split(",")
+      .map((s) => s.trim())
+      .filter(Boolean)
+      .map(Number)
+      .filter((n) => Number.isInteger(n) && n >= 0)
+  ),
+];
+
+const HOUR = 60 * 60 * 1000;
+export const expiresIn = (hours) => (hours ? new Date(Date.now() + hours * HOUR).toISOString() : null);
+
+export const createExpiry = ({ library }) => {
+  const past = (iso) => Boolean(iso) && iso <= new Date().toISOString();
+
+  const roomExpired = (room) => past(library.getRoom(room)?.expiresAt);
+  const fileExpired = (file) => past(file.expiresAt) || (file.maxDownloads > 0 && file.downloads >= file.maxDownloads);
+
+  // Counts a download. Returns false when the file may not be downloaded
+  // (anymore); `last` tells the caller to delete it once it has been sent.
+  const countDownload = (room, name) => {
+    const file = library.getFile(room, name);
+    if (!file || fileExpired(file)) return { ok: false };
+    const downloads = (file.downloads || 0) + 1;
+    library.updateFile(room, name, { downloads });
+    return { ok: true, last: file.maxDownloads > 0 && downloads >= file.maxDownloads };
+  };
+
+  // Deletes expired rooms and files; resolves to what was removed.
+  const sweep = async () => {
+    const removed = [];
+    for (const room of library.listRooms()) {
+      if (past(room.expiresAt)) {
+        await library.deleteRoom(room.name, { actor: "expiry" });
+        removed.push({ room: room.name, file: null });
+        continue;
+      }
+      for (const f of library.listFiles(room.name)) {
+        if (fileExpired(f) && (await library.deleteFile(room.name, f.name, { actor: "expiry" }))) {
+          removed.push({ room: room.name, file: f.name, originalName: f.originalName });
+        }
+      }
+    }
+    return removed;
+  };
+
+  return { roomExpired, fileExpired, countDownload, sweep };
+};
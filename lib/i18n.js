@@ -0,0 +1,64 @@
+// UI strings. Each locale is a flat JSON file in the locales directory
+// (locales/<code>.json, "key": "text"), where {name} placeholders are filled
+// from the values passed to t(). A text can also be an object of Intl plural
+// forms ({ "one": ..., "other": ... }), picked by the value `n`. Keys a
+// locale lacks fall back to the default locale, then to the key itself.
+
+import fs from "fs";
+import path from "path";
+
+// "de-CH,de;q=0.9,en;q=0.5" -> ["de-ch", "de", "en"], best first
+const parseAcceptLanguage = (header) =>
+  String(header || "")
+    .split(",")
+    .map((part, i) => {
+      const [tag, ...params] = part.trim().toLowerCase().split(";");
+      const q = params.map((p) => /^\s*q=([\d.]+)\s*$/.exec(p)).find(Boolean);
+      return { tag, q: q ? Number(q[1]) : 1, i };
+    })
+    .filter((l) => l.tag && l.tag !== "*" && l.q > 0)
+    .sort((a, b) => b.q - a.q || a.i - b.i)
+    .map((l) => l.tag);
+
+// defaultLocale: for browsers that ask for none of the locales
+export const createI18n = ({ dir, fallback = "en", defaultLocale = fallback }) => {
+  const catalogs = Object.fromEntries(
+    fs
+      .readdirSync(dir)
+      .filter((f) => f.endsWith(".json"))
+      .map((f) => [path.basename(f, ".json").toLowerCase(), JSON.parse(fs.readFileSync(path.join(dir, f), "utf8"))])
+  );
+  const locales = Object.keys(catalogs).sort();
+  const has = (locale) => Object.hasOwn(catalogs, locale);
+  if (!has(fallback)) throw new Error(`No ${fallback}.json in ${dir}`);
+  if (!has(defaultLocale)) throw new Error(`No ${defaultLocale}.json in ${dir}`);
+
+  // Locale for an Accept-Language header ("de-CH" matches de.json)
+  const negotiate = (header) => {
+    for (const tag of parseAcceptLanguage(header)) {
+      if (has(tag)) return tag;
+      const primary = tag.split("-")[0];
+      if (has(primary)) return primary;
+    }
+    return defaultLocale;
+  };
+
+  // t(key, values) for a locale
+  const translators = new Map();
+  const translator = (locale) => {
+    if (translators.has(locale)) return translators.get(locale);
+    const plurals = new Intl.PluralRules(locale);
+    const t = (key, values = {}) => {
+      let text = catalogs[locale]?.[key] ?? catalogs[fallback][key] ?? key;
+      if (typeof text === "object") text = text[plurals.select(Number(values.n))] ?? text.other;
+      return String(text).replace(/\{(\w+)\}/g, (m, name) => (Object.hasOwn(values, name) ? String(values[name]) : m));
+    };
+    translators.set(locale, t);
+    return t;
+  };
+
+  // Each locale's name in its own language ("language" key)
+  const names = () => Object.fromEntries(locales.map((l) => [l, catalogs[l].language || l]));
+
+  return { locales, negotiate, has, translator, names };
+};
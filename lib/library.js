@@ -0,0 +1,345 @@
+// The library ties room content (lib/rooms.js) to its metadata:
+// - room records in the rooms store: title, description, createdAt, createdBy,
+//   cover (a file name in the room), expiresAt, locale (UI language, null =
+//   the visitor's), plus per-room settings (policy, access)
+// - file records in one sidecar store per room (.system/files/<room>.json):
+//   originalName, note, uploadedAt, mime, size, sha256, status ("approved" or
+//   "pending", see lib/moderation.js), reports, expiresAt, maxDownloads,
+//   downloads (see lib/expiry.js)
+// The records are what gets listed: a room exists when it has a record, and
+// its files are the ones recorded for it. migrate() reconciles them with the
+// storage backend on startup. Listings and queries are served from an
+// in-memory index per room, rebuilt from the records after every change.
+// All adds/deletes go through here and are announced as events
+// (LIBRARY_EVENTS), so other modules can follow along. Deletes (async, they
+// touch the storage) can move the content elsewhere (the trash, see
+// lib/trash.js) instead of removing it. Moving a file to another room is an
+// add there plus a delete here. A renamed room
+// remembers its former names (formerNames), so old links can be redirected.
+
+import fs from "fs";
+import path from "path";
+import { EventEmitter } from "events";
+import mime from "mime-types";
+import { openJsonStore } from "./store.js";
+import { ROOM_NAME_RE } from "./rooms.js";
+
+export const ROOM_SORTS = {
+  name: (a, b) => a.name.localeCompare(b.name),
+  title: (a, b) => a.title.localeCompare(b.title) || a.name.localeCompare(b.name),
+  newest: (a, b) => b.createdAt.localeCompare(a.createdAt),
+  oldest: (a, b) => a.createdAt.localeCompare(b.createdAt),
+};
+
+export const LIBRARY_EVENTS = ["room:created", "room:deleted", "room:renamed", "file:added", "file:updated", "file:deleted"];
+
+// Orders for file listings (FILE_SORTS.newest is the default)
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: "base" });
+export const FILE_SORTS = {
+  newest: (a, b) => b.mtimeMs - a.mtimeMs,
+  oldest: (a, b) => a.mtimeMs - b.mtimeMs,
+  size: (a, b) => b.size - a.size || b.mtimeMs - a.mtimeMs,
+  name: (a, b) => collator.compare(a.originalName, b.originalName) || b.mtimeMs - a.mtimeMs,
+};
+
+// Media kinds files can be filtered by
+export const FILE_KINDS = ["image", "video", "audio", "other"];
+export const fileKind = (type) => FILE_KINDS.find((k) => String(type).startsWith(`${k}/`)) || "other";
+
+// File record fields added after the first version, with their values for
+// older records
+const FILE_DEFAULTS = { status: "approved", reports: [], expiresAt: null, maxDownloads: null, downloads: 0 };
+
+export const createLibrary = ({ rooms, store, filesDir }) => {
+  const events = new EventEmitter();
+  const fileStores = new Map();
+
+  const fileStore = (room) => {
+    if (!fileStores.has(room)) fileStores.set(room, openJsonStore(path.join(filesDir, `${room}.json`), { files: {} }));
+    return fileStores.get(room);
+  };
+
+  // Per room: its file entries newest first, their total size, and the
+  // entries in other orders (sorted when first asked for)
+  const indexes = new Map();
+  const EMPTY_INDEX = { files: [], bytes: 0, sorted: {} };
+  const index = (room) => {
+    if (!exists(room)) return EMPTY_INDEX;
+    if (!indexes.has(room)) {
+      const files = Object.entries(fileStore(room).data.files)
+        .map(([name, record]) => fileEntry(name, record))
+        .sort(FILE_SORTS.newest);
+      indexes.set(room, { files, bytes: files.reduce((n, f) => n + f.size, 0), sorted: { newest: files } });
+    }
+    return indexes.get(room);
+  };
+
+  // Every change to a room's file records goes through here
+  const writeFiles = (room, fn) => {
+    indexes.delete(room);
+    return fileStore(room).update(fn);
+  };
+
+  const newRoomRecord = (name, fields = {}) => ({
+    title: name,
+    description: "",
+    createdAt: new Date().toISOString(),
+    createdBy: null,
+    cover: null,
+    expiresAt: null,
+    locale: null,
+    ...fields,
+  });
+
+  // Rooms created before the metadata store existed only have content.
+  const ensureRoomRecord = (room, fields) =>
+    store.update((d) => {
+      const entry = (d.rooms[room] ||= {});
+      for (const [k, v] of Object.entries(newRoomRecord(room, fields))) if (!(k in entry)) entry[k] = v;
+      return entry;
+    });
+
+  // Settings alone (policy, access) don't make a room
+  const exists = (room) => ROOM_NAME_RE.test(room) && Boolean(store.data.rooms[room]?.createdAt);
+
+  const getRoom = (room) => (exists(room) ? { ...store.data.rooms[room], name: room } : null);
+
+  const listRooms = ({ sort = "name" } = {}) =>
+    Object.keys(store.data.rooms)
+      .filter(exists)
+      .map(getRoom)
+      .sort(ROOM_SORTS[sort] || ROOM_SORTS.name);
+
+  const createRoom = (room, { title, description, createdBy, expiresAt } = {}) => {
+    ensureRoomRecord(room, {
+      title: String(title || "").trim() || room,
+      description: String(description || "").trim(),
+      createdBy: createdBy || null,
+      expiresAt: expiresAt || null,
+    });
+    events.emit("room:created", { room });
+    return getRoom(room);
+  };
+
+  const EDITABLE_ROOM_FIELDS = ["title", "description", "cover", "expiresAt", "locale"];
+  const updateRoom = (room, patch) =>
+    store.update((d) => {
+      const entry = d.rooms[room];
+      for (const k of EDITABLE_ROOM_FIELDS) if (patch[k] !== undefined) entry[k] = patch[k];
+    });
+
+  // Puts back a room from its full record (including policy and access
+  // settings), as returned by getRoom().
+  const restoreRoom = (room, { name, ...record } = {}) => {
+    store.update((d) => {
+      d.rooms[room] = { ...newRoomRecord(room), ...record };
+    });
+    events.emit("room:created", { room });
+    return getRoom(room);
+  };
+
+  // Resolves to the file records the room held.
+  const deleteRoom = async (room, { actor, moveTo } = {}) => {
+    const files = Object.entries(fileStore(room).data.files).map(([name, record]) => ({ name, record }));
+    await rooms.deleteRoom(room, { moveTo });
+    store.update((d) => delete d.rooms[room]);
+    fileStores.delete(room);
+    indexes.delete(room);
+    fs.rmSync(path.join(filesDir, `${room}.json`), { force: true });
+    events.emit("room:deleted", { room, files, actor });
+    return files;
+  };
+
+  // The room that used to be called `name`, if any (and none has the name now)
+  const renamedTo = (name) =>
+    exists(name) ? null : Object.keys(store.data.rooms).find((r) => exists(r) && store.data.rooms[r].formerNames?.includes(name)) || null;
+
+  // Moves a room with its content, file records and settings to a new name.
+  // Resolves to false when `room` doesn't exist or `to` is taken.
+  const renameRoom = async (room, to, { actor } = {}) => {
+    if (!exists(room) || !ROOM_NAME_RE.test(to) || exists(to)) return false;
+    const files = Object.entries(fileStore(room).data.files).map(([name, record]) => ({ name, record }));
+    await rooms.renameRoom(room, to);
+    for (const r of [room, to]) {
+      fileStores.delete(r);
+      indexes.delete(r);
+    }
+    const recordFile = path.join(filesDir, `${room}.json`);
+    if (fs.existsSync(recordFile)) fs.renameSync(recordFile, path.join(filesDir, `${to}.json`));
+    store.update((d) => {
+      const formerNames = [room, ...(d.rooms[room].formerNames || [])].filter((n) => n !== to);
+      d.rooms[to] = { ...d.rooms[room], formerNames: [...new Set(formerNames)] };
+      if (d.rooms[to].title === room) d.rooms[to].title = to;
+      delete d.rooms[room];
+    });
+    events.emit("room:renamed", { room, to, files, actor });
+    return true;
+  };
+
+  const fileRecord = (f) => ({
+    originalName: f.name,
+    note: "",
+    uploadedAt: new Date(f.mtimeMs).toISOString(),
+    mime: f.mime,
+    size: f.size,
+    sha256: null,
+    ...FILE_DEFAULTS,
+  });
+
+  const fileEntry = (name, record) => ({ name, mtimeMs: Date.parse(record.uploadedAt), ...FILE_DEFAULTS, ...record });
+
+  // The room's file records, newest first
+  const listFiles = (room) => index(room).files.slice();
+
+  // { files, bytes } the room holds
+  const usage = (room) => ({ files: index(room).files.length, bytes: index(room).bytes });
+
+  // A page of the room's files in the given order (FILE_SORTS): the ones
+  // passing filter (e.g. visibility), of the given kind (FILE_KINDS) and
+  // whose original name or note contains q (case-insensitive).
+  // Returns { files, total } where total counts all matches.
+  const queryFiles = (room, { sort, kind, q, filter, offset = 0, limit = Infinity } = {}) => {
+    const idx = index(room);
+    const order = Object.hasOwn(FILE_SORTS, sort) ? sort : "newest";
+    const sorted = (idx.sorted[order] ||= idx.files.slice().sort(FILE_SORTS[order]));
+    const needle = String(q || "").trim().toLowerCase();
+    const matches = sorted.filter(
+      (f) =>
+        (!filter || filter(f)) &&
+        (!kind || fileKind(f.mime) === kind) &&
+        (!needle || f.originalName.toLowerCase().includes(needle) || (f.note || "").toLowerCase().includes(needle))
+    );
+    return { files: matches.slice(offset, offset + limit), total: matches.length };
+  };
+
+  const getFile = (room, name) => {
+    const records = exists(room) ? fileStore(room).data.files : {};
+    return Object.hasOwn(records, name) ? fileEntry(name, records[name]) : null;
+  };
+
+  // Called once the file's content is stored under rooms.fileKey(room, name).
+  const addFile = (room, name, { originalName, note, mime: type, size, sha256, uploadedAt, ...rest }) => {
+    ensureRoomRecord(room);
+    const record = {
+      originalName: String(originalName || name).slice(0, 255),
+      note: String(note || "").trim().slice(0, 500),
+      uploadedAt: uploadedAt || new Date().toISOString(),
+      mime: type || mime.lookup(name) || "application/octet-stream",
+      size,
+      sha256: sha256 || null,
+      ...Object.fromEntries(Object.keys(FILE_DEFAULTS).map((k) => [k, rest[k] ?? FILE_DEFAULTS[k]])),
+    };
+    writeFiles(room, (d) => {
+      d.files[name] = record;
+    });
+    events.emit("file:added", { room, name, record });
+    return record;
+  };
+
+  // Returns the updated record, or null when the file has none. The
+  // file:updated event also carries the record as it was before.
+  const updateFile = (room, name, patch) => {
+    let before;
+    const record = writeFiles(room, (d) => {
+      const record = d.files[name];
+      if (!record) return null;
+      before = structuredClone(record);
+      if (patch.note !== undefined) record.note = String(patch.note).trim().slice(0, 500);
+      for (const k of ["sha256", "status", "reports", "expiresAt", "maxDownloads", "downloads"]) if (patch[k] !== undefined) record[k] = patch[k];
+      return record;
+    });
+    if (record) events.emit("file:updated", { room, name, record, before });
+    return record;
+  };
+
+  // Name of the room's file with this content hash, if any.
+  const findByHash = (room, sha256) =>
+    Object.entries(fileStore(room).data.files).find(([, r]) => r.sha256 === sha256)?.[0] || null;
+
+  // Copies a file with its record to another room (under the same stored name
+  // unless that is taken there); with move, it is then deleted here. Resolves
+  // to the name in the other room, or null when there's nothing to copy.
+  const transferFile = async (room, name, to, { move = false, actor } = {}) => {
+    const record = getFile(room, name) && fileStore(room).data.files[name];
+    if (!record || !exists(to) || to === room) return null;
+    let target = name;
+    for (let n = 2; Object.hasOwn(fileStore(to).data.files, target); n++) {
+      const { name: base, ext } = path.parse(name);
+      target = `${base}-${n}${ext}`;
+    }
+    await rooms.transferFile(room, name, to, target, { move });
+    addFile(to, target, structuredClone(record));
+    if (move) await deleteFile(room, name, { actor });
+    return target;
+  };
+
+  // Resolves to false when the room has no such file.
+  const deleteFile = async (room, name, { actor, moveTo } = {}) => {
+    const record = getFile(room, name) && fileStore(room).data.files[name];
+    const stored = exists(room) && (await rooms.deleteFile(room, name, { moveTo }));
+    if (!record && !stored) return false;
+    writeFiles(room, (d) => delete d.files[name]);
+    if (store.data.rooms[room]?.cover === name) updateRoom(room, { cover: null });
+    events.emit("file:deleted", { room, name, record, actor });
+    return true;
+  };
+
+  // Startup migration: give every stored room and file a record, drop
+  // records of files that are no longer stored.
+  const migrate = async () => {
+    let added = 0;
+    for (const room of await rooms.listRooms()) {
+      if (!exists(room)) {
+        // reduce, not Math.min(...): a spread of a huge room overflows the stack
+        const oldest = (await rooms.listFiles(room)).reduce((min, f) => Math.min(min, f.mtimeMs), Date.now());
+        ensureRoomRecord(room, { createdAt: new Date(oldest).toISOString() });
+        added++;
+      }
+    }
+    for (const { name: room } of listRooms()) {
+      const stored = await rooms.listFiles(room);
+      const names = new Set(stored.map((f) => f.name));
+      const records = fileStore(room).data.files;
+      const missing = stored.filter((f) => !Object.hasOwn(records, f.name));
+      let stale = Object.keys(records).filter((n) => !names.has(n));
+      // None of the room's files stored: more likely a storage backend that
+      // doesn't hold them (yet) than files that all vanished; keep the records.
+      if (stale.length && !stored.length) {
+        console.warn(`None of the ${stale.length} files of room "${room}" are in the storage backend`);
+        stale = [];
+      }
+      if (missing.length || stale.length) {
+        writeFiles(room, (d) => {
+          for (const f of missing) d.files[f.name] = fileRecord(f);
+          for (const n of stale) delete d.files[n];
+        });
+        added += missing.length;
+      }
+    }
+    return added;
+  };
+
+  return {
+    events,
+    exists,
+    fileKey: rooms.fileKey,
+    getRoom,
+    listRooms,
+    createRoom,
+    restoreRoom,
+    updateRoom,
+    deleteRoom,
+    renameRoom,
+    renamedTo,
+    listFiles,
+    queryFiles,
+    usage,
+    getFile,
+    findByHash,
+    addFile,
+    updateFile,
+    transferFile,
+    deleteFile,
+    migrate,
+  };
+};
@@ -0,0 +1,174 @@
+// Upload abuse protection:
+// - token buckets per client IP and per room for files per minute and bytes
+//   per hour (a bucket may go into debt on a large upload or a post with many
+//   files; the next upload then waits until it has refilled), answered with
+//   429 + Retry-After. Buckets exist only for rooms that exist.
+// - a block list (no uploads at all) and an allow list (no rate limits) of IPs
+//   and CIDR ranges, kept in the store and managed from the admin UI
+// Admins and API token holders are not rate limited. Recent limit hits are
+// kept in memory for the admin view.
+
+import net from "net";
+import crypto from "crypto";
+import { UploadRejectedError } from "./policy.js";
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const MAX_HITS = 200;
+
+export const RULE_LISTS = ["block", "allow"];
+
+// "::ffff:10.0.0.1" (IPv4 on a dual-stack socket) -> "10.0.0.1"
+export const normalizeIp = (ip) => String(ip || "").replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, "");
+
+// "10.0.0.0/8", "2001:db8::/32" or a single address -> { address, prefix, type, cidr } or null
+export const parseCidr = (text) => {
+  const [address, bits, extra] = String(text || "").trim().split("/");
+  const type = net.isIPv4(address) ? "ipv4" : net.isIPv6(address) ? "ipv6" : null;
+  if (!type || extra !== undefined) return null;
+  const max = type === "ipv4" ? 32 : 128;
+  if (bits !== undefined && !/^\d{1,3}$/.test(bits)) return null;
+  const prefix = bits === undefined ? max : Number(bits);
+  if (prefix > max) return null;
+  return { address, prefix, type, cidr: `${address}/${prefix}` };
+};
+
+// capacity tokens, refilled evenly over windowMs; capacity 0 means unlimited.
+const createBuckets = (capacity, windowMs) => {
+  const buckets = new Map(); // key -> { tokens, at }
+  const level = (key, now) => {
+    const b = buckets.get(key);
+    return b ? Math.min(capacity, b.tokens + ((now - b.at) * capacity) / windowMs) : capacity;
+  };
+  // ms until `amount` tokens (at most a full bucket) are available
+  const wait = (key, amount, now) => {
+    if (!capacity) return 0;
+    const missing = Math.min(amount, capacity) - level(key, now);
+    return missing > 0 ? Math.ceil((missing * windowMs) / capacity) : 0;
+  };
+  const take = (key, amount, now) => {
+    if (capacity) buckets.set(key, { tokens: level(key, now) - amount, at: now });
+  };
+  const prune = (now) => {
+    for (const key of buckets.keys()) if (level(key, now) >= capacity) buckets.delete(key);
+  };
+  return { capacity, wait, take, prune };
+};
+
+// rates: { ipUploadsPerMinute, ipBytesPerHour, roomUploadsPerMinute, roomBytesPerHour }
+export const createLimits = ({ store, rates, isAdmin, roomExists }) => {
+  const limits = [
+    { id: "ip-uploads", name: "uploads per minute from this address", scope: "ip", unit: "uploads", buckets: createBuckets(rates.ipUploadsPerMinute, MINUTE) },
+    { id: "ip-bytes", name: "bytes per hour from this address", scope: "ip", unit: "bytes", buckets: createBuckets(rates.ipBytesPerHour, HOUR) },
+    { id: "room-uploads", name: "uploads per minute to this room", scope: "room", unit: "uploads", buckets: createBuckets(rates.roomUploadsPerMinute, MINUTE) },
+    { id: "room-bytes", name: "bytes per hour to this room", scope: "room", unit: "bytes", buckets: createBuckets(rates.roomBytesPerHour, HOUR) },
+  ];
+  const pruner = setInterval(() => limits.forEach((l) => l.buckets.prune(Date.now())), 10 * MINUTE).unref();
+  const close = () => clearInterval(pruner);
+
+  const hits = [];
+
+  // Compiled from the store on every change
+  const compiled = {};
+  const compile = () => {
+    for (const list of RULE_LISTS) {
+      compiled[list] = new net.BlockList();
+      for (const r of store.data[list]) {
+        const { address, prefix, type } = parseCidr(r.cidr);
+        compiled[list].addSubnet(address, prefix, type);
+      }
+    }
+  };
+  compile();
+
+  const matches = (list, ip) => {
+    const type = net.isIPv4(ip) ? "ipv4" : net.isIPv6(ip) ? "ipv6" : null;
+    return Boolean(type && compiled[list].check(ip, type));
+  };
+  const isBlocked = (ip) => matches("block", normalizeIp(ip));
+  const isAllowed = (ip) => matches("allow", normalizeIp(ip));
+
+  const rules = (list) => store.data[list];
+
+  // Returns the new rule, or null when cidr isn't a valid address / range.
+  const addRule = (list, cidr, { note, addedBy } = {}) => {
+    const parsed = parseCidr(cidr);
+    if (!RULE_LISTS.includes(list) || !parsed) return null;
+    const rule = {
+      id: crypto.randomBytes(6).toString("hex"),
+      cidr: parsed.cidr,
+      note: String(note || "").trim().slice(0, 200),
+      addedBy: addedBy || null,
+      addedAt: new Date().toISOString(),
+    };
+    store.update((d) => d[list].push(rule));
+    compile();
+    return rule;
+  };
+
+  const removeRule = (list, id) => {
+    const rule = rules(list)?.find((r) => r.id === id);
+    if (!rule) return null;
+    store.update((d) => {
+      d[list] = d[list].filter((r) => r.id !== id);
+    });
+    compile();
+    return rule;
+  };
+
+  // Middleware for upload endpoints with a :room param. bytesOf(req) gives the
+  // declared size of the upload (Content-Length by default); uploads without
+  // one are refused. The request counts as one file; perFile() charges the
+  // rest. Rejections go to next() as UploadRejectedError.
+  const guard =
+    (bytesOf = (req) => req.get("Content-Length")) =>
+    (req, res, next) => {
+      const ip = normalizeIp(req.ip);
+      const room = String(req.params.room || "").toLowerCase();
+      if (isBlocked(ip)) return next(new UploadRejectedError(403, "ip_blocked"));
+      if (!roomExists(room)) return next(new UploadRejectedError(404, "room_not_found"));
+      if (isAdmin(req) || req.apiToken || isAllowed(ip)) return next();
+      const declared = bytesOf(req);
+      const bytes = Number(declared);
+      if (declared === undefined || !Number.isSafeInteger(bytes) || bytes < 0) {
+        return next(new UploadRejectedError(411, "length_required"));
+      }
+
+      const now = Date.now();
+      const charges = limits.map((l) => ({ l, key: l.scope === "ip" ? ip : room, amount: l.unit === "bytes" ? bytes : 1 }));
+      const waits = charges.map(({ l, key, amount }) => ({ l, ms: l.buckets.wait(key, amount, now) }));
+      const worst = waits.reduce((a, b) => (b.ms > a.ms ? b : a));
+      if (worst.ms > 0) {
+        const retryAfter = Math.ceil(worst.ms / 1000);
+        hits.unshift({ at: new Date(now).toISOString(), ip, room, limit: worst.l.name, limitId: worst.l.id, retryAfter });
+        hits.length = Math.min(hits.length, MAX_HITS);
+        res.set("Retry-After", String(retryAfter));
+        return next(
+          new UploadRejectedError(429, "rate_limited", {
+            limit: worst.l.id,
+            seconds: retryAfter,
+          })
+        );
+      }
+      for (const { l, key, amount } of charges) l.buckets.take(key, amount, now);
+      req.rateKeys = { ip, room };
+      next();
+    };
+
+  // Wraps a multipart handler that sets req.files: every file it received
+  // beyond the first (already counted by guard()) is charged afterwards,
+  // including the one it rejected.
+  const perFile = (handler) => (req, res, next) =>
+    handler(req, res, (err) => {
+      const extra = (req.files?.length || 0) + (err ? 1 : 0) - 1;
+      if (req.rateKeys && extra > 0) {
+        const now = Date.now();
+        for (const l of limits) if (l.unit === "uploads") l.buckets.take(req.rateKeys[l.scope], extra, now);
+      }
+      next(err);
+    });
+
+  const settings = () => limits.map((l) => ({ id: l.id, name: l.name, capacity: l.buckets.capacity, unit: l.unit }));
+
+  return { guard, perFile, isBlocked, isAllowed, rules, addRule, removeRule, hits: () => hits, settings, close };
+};
@@ -0,0 +1,147 @@
+// Live room updates: library events are pushed to everyone who has a room
+// page open, over Server-Sent Events (GET /live/:room) or a WebSocket on the
+// same path. Messages are JSON objects with an increasing id:
+//   { type: "file", name, html }   a file was added or changed; html is its
+//                                  card as this viewer would see it
+//   { type: "delete", name }       a file is gone (or no longer visible)
+//   { type: "room-deleted" }
+//   { type: "room-renamed", to }   the room is now at /room/<to>
+//   { type: "presence", viewers }  how many pages have the room open (no id)
+// The last `recent` events of each room are kept, so a client reconnecting
+// with Last-Event-ID (SSE) or ?last=<id> (WebSocket) gets what it missed.
+
+import { acceptWebSocket, rejectUpgrade } from "./websocket.js";
+
+const LIVE_PATH_RE = /^\/live\/([^/?]+)(?:\?|$)/;
+
+const sameOrigin = (req) => {
+  try {
+    return !req.headers.origin || new URL(req.headers.origin).host === req.headers.host;
+  } catch {
+    return false;
+  }
+};
+
+export const createLive = ({ library, canView, renderCard, recent = 100, heartbeatMs = 25 * 1000 }) => {
+  const clients = new Map(); // room -> Set of { req, send(message), close(code), heartbeat }
+  const history = new Map(); // room -> [{ id, type, name }]
+  let seq = 0;
+
+  // What a client gets for an event: file cards are rendered for the viewer
+  const deliver = (client, room, event) => {
+    if (event.type !== "file") return client.send(event);
+    const html = renderCard(client.req, room, event.name);
+    client.send(html ? { ...event, html } : { id: event.id, type: "delete", name: event.name });
+  };
+
+  const publish = (room, type, fields = {}) => {
+    const event = { id: ++seq, type, ...fields };
+    const list = history.get(room) || [];
+    list.push(event);
+    if (list.length > recent) list.shift();
+    history.set(room, list);
+    for (const client of clients.get(room) || []) deliver(client, room, event);
+  };
+
+  const sendPresence = (room) => {
+    const viewers = clients.get(room)?.size || 0;
+    for (const client of clients.get(room) || []) client.send({ type: "presence", viewers });
+  };
+
+  const join = (room, client, lastId) => {
+    if (!clients.has(room)) clients.set(room, new Set());
+    clients.get(room).add(client);
+    if (lastId > 0 && lastId <= seq) {
+      for (const event of history.get(room) || []) if (event.id > lastId) deliver(client, room, event);
+    }
+    sendPresence(room);
+  };
+
+  const leave = (room, client) => {
+    clients.get(room)?.delete(client);
+    if (!clients.get(room)?.size) clients.delete(room);
+    sendPresence(room);
+  };
+
+  library.events.on("file:added", ({ room, name }) => publish(room, "file", { name }));
+  library.events.on("file:updated", ({ room, name }) => publish(room, "file", { name }));
+  library.events.on("file:deleted", ({ room, name }) => publish(room, "delete", { name }));
+  library.events.on("room:deleted", ({ room }) => {
+    publish(room, "room-deleted");
+    for (const client of clients.get(room) || []) client.close();
+  });
+  library.events.on("room:renamed", ({ room, to }) => {
+    publish(room, "room-renamed", { to });
+    for (const client of clients.get(room) || []) client.close();
+  });
+
+  // GET /live/:room
+  const sse = (req, res) => {
+    const room = String(req.params.room || "").toLowerCase();
+    if (!library.exists(room)) return res.status(404).send("Not found");
+    if (!canView(req, room)) return res.status(403).send("Forbidden");
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      "X-Accel-Buffering": "no", // nginx: don't hold events back
+    });
+    res.flushHeaders();
+    res.write("retry: 5000\n\n");
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), heartbeatMs);
+    const client = {
+      req,
+      send: (message) => res.write(`${message.id ? `id: ${message.id}\n` : ""}data: ${JSON.stringify(message)}\n\n`),
+      close: () => res.end(),
+      heartbeat,
+    };
+    res.on("close", () => {
+      clearInterval(heartbeat);
+      leave(room, client);
+    });
+    join(room, client, Number(req.get("Last-Event-ID")));
+  };
+
+  // For the server's "upgrade" event; req must have been through the cookie
+  // and session middleware. Returns false when the path isn't /live/:room.
+  const upgrade = (req, socket) => {
+    const m = LIVE_PATH_RE.exec(req.url);
+    if (!m) return false;
+    const room = m[1].toLowerCase();
+    // Browsers send cookies with cross-site WebSocket handshakes too
+    if (!sameOrigin(req) || !canView(req, room)) rejectUpgrade(socket, 403, "Forbidden");
+    else if (!library.exists(room)) rejectUpgrade(socket, 404, "Not Found");
+    else accept(req, socket, room);
+    return true;
+  };
+
+  const accept = (req, socket, room) => {
+    const conn = acceptWebSocket(req, socket);
+    if (!conn) return;
+    // Connections that don't answer a ping before the next one are dropped
+    const heartbeat = setInterval(() => {
+      if (!conn.alive) return conn.close(1001);
+      conn.alive = false;
+      conn.ping();
+    }, heartbeatMs);
+    const client = { req, send: (message) => conn.send(JSON.stringify(message)), close: (code) => conn.close(code), heartbeat };
+    conn.on("close", () => {
+      clearInterval(heartbeat);
+      leave(room, client);
+    });
+    join(room, client, Number(new URL(req.url, "http://localhost").searchParams.get("last")));
+  };
+
+  const viewers = (room) => clients.get(room)?.size || 0;
+
+  // Ends every open connection (WebSockets with 1001 "going away")
+  const close = () => {
+    const all = [...clients.values()].flatMap((set) => [...set]);
+    clients.clear();
+    for (const client of all) {
+      clearInterval(client.heartbeat);
+      client.close(1001);
+    }
+  };
+
+  return { sse, upgrade, viewers, close };
+};
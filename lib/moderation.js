@@ -0,0 +1,49 @@
+// Moderation. Rooms whose upload policy has `moderate` set keep new uploads
+// "pending": only admins see them until they are approved, and rejecting one
+// moves it to the trash. Visitors can report published files with a reason;
+// reported files stay listed for admins until the reports are dismissed
+// (approve) or the file is removed.
+
+export const REPORT_REASONS = {
+  illegal: "Illegal content",
+  minor: "May show a minor",
+  consent: "Shared without consent",
+  spam: "Spam or advertising",
+  other: "Something else",
+};
+
+export const createModeration = ({ library, trash }) => {
+  const isPublished = (file) => file.status !== "pending";
+
+  // What a visitor (or, with all=true, an admin) gets to see in a room
+  const visibleFiles = (room, all = false) => library.listFiles(room).filter((f) => all || isPublished(f));
+
+  // Pending and reported files across all rooms, oldest first
+  const queue = () =>
+    library
+      .listRooms()
+      .flatMap((r) =>
+        library
+          .listFiles(r.name)
+          .filter((f) => !isPublished(f) || f.reports.length)
+          .map((f) => ({ ...f, room: r.name, roomTitle: r.title }))
+      )
+      .sort((a, b) => a.uploadedAt.localeCompare(b.uploadedAt));
+
+  // Publishes the file and dismisses its reports.
+  const approve = (room, name) => library.updateFile(room, name, { status: "approved", reports: [] });
+
+  const reject = (room, name, { actor } = {}) => trash.trashFile(room, name, { actor });
+
+  // One report per address and file; returns false for unknown files/reasons.
+  const report = (room, name, { reason, text, ip }) => {
+    const file = library.getFile(room, name);
+    if (!file || !isPublished(file) || !REPORT_REASONS[reason]) return false;
+    if (file.reports.some((r) => r.ip === ip)) return true;
+    const entry = { reason, text: String(text || "").trim().slice(0, 500), ip, at: new Date().toISOString() };
+    library.updateFile(room, name, { reports: [...file.reports, entry] });
+    return true;
+  };
+
+  return { isPublished, visibleFiles, queue, approve, reject, report };
+};
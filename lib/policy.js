@@ -0,0 +1,95 @@
+// Per-room upload policies. A room's policy is the global default (from env)
+// with any per-room overrides from the settings store applied on top.
+
+import { parseHoursList } from "./expiry.js";
+
+export const MIME_FAMILIES = ["image", "video", "audio", "text", "application"];
+// What happens when a room already holds a file with the same content:
+// store it again, refuse it, or answer with the existing file.
+export const DUPLICATE_MODES = ["allow", "reject", "link"];
+
+// Never accepted, whatever the room allows: active content served from our origin.
+const BLOCKED_TYPES = new Set(["text/html", "image/svg+xml", "application/xhtml+xml", "application/xml"]);
+
+const MB = 1024 * 1024;
+
+// code names the reason and params holds the values for its text, the
+// locale key upload.error.<code>; the message is just the code
+export class UploadRejectedError extends Error {
+  constructor(status, code, params = {}) {
+    super(code);
+    this.status = status;
+    this.code = code;
+    this.params = params;
+  }
+}
+
+export const formatBytes = (n) => {
+  if (n < 1024) return `${n} B`;
+  if (n < MB) return `${(n / 1024).toFixed(1)} KB`;
+  if (n < 1024 * MB) return `${(n / MB).toFixed(1)} MB`;
+  return `${(n / 1024 / MB).toFixed(2)} GB`;
+};
+
+// maxFileSize / quotaBytes in bytes, maxFiles as a count; 0 means unlimited.
+// duplicates is one of DUPLICATE_MODES; moderate holds new uploads for review.
+// fileTtlHours are the lifetimes uploaders may pick (hours, 0 = keep; none =
+// files are kept), maxDownloads caps downloads per file (0 = unlimited).
+export const defaultPolicyFromEnv = (env) => ({
+  maxFileSize: Number(env.UPLOAD_MAX_MB ?? 100) * MB,
+  maxFiles: Number(env.ROOM_MAX_FILES ?? 0),
+  quotaBytes: Number(env.ROOM_QUOTA_MB ?? 0) * MB,
+  allowedFamilies: String(env.UPLOAD_ALLOWED_TYPES ?? "image,video,audio")
+    .split(",")
+    .map((s) => s.trim())
+    .filter((s) => MIME_FAMILIES.includes(s)),
+  duplicates: DUPLICATE_MODES.includes(env.UPLOAD_DUPLICATES) ? env.UPLOAD_DUPLICATES : "reject",
+  moderate: env.UPLOAD_MODERATION === "1",
+  fileTtlHours: parseHoursList(env.FILE_TTL_HOURS),
+  maxDownloads: Number(env.FILE_MAX_DOWNLOADS ?? 0),
+});
+
+export const createPolicies = ({ store, defaults }) => {
+  const overrides = (room) => store.data.rooms[room]?.policy || {};
+
+  const get = (room) => ({ ...defaults, ...overrides(room) });
+
+  // Keys set to undefined fall back to the default again.
+  const set = (room, policy) =>
+    store.update((d) => {
+      const entry = (d.rooms[room] ||= {});
+      entry.policy = Object.fromEntries(Object.entries(policy).filter(([, v]) => v !== undefined));
+    });
+
+  // Checks that apply before any bytes are received.
+  const checkRoomCapacity = (policy, usage) => {
+    if (policy.maxFiles && usage.files >= policy.maxFiles) {
+      throw new UploadRejectedError(409, "room_full", { max: policy.maxFiles });
+    }
+    if (policy.quotaBytes && usage.bytes >= policy.quotaBytes) {
+      throw new UploadRejectedError(413, "quota_exceeded", { quota: formatBytes(policy.quotaBytes) });
+    }
+  };
+
+  // Largest single upload the room accepts right now (for multer's limits).
+  const uploadLimit = (policy, usage) => {
+    const limits = [policy.maxFileSize, policy.quotaBytes && policy.quotaBytes - usage.bytes].filter(Boolean);
+    return limits.length ? Math.max(0, Math.min(...limits)) : Infinity;
+  };
+
+  // Checks against the received file and its sniffed type.
+  const checkFile = (policy, usage, { size, mime }) => {
+    if (policy.maxFileSize && size > policy.maxFileSize) {
+      throw new UploadRejectedError(413, "file_too_large", { max: formatBytes(policy.maxFileSize) });
+    }
+    if (policy.quotaBytes && usage.bytes + size > policy.quotaBytes) {
+      throw new UploadRejectedError(413, "quota_exceeded", { quota: formatBytes(policy.quotaBytes) });
+    }
+    const family = mime.split("/")[0];
+    if (BLOCKED_TYPES.has(mime) || !policy.allowedFamilies.includes(family)) {
+      throw new UploadRejectedError(415, "type_not_allowed", { type: mime });
+    }
+  };
+
+  return { get, set, checkRoomCapacity, uploadLimit, checkFile };
+};
@@ -0,0 +1,45 @@
+// Room content in the storage backend (lib/storage.js): a room's files are
+// stored under "<room>/<name>". Only names matching ROOM_NAME_RE are rooms;
+// anything else (e.g. ".system") is not. Which rooms exist is recorded in the
+// library (lib/library.js); the listings here are only used to reconcile
+// those records with what is actually stored.
+
+import mime from "mime-types";
+
+export const ROOM_NAME_RE = /^[a-z0-9-]{1,40}$/;
+// Stored names are generated (`${Date.now()}-${nanoid(6)}.${ext}`); anything else is rejected.
+export const FILE_NAME_RE = /^[A-Za-z0-9_-][A-Za-z0-9_.-]{0,200}$/;
+
+export const createRooms = ({ storage }) => {
+  const roomPrefix = (room) => `${room}/`;
+  const fileKey = (room, name) => `${room}/${name}`;
+
+  const listRooms = async () => (await storage.listPrefixes("")).filter((name) => ROOM_NAME_RE.test(name)).sort();
+
+  const listFiles = async (room) =>
+    (await storage.list(roomPrefix(room)))
+      .map(({ key, size, mtimeMs }) => {
+        const name = key.slice(roomPrefix(room).length);
+        return { name, size, mtimeMs, mime: mime.lookup(name) || "application/octet-stream" };
+      })
+      .filter((f) => FILE_NAME_RE.test(f.name))
+      .sort((a, b) => b.mtimeMs - a.mtimeMs); // newest first
+
+  // With moveTo (a key prefix / key), the content is moved there instead of removed.
+  const deleteRoom = (room, { moveTo } = {}) =>
+    moveTo ? storage.movePrefix(roomPrefix(room), moveTo) : storage.removePrefix(roomPrefix(room));
+
+  const deleteFile = async (room, name, { moveTo } = {}) => {
+    if (!(await storage.stat(fileKey(room, name)))) return false;
+    await (moveTo ? storage.move(fileKey(room, name), moveTo) : storage.remove(fileKey(room, name)));
+    return true;
+  };
+
+  // Copies a file to another room and/or name; with move, the original goes
+  const transferFile = (room, name, toRoom, toName, { move = false } = {}) =>
+    (move ? storage.move : storage.copy)(fileKey(room, name), fileKey(toRoom, toName));
+
+  const renameRoom = (room, to) => storage.movePrefix(roomPrefix(room), roomPrefix(to));
+
+  return { fileKey, roomPrefix, listRooms, listFiles, deleteRoom, deleteFile, transferFile, renameRoom };
+};
@@ -0,0 +1,238 @@
+// Storage driver for S3-compatible object storage (AWS S3, MinIO, R2, ...),
+// with the same interface as the local driver in lib/storage.js. Requests
+// are signed with AWS Signature V4 and sent with node's http(s) module, so
+// bodies stream both ways and nothing is buffered in memory. Uploads are
+// single PUTs (up to 5 GB per object).
+
+import fs from "fs";
+import http from "http";
+import https from "https";
+import crypto from "crypto";
+import { pipeline } from "stream/promises";
+
+const UNSIGNED = "UNSIGNED-PAYLOAD";
+const EMPTY_HASH = crypto.createHash("sha256").digest("hex");
+
+const sha256Hex = (data) => crypto.createHash("sha256").update(data).digest("hex");
+const hmac = (key, data) => crypto.createHmac("sha256", key).update(data).digest();
+
+// RFC 3986 encoding as SigV4 wants it; keys keep their slashes
+const encode = (s) => encodeURIComponent(s).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+const encodeKey = (key) => key.split("/").map(encode).join("/");
+
+const XML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+const unescapeXml = (s) =>
+  s.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (m, e) =>
+    e[0] === "#" ? String.fromCodePoint(Number(e[1].toLowerCase() === "x" ? `0${e.slice(1)}` : e.slice(1))) : (XML_ENTITIES[e] ?? m)
+  );
+const xmlValues = (xml, tag) => [...xml.matchAll(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, "g"))].map((m) => m[1]);
+const xmlValue = (xml, tag) => {
+  const v = xmlValues(xml, tag)[0];
+  return v === undefined ? undefined : unescapeXml(v);
+};
+
+const readBody = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString("utf8");
+};
+
+// "20130524T000000Z"
+const amzDate = (date = new Date()) => date.toISOString().replace(/[:-]|\.\d{3}/g, "");
+
+export const createS3Storage = ({ endpoint, region, bucket, accessKeyId, secretAccessKey, prefix = "", forcePathStyle }) => {
+  const base = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+  const host = forcePathStyle ? base.host : `${bucket}.${base.host}`;
+  const basePath = `${base.pathname.replace(/\/$/, "")}${forcePathStyle ? `/${bucket}` : ""}`;
+  const agent = new (base.protocol === "https:" ? https : http).Agent({ keepAlive: true });
+
+  const fullKey = (key) => `${prefix}${key}`;
+  const objectPath = (key) => `${basePath}/${encodeKey(fullKey(key))}`;
+
+  const canonicalQuery = (query) =>
+    Object.keys(query)
+      .sort()
+      .map((k) => `${encode(k)}=${encode(String(query[k]))}`)
+      .join("&");
+
+  // Returns the signature for a request; headers are lowercase and include host.
+  const signature = ({ method, path, query, headers, payloadHash, date }) => {
+    const names = Object.keys(headers).sort();
+    const canonicalRequest = [
+      method,
+      path,
+      canonicalQuery(query),
+      names.map((n) => `${n}:${String(headers[n]).trim()}\n`).join(""),
+      names.join(";"),
+      payloadHash,
+    ].join("\n");
+    const day = date.slice(0, 8);
+    const scope = `${day}/${region}/s3/aws4_request`;
+    const stringToSign = ["AWS4-HMAC-SHA256", date, scope, sha256Hex(canonicalRequest)].join("\n");
+    const key = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, day), region), "s3"), "aws4_request");
+    return { scope, signedHeaders: names.join(";"), signature: hmac(key, stringToSign).toString("hex") };
+  };
+
+  // Sends a signed request and resolves to the response once its status is
+  // known; non-2xx responses are turned into errors (code ENOENT for 404).
+  const send = ({ method, path, query = {}, headers = {}, body, payloadHash = body ? UNSIGNED : EMPTY_HASH }) =>
+    new Promise((resolve, reject) => {
+      const date = amzDate();
+      const all = { ...headers, host, "x-amz-date": date, "x-amz-content-sha256": payloadHash };
+      const { scope, signedHeaders, signature: sig } = signature({ method, path, query, headers: all, payloadHash, date });
+      all.authorization = `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${sig}`;
+      const qs = canonicalQuery(query);
+      const req = (base.protocol === "https:" ? https : http).request(
+        { method, hostname: forcePathStyle ? base.hostname : host.split(":")[0], port: base.port, path: qs ? `${path}?${qs}` : path, headers: all, agent },
+        async (res) => {
+          if (res.statusCode < 300) return resolve(res);
+          const text = method === "HEAD" ? "" : await readBody(res).catch(() => "");
+          const code = xmlValue(text, "Code") || `HTTP ${res.statusCode}`;
+          const err = new Error(`S3 ${method} ${path}: ${code}${xmlValue(text, "Message") ? ` (${xmlValue(text, "Message")})` : ""}`);
+          err.code = res.statusCode === 404 ? "ENOENT" : code;
+          err.status = res.statusCode;
+          reject(err);
+        }
+      );
+      req.on("error", reject);
+      if (body) pipeline(body, req).catch(reject);
+      else req.end();
+    });
+
+  const put = async (key, stream, { size, contentType } = {}) => {
+    if (!Number.isSafeInteger(size)) throw new Error("put() needs the size of the content");
+    const res = await send({
+      method: "PUT",
+      path: objectPath(key),
+      headers: { "content-length": size, "content-type": contentType || "application/octet-stream" },
+      body: stream,
+    });
+    res.resume();
+  };
+
+  const putFile = async (key, file, { size, contentType } = {}) => {
+    await put(key, fs.createReadStream(file), { size: size ?? fs.statSync(file).size, contentType });
+    fs.rmSync(file, { force: true });
+  };
+
+  const createReadStream = async (key, { start, end } = {}) => {
+    const range = start !== undefined || end !== undefined ? { range: `bytes=${start ?? 0}-${end ?? ""}` } : {};
+    return send({ method: "GET", path: objectPath(key), headers: range });
+  };
+
+  const stat = async (key) => {
+    try {
+      const res = await send({ method: "HEAD", path: objectPath(key) });
+      res.resume();
+      return { size: Number(res.headers["content-length"]), mtimeMs: Date.parse(res.headers["last-modified"]) };
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  };
+
+  // One ListObjectsV2 call after the other until the listing is complete
+  const listPages = async function* (query) {
+    let token;
+    do {
+      const res = await send({
+        method: "GET",
+        path: `${basePath}/`,
+        query: { "list-type": "2", ...query, ...(token && { "continuation-token": token }) },
+      });
+      const xml = await readBody(res);
+      yield xml;
+      token = xmlValue(xml, "IsTruncated") === "true" ? xmlValue(xml, "NextContinuationToken") : null;
+    } while (token);
+  };
+
+  const list = async (dir) => {
+    const out = [];
+    for await (const xml of listPages({ prefix: fullKey(dir) })) {
+      for (const item of xmlValues(xml, "Contents")) {
+        out.push({
+          key: xmlValue(item, "Key").slice(prefix.length),
+          size: Number(xmlValue(item, "Size")),
+          mtimeMs: Date.parse(xmlValue(item, "LastModified")),
+        });
+      }
+    }
+    return out;
+  };
+
+  const listPrefixes = async (dir = "") => {
+    const out = [];
+    for await (const xml of listPages({ prefix: fullKey(dir), delimiter: "/" })) {
+      for (const p of xmlValues(xml, "CommonPrefixes")) out.push(xmlValue(p, "Prefix").slice(fullKey(dir).length).replace(/\/$/, ""));
+    }
+    return out;
+  };
+
+  const remove = async (key) => {
+    try {
+      (await send({ method: "DELETE", path: objectPath(key) })).resume();
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+  };
+
+  // Server-side copy. A failed copy can still answer 200 with an error
+  // document, so the body is checked too.
+  const copy = async (from, to) => {
+    const res = await send({
+      method: "PUT",
+      path: objectPath(to),
+      headers: { "x-amz-copy-source": `/${bucket}/${encodeKey(fullKey(from))}` },
+    });
+    const text = await readBody(res);
+    if (text.includes("<Error>")) throw new Error(`S3 copy ${from} -> ${to}: ${xmlValue(text, "Code")}`);
+  };
+
+  const move = async (from, to) => {
+    await copy(from, to);
+    await remove(from);
+  };
+
+  const movePrefix = async (from, to) => {
+    for (const { key } of await list(from)) await move(key, `${to}${key.slice(from.length)}`);
+  };
+
+  const removePrefix = async (dir) => {
+    for (const { key } of await list(dir)) await remove(key);
+  };
+
+  // Presigned GET URL; the response headers are overridden so the browser
+  // gets the recorded type (and a download name, if given).
+  const signedUrl = (key, { expiresIn = 300, contentType, filename } = {}) => {
+    const date = amzDate();
+    const path = objectPath(key);
+    const query = {
+      "X-Amz-Algorithm": "AWS4-HMAC-SHA256",
+      "X-Amz-Credential": `${accessKeyId}/${date.slice(0, 8)}/${region}/s3/aws4_request`,
+      "X-Amz-Date": date,
+      "X-Amz-Expires": String(expiresIn),
+      "X-Amz-SignedHeaders": "host",
+      ...(contentType && { "response-content-type": contentType }),
+      ...(filename && { "response-content-disposition": `attachment; filename*=UTF-8''${encode(filename)}` }),
+    };
+    const { signature: sig } = signature({ method: "GET", path, query, headers: { host }, payloadHash: UNSIGNED, date });
+    return `${base.protocol}//${host}${path}?${canonicalQuery(query)}&X-Amz-Signature=${sig}`;
+  };
+
+  return {
+    driver: "s3",
+    put,
+    putFile,
+    createReadStream,
+    stat,
+    list,
+    listPrefixes,
+    copy,
+    move,
+    movePrefix,
+    remove,
+    removePrefix,
+    localPath: () => null,
+    signedUrl,
+  };
+};
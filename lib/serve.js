@@ -0,0 +1,132 @@
+// Serving room files. Everything that answers /file (and /thumb) requests
+// goes through here:
+// - resolve(): room and file names are checked against ROOM_NAME_RE /
+//   FILE_NAME_RE, and with local storage the path must stay inside the
+//   room's directory; nothing from the URL is joined into a path unchecked.
+// - send(): streams from the storage backend with ETag / Last-Modified /
+//   304s, single byte ranges (If-Range aware), nosniff, a Content-Security-
+//   Policy that keeps the file from running anything, and same-origin
+//   resource policy. Types that a browser could execute or render as a page
+//   (anything but plain images, video and audio) are sent as attachments.
+// - url() / verify(): with signing on, file URLs carry an expiry and an HMAC,
+//   so copied links stop working after `ttlSeconds` and can't be hotlinked.
+
+import crypto from "crypto";
+import path from "path";
+import { pipeline } from "stream/promises";
+import { ROOM_NAME_RE, FILE_NAME_RE } from "./rooms.js";
+
+// Shown inline; everything else is downloaded
+const INLINE_TYPES = /^(image\/(jpeg|png|gif|webp|avif|bmp)|video\/[\w.+-]+|audio\/[\w.+-]+)$/;
+const FILE_CSP = "default-src 'none'; img-src 'self'; media-src 'self'; style-src 'unsafe-inline'; sandbox";
+
+export const isInlineSafe = (type) => INLINE_TYPES.test(String(type));
+
+// Content-Disposition with an ASCII fallback and the UTF-8 name (RFC 6266)
+const disposition = (kind, filename) => {
+  const ascii = filename.replace(/[^\x20-\x7e]|["\\%]/g, "_");
+  const utf8 = encodeURIComponent(filename).replace(/['()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${kind}; filename="${ascii}"; filename*=UTF-8''${utf8}`;
+};
+
+const safeEqual = (a, b) => {
+  const ab = Buffer.from(String(a || ""));
+  const bb = Buffer.from(String(b || ""));
+  return ab.length === bb.length && crypto.timingSafeEqual(ab, bb);
+};
+
+export const createFileServer = ({ storage, secret, signing = false, ttlSeconds = 3600 }) => {
+  // { key, room, name } for a valid room/file name pair, else null
+  const resolve = (room, name) => {
+    room = String(room || "").toLowerCase();
+    name = String(name || "");
+    if (!ROOM_NAME_RE.test(room) || !FILE_NAME_RE.test(name)) return null;
+    const key = `${room}/${name}`;
+    const local = storage.localPath(key);
+    if (local) {
+      const rel = path.relative(storage.localPath(room), local);
+      if (!rel || rel.startsWith("..") || path.isAbsolute(rel) || rel.includes(path.sep)) return null;
+    }
+    return { key, room, name };
+  };
+
+  const signature = (room, name, exp) => crypto.createHmac("sha256", secret).update(`${room}/${name}|${exp}`).digest("base64url");
+
+  // Query string granting access to a file ("" without signing). Expiry times
+  // are rounded up to the next half-ttl, so pages rendered in the same window
+  // share URLs (and the browser cache).
+  const grant = (room, name) => {
+    if (!signing) return "";
+    const step = Math.max(1, Math.floor(ttlSeconds / 2));
+    const exp = Math.ceil(Date.now() / 1000 / step) * step + ttlSeconds;
+    return `exp=${exp}&sig=${signature(room, name, exp)}`;
+  };
+
+  // URL of a file (or its thumbnail, route = "thumb") with extra query params
+  const url = (room, name, { route = "file", ...params } = {}) => {
+    const query = [new URLSearchParams(params).toString(), grant(room, name)].filter(Boolean).join("&");
+    return `/${route}/${encodeURIComponent(room)}/${encodeURIComponent(name)}${query ? `?${query}` : ""}`;
+  };
+
+  // Whether the request carries a valid, unexpired grant (always with signing off)
+  const verify = (req, room, name) => {
+    if (!signing) return true;
+    const exp = Number(req.query.exp);
+    return Number.isInteger(exp) && exp * 1000 > Date.now() && safeEqual(req.query.sig, signature(room, name, exp));
+  };
+
+  // Response headers for a file record; attachment for risky types or when asked
+  const headers = (record, { download, cache, ranges = true }) => {
+    const inline = !download && isInlineSafe(record.mime);
+    return {
+      "Content-Type": record.mime,
+      "Content-Disposition": disposition(inline ? "inline" : "attachment", record.originalName || "download"),
+      "X-Content-Type-Options": "nosniff",
+      "Content-Security-Policy": FILE_CSP,
+      "Cross-Origin-Resource-Policy": "same-origin",
+      "Accept-Ranges": ranges ? "bytes" : "none",
+      "Last-Modified": new Date(record.mtimeMs).toUTCString(),
+      ETag: record.sha256 ? `"${record.sha256}"` : `W/"${record.size}-${Math.floor(record.mtimeMs)}"`,
+      // Content never changes under a stored name; counted downloads must reach us
+      "Cache-Control": cache ? "private, max-age=3600" : "no-store",
+    };
+  };
+
+  // Streams the file in `target` (from resolve()) described by `record`.
+  // download: force an attachment; cache: false for responses that must not be reused;
+  // ranges: false sends the whole file whatever the Range header asks for.
+  const send = async (req, res, target, record, { download = false, cache = true, ranges = true } = {}) => {
+    const { size } = record;
+    res.set(headers(record, { download, cache, ranges }));
+    if (cache && req.fresh) return res.status(304).end();
+
+    // One range, e.g. "bytes=500-", "bytes=500-999" or the last n bytes "bytes=-500";
+    // ignored when If-Range names another version
+    let range;
+    const ifRange = req.get("If-Range");
+    const m = ranges && /^bytes=(\d*)-(\d*)$/.exec(req.get("Range") || "");
+    if (m && (m[1] || m[2]) && size && (!ifRange || ifRange === res.get("ETag") || ifRange === res.get("Last-Modified"))) {
+      range = m[1]
+        ? { start: Number(m[1]), end: Math.min(m[2] ? Number(m[2]) : Infinity, size - 1) }
+        : { start: Math.max(0, size - Number(m[2])), end: size - 1 };
+      if (range.start > range.end) return res.status(416).set("Content-Range", `bytes */${size}`).end();
+    }
+
+    let stream;
+    if (req.method !== "HEAD" && size) {
+      try {
+        stream = await storage.createReadStream(target.key, range || {});
+      } catch (err) {
+        if (err.code !== "ENOENT") throw err;
+        for (const name of Object.keys(headers(record, {}))) res.removeHeader(name);
+        return res.status(404).send("Not found");
+      }
+    }
+    if (range) res.status(206).set("Content-Range", `bytes ${range.start}-${range.end}/${size}`);
+    res.set("Content-Length", String(range ? range.end - range.start + 1 : size));
+    if (!stream) return res.end();
+    await pipeline(stream, res).catch(() => stream.destroy()); // client went away
+  };
+
+  return { resolve, url, verify, send };
+};
@@ -0,0 +1,95 @@
+// Magic-byte file type detection. The client-declared MIME type is never
+// trusted; the stored extension and served type come from here.
+
+import fs from "fs";
+
+const SNIFF_BYTES = 4100;
+
+const startsWith = (buf, bytes) => bytes.every((b, i) => buf[i] === b);
+
+const ascii = (buf, start, end) => buf.toString("latin1", start, end);
+
+// ISO base media (mp4/mov/heic/avif/m4a): "ftyp" box at offset 4 + major brand
+const ftyp = (buf) => {
+  if (ascii(buf, 4, 8) !== "ftyp") return null;
+  const brand = ascii(buf, 8, 12);
+  if (/^(heic|heix|hevc|hevx)$/.test(brand)) return { mime: "image/heic", ext: "heic" };
+  if (brand === "mif1" || brand === "msf1") return { mime: "image/heif", ext: "heif" };
+  if (brand === "avif" || brand === "avis") return { mime: "image/avif", ext: "avif" };
+  if (brand === "qt  ") return { mime: "video/quicktime", ext: "mov" };
+  if (brand.startsWith("M4A") || brand.startsWith("M4B")) return { mime: "audio/mp4", ext: "m4a" };
+  if (brand.startsWith("3gp")) return { mime: "video/3gpp", ext: "3gp" };
+  return { mime: "video/mp4", ext: "mp4" };
+};
+
+// Markup is sniffed like browsers do, so HTML/SVG can't hide behind an image type.
+const markup = (buf) => {
+  const head = ascii(buf, 0, Math.min(buf.length, 1024)).replace(/^\xEF\xBB\xBF/, "").trimStart().toLowerCase();
+  if (/^<svg[\s>]/.test(head) || (head.startsWith("<?xml") && head.includes("<svg"))) {
+    return { mime: "image/svg+xml", ext: "svg" };
+  }
+  if (/^<(!doctype html|html|head|body|script|iframe|title|style|div|a |img|meta|!--)/.test(head)) {
+    return { mime: "text/html", ext: "html" };
+  }
+  if (head.startsWith("<?xml")) return { mime: "application/xml", ext: "xml" };
+  return null;
+};
+
+const isText = (buf) => {
+  if (buf.includes(0)) return false;
+  try {
+    // stream: a multi-byte char cut off at the end of the sample is not an error
+    new TextDecoder("utf-8", { fatal: true }).decode(buf, { stream: true });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+export const sniffBuffer = (buf) => {
+  if (startsWith(buf, [0xff, 0xd8, 0xff])) return { mime: "image/jpeg", ext: "jpg" };
+  if (startsWith(buf, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return { mime: "image/png", ext: "png" };
+  if (ascii(buf, 0, 6) === "GIF87a" || ascii(buf, 0, 6) === "GIF89a") return { mime: "image/gif", ext: "gif" };
+  if (ascii(buf, 0, 4) === "RIFF") {
+    const kind = ascii(buf, 8, 12);
+    if (kind === "WEBP") return { mime: "image/webp", ext: "webp" };
+    if (kind === "WAVE") return { mime: "audio/wav", ext: "wav" };
+    if (kind === "AVI ") return { mime: "video/x-msvideo", ext: "avi" };
+  }
+  if (ascii(buf, 0, 2) === "BM" && buf.length > 14) return { mime: "image/bmp", ext: "bmp" };
+  if (startsWith(buf, [0x49, 0x49, 0x2a, 0x00]) || startsWith(buf, [0x4d, 0x4d, 0x00, 0x2a])) {
+    return { mime: "image/tiff", ext: "tif" };
+  }
+  if (startsWith(buf, [0x00, 0x00, 0x01, 0x00])) return { mime: "image/x-icon", ext: "ico" };
+  const iso = ftyp(buf);
+  if (iso) return iso;
+  if (startsWith(buf, [0x1a, 0x45, 0xdf, 0xa3])) {
+    return ascii(buf, 0, 64).includes("webm") ? { mime: "video/webm", ext: "webm" } : { mime: "video/x-matroska", ext: "mkv" };
+  }
+  if (ascii(buf, 0, 4) === "OggS") return { mime: "audio/ogg", ext: "ogg" };
+  if (ascii(buf, 0, 4) === "fLaC") return { mime: "audio/flac", ext: "flac" };
+  if (ascii(buf, 0, 3) === "ID3" || (buf[0] === 0xff && (buf[1] & 0xe0) === 0xe0)) return { mime: "audio/mpeg", ext: "mp3" };
+  if (ascii(buf, 0, 5) === "%PDF-") return { mime: "application/pdf", ext: "pdf" };
+  if (startsWith(buf, [0x50, 0x4b, 0x03, 0x04]) || startsWith(buf, [0x50, 0x4b, 0x05, 0x06])) {
+    return { mime: "application/zip", ext: "zip" };
+  }
+  if (startsWith(buf, [0x1f, 0x8b])) return { mime: "application/gzip", ext: "gz" };
+  if (ascii(buf, 257, 262) === "ustar") return { mime: "application/x-tar", ext: "tar" };
+  if (startsWith(buf, [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c])) return { mime: "application/x-7z-compressed", ext: "7z" };
+  if (ascii(buf, 0, 4) === "Rar!") return { mime: "application/vnd.rar", ext: "rar" };
+  const ml = markup(buf);
+  if (ml) return ml;
+  if (buf.length && isText(buf)) return { mime: "text/plain", ext: "txt" };
+  return { mime: "application/octet-stream", ext: "bin" };
+};
+
+export const sniffFile = (file) => {
+  const fd = fs.openSync(file, "r");
+  try {
+    const buf = Buffer.alloc(SNIFF_BYTES);
+    const n = fs.readSync(fd, buf, 0, SNIFF_BYTES, 0);
+    return sniffBuffer(buf.subarray(0, n));
+  } finally {
+    fs.closeSync(fd);
+  }
+};
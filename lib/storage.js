@@ -0,0 +1,164 @@
+// Storage drivers for file content. Content is addressed by keys like
+// "<room>/<name>" or ".system/trash/<id>/<name>"; what the keys map to is up
+// to the driver:
+// - local: files under a directory (the data dir), key = relative path
+// - s3: objects in an S3-compatible bucket (see lib/s3.js)
+// Metadata (room/file records, settings) is not kept here but in the JSON
+// stores under data/.system.
+//
+// Every driver implements (all async):
+//   put(key, stream, { size, contentType })   store from a readable stream
+//   putFile(key, file, { size, contentType }) store a local file, consuming it
+//   createReadStream(key, { start, end })     end inclusive; ENOENT when missing
+//   stat(key)                                 { size, mtimeMs } or null
+//   list(prefix)                              every key below prefix: [{ key, size, mtimeMs }]
+//   listPrefixes(prefix)                      names one level below prefix ("dirs")
+//   copy(from, to) / move(from, to) / movePrefix(from, to)
+//   remove(key) / removePrefix(prefix)
+// and (sync):
+//   localPath(key)                            path on disk, or null
+//   signedUrl(key, { expiresIn, contentType, filename })  time-limited direct download URL, or null
+
+import fs from "fs";
+import path from "path";
+import { pipeline } from "stream/promises";
+import { createS3Storage } from "./s3.js";
+
+export const STORAGE_DRIVERS = ["local", "s3"];
+
+const notFound = (key) => Object.assign(new Error(`No such file: ${key}`), { code: "ENOENT" });
+
+export const createLocalStorage = ({ dir }) => {
+  const root = path.resolve(dir);
+  fs.mkdirSync(root, { recursive: true });
+
+  const localPath = (key) => {
+    const file = path.resolve(root, ...String(key).split("/"));
+    if (file !== root && !file.startsWith(root + path.sep)) throw new Error(`Key outside the storage dir: ${key}`);
+    return file;
+  };
+  const toKey = (file) => path.relative(root, file).split(path.sep).join("/");
+  const mkdirFor = (key) => fs.mkdirSync(path.dirname(localPath(key)), { recursive: true });
+
+  // Rename, or copy + remove across filesystems
+  const moveFile = (src, dest) => {
+    try {
+      fs.renameSync(src, dest);
+    } catch (err) {
+      if (err.code !== "EXDEV") throw err;
+      fs.cpSync(src, dest, { recursive: true });
+      fs.rmSync(src, { recursive: true, force: true });
+    }
+  };
+
+  const put = async (key, stream) => {
+    mkdirFor(key);
+    const tmp = `${localPath(key)}.${process.pid}.${Date.now()}.tmp`;
+    try {
+      await pipeline(stream, fs.createWriteStream(tmp));
+      fs.renameSync(tmp, localPath(key));
+    } finally {
+      fs.rmSync(tmp, { force: true });
+    }
+  };
+
+  const putFile = async (key, file) => {
+    mkdirFor(key);
+    moveFile(file, localPath(key));
+  };
+
+  const stat = async (key) => {
+    try {
+      const s = await fs.promises.stat(localPath(key));
+      return s.isFile() ? { size: s.size, mtimeMs: s.mtimeMs } : null;
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  };
+
+  const createReadStream = async (key, { start, end } = {}) => {
+    if (!(await stat(key))) throw notFound(key);
+    return fs.createReadStream(localPath(key), { start, end });
+  };
+
+  const list = async (prefix) => {
+    const base = localPath(prefix);
+    if (!fs.existsSync(base)) return [];
+    return fs
+      .readdirSync(base, { recursive: true, withFileTypes: true })
+      .filter((d) => d.isFile())
+      .map((d) => {
+        const file = path.join(d.parentPath ?? d.path, d.name);
+        const s = fs.statSync(file);
+        return { key: toKey(file), size: s.size, mtimeMs: s.mtimeMs };
+      });
+  };
+
+  const listPrefixes = async (prefix = "") => {
+    const base = localPath(prefix);
+    if (!fs.existsSync(base)) return [];
+    return fs
+      .readdirSync(base, { withFileTypes: true })
+      .filter((d) => d.isDirectory())
+      .map((d) => d.name);
+  };
+
+  const copy = async (from, to) => {
+    if (!fs.existsSync(localPath(from))) throw notFound(from);
+    mkdirFor(to);
+    fs.copyFileSync(localPath(from), localPath(to), fs.constants.COPYFILE_FICLONE);
+  };
+  const move = async (from, to) => {
+    if (!fs.existsSync(localPath(from))) throw notFound(from);
+    mkdirFor(to);
+    moveFile(localPath(from), localPath(to));
+  };
+  const movePrefix = async (from, to) => {
+    if (!fs.existsSync(localPath(from))) return;
+    fs.mkdirSync(path.dirname(localPath(to)), { recursive: true });
+    moveFile(localPath(from), localPath(to));
+  };
+
+  const remove = async (key) => fs.rmSync(localPath(key), { force: true });
+  const removePrefix = async (prefix) => fs.rmSync(localPath(prefix), { recursive: true, force: true });
+
+  return {
+    driver: "local",
+    put,
+    putFile,
+    createReadStream,
+    stat,
+    list,
+    listPrefixes,
+    copy,
+    move,
+    movePrefix,
+    remove,
+    removePrefix,
+    localPath,
+    signedUrl: () => null,
+  };
+};
+
+// The driver named by STORAGE_DRIVER (or `driver`), configured from the
+// environment. The local driver stores under dataDir.
+export const createStorageFromEnv = (env, { dataDir, driver = env.STORAGE_DRIVER || "local" }) => {
+  if (driver === "local") return createLocalStorage({ dir: dataDir });
+  if (driver === "s3") {
+    for (const name of ["S3_BUCKET", "S3_ACCESS_KEY_ID", "S3_SECRET_ACCESS_KEY"]) {
+      if (!env[name]) throw new Error(`${name} must be set for the s3 storage driver`);
+    }
+    return createS3Storage({
+      endpoint: env.S3_ENDPOINT,
+      region: env.S3_REGION || "us-east-1",
+      bucket: env.S3_BUCKET,
+      accessKeyId: env.S3_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+      prefix: env.S3_PREFIX || "",
+      // MinIO and most other S3-compatible servers want path-style URLs
+      forcePathStyle: env.S3_FORCE_PATH_STYLE ? env.S3_FORCE_PATH_STYLE === "1" : Boolean(env.S3_ENDPOINT),
+    });
+  }
+  throw new Error(`Unknown storage driver "${driver}" (expected one of ${STORAGE_DRIVERS.join(", ")})`);
+};
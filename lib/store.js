@@ -0,0 +1,38 @@
+// Tiny JSON document store: the whole document is kept in memory and written
+// back atomically (temp file + rename) on every change.
+
+import fs from "fs";
+import path from "path";
+
+export const writeFileAtomic = (file, contents) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+  fs.writeFileSync(tmp, contents);
+  fs.renameSync(tmp, file);
+};
+
+export const openJsonStore = (file, defaults = {}) => {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+    data = structuredClone(defaults);
+  }
+
+  const save = () => writeFileAtomic(file, JSON.stringify(data, null, 2));
+
+  // Mutate the document and persist it; returns whatever fn returns.
+  const update = (fn) => {
+    const result = fn(data);
+    save();
+    return result;
+  };
+
+  return {
+    get data() {
+      return data;
+    },
+    update,
+  };
+};
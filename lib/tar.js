@@ -0,0 +1,127 @@
+// Reading tar archives (optionally gzipped) without a dependency. tarEntries()
+// reads the archive sequentially and yields one entry at a time; an entry's
+// content has to be consumed (or left alone) before asking for the next one.
+// Understands ustar, GNU long names and pax path headers.
+
+import zlib from "zlib";
+import { Readable, pipeline } from "stream";
+
+const BLOCK = 512;
+
+const corrupt = (why) => Object.assign(new Error(`Not a valid tar file (${why})`), { code: "EBADARCHIVE" });
+
+// Pulls exact byte counts out of an async iterable of chunks
+const byteReader = (source) => {
+  const it = source[Symbol.asyncIterator]();
+  let buffered = Buffer.alloc(0);
+  const fill = async (n) => {
+    while (buffered.length < n) {
+      const { value, done } = await it.next();
+      if (done) return false;
+      buffered = buffered.length ? Buffer.concat([buffered, value]) : value;
+    }
+    return true;
+  };
+  return {
+    // exactly n bytes, or null at the end of the input
+    async read(n) {
+      if (!(await fill(n))) return null;
+      const out = buffered.subarray(0, n);
+      buffered = buffered.subarray(n);
+      return out;
+    },
+    // up to n bytes, as they come
+    async chunk(n) {
+      if (!buffered.length && !(await fill(1))) return null;
+      const out = buffered.subarray(0, n);
+      buffered = buffered.subarray(out.length);
+      return out;
+    },
+  };
+};
+
+const text = (buf) => {
+  const end = buf.indexOf(0);
+  return buf.subarray(0, end === -1 ? buf.length : end).toString("utf8");
+};
+
+const number = (buf) => {
+  // GNU base-256 for values that don't fit the octal field
+  if (buf[0] & 0x80) return buf.subarray(1).reduce((n, byte) => n * 256 + byte, buf[0] & 0x7f);
+  return parseInt(text(buf).trim() || "0", 8);
+};
+
+const checksumOk = (header) => {
+  let sum = 0;
+  for (let i = 0; i < BLOCK; i++) sum += i >= 148 && i < 156 ? 0x20 : header[i];
+  return sum === number(header.subarray(148, 156));
+};
+
+// pax records: "<length> <key>=<value>\n"
+const paxPath = (buf) => {
+  for (const line of buf.toString("utf8").split("\n")) {
+    const m = line.match(/^\d+ path=(.*)$/s);
+    if (m) return m[1];
+  }
+  return null;
+};
+
+const TYPES = { 0: "file", "": "file", 7: "file", 5: "dir", 1: "link", 2: "symlink" };
+
+// Entries: { name, type: "file" | "dir" | "link" | "symlink" | "other", size, open() }
+// open() returns an async iterable of the content's chunks.
+export async function* tarEntries(stream) {
+  // gzip is recognised by its magic bytes
+  const input = byteReader(stream);
+  const head = await input.chunk(2);
+  if (!head) return;
+  const rest = (async function* () {
+    yield head;
+    for (let chunk; (chunk = await input.chunk(64 * 1024)); ) yield chunk;
+  })();
+  const gzipped = head[0] === 0x1f && head[1] === 0x8b;
+  const reader = byteReader(gzipped ? pipeline(Readable.from(rest), zlib.createGunzip(), () => {}) : rest);
+
+  let longName = null;
+  for (;;) {
+    const header = await reader.read(BLOCK);
+    if (!header) throw corrupt("unexpected end");
+    if (header.every((b) => b === 0)) return; // end-of-archive block
+    if (!checksumOk(header)) throw corrupt("bad header checksum");
+
+    const size = number(header.subarray(124, 136));
+    const flag = String.fromCharCode(header[156]).replace("\0", "");
+    const padded = Math.ceil(size / BLOCK) * BLOCK;
+
+    if (flag === "L" || flag === "x") {
+      if (size > 1024 * 1024) throw corrupt("oversized extended header");
+      const data = await reader.read(padded);
+      if (!data) throw corrupt("unexpected end");
+      longName = flag === "L" ? text(data.subarray(0, size)) : (paxPath(data.subarray(0, size)) ?? longName);
+      continue;
+    }
+    if (flag === "g") {
+      await reader.read(padded);
+      continue;
+    }
+
+    const prefix = header.subarray(257, 263).toString("latin1").startsWith("ustar") ? text(header.subarray(345, 500)) : "";
+    const name = longName ?? (prefix ? `${prefix}/${text(header.subarray(0, 100))}` : text(header.subarray(0, 100)));
+    longName = null;
+
+    let left = size;
+    const open = async function* () {
+      while (left > 0) {
+        const chunk = await reader.chunk(left);
+        if (!chunk) throw corrupt("unexpected end");
+        left -= chunk.length;
+        yield chunk;
+      }
+    };
+    yield { name, type: TYPES[flag] || "other", size, open };
+
+    // Skip whatever of the content wasn't read, and the padding
+    for await (const chunk of open()) void chunk;
+    if (padded > size && !(await reader.read(padded - size))) throw corrupt("unexpected end");
+  }
+}
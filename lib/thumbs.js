@@ -0,0 +1,97 @@
+// Image derivatives for the gallery: a small "thumb" and a medium "preview",
+// each as WebP and JPEG, kept in a cache dir apart from the originals.
+// Generated in the background after upload (one at a time), or on first
+// request for files that predate the cache. Cleaned up with their file/room.
+// The cache is always on local disk; originals kept elsewhere (S3) are read
+// into memory for resizing.
+
+import fs from "fs";
+import path from "path";
+import sharp from "sharp";
+
+export const SIZES = {
+  thumb: { width: 480, height: 320, fit: "cover" },
+  preview: { width: 1600, height: 1600, fit: "inside" },
+};
+export const FORMATS = { webp: "image/webp", jpeg: "image/jpeg" };
+
+// What sharp can decode from the prebuilt binaries
+const RESIZABLE = new Set(["image/jpeg", "image/png", "image/webp", "image/gif", "image/avif", "image/tiff", "image/heif"]);
+
+export const canThumbnail = (mime) => RESIZABLE.has(mime);
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+export const createThumbs = ({ library, storage, cacheDir }) => {
+  const roomCache = (room) => path.join(cacheDir, room);
+  const derivativePath = (room, name, size, format) => path.join(roomCache(room), `${name}.${size}.${format}`);
+
+  // Serialize generation: resizing is CPU/memory heavy.
+  let queue = Promise.resolve();
+  const pending = new Map();
+
+  const render = async (room, name) => {
+    const key = library.fileKey(room, name);
+    const src = storage.localPath(key) || (await readAll(await storage.createReadStream(key)));
+    fs.mkdirSync(roomCache(room), { recursive: true });
+    for (const [size, opts] of Object.entries(SIZES)) {
+      // rotate() applies EXIF orientation; withoutEnlargement keeps small images small
+      const base = sharp(src, { animated: false, limitInputPixels: 100e6 })
+        .rotate()
+        .resize({ ...opts, withoutEnlargement: true });
+      await base.clone().webp({ quality: 80 }).toFile(derivativePath(room, name, size, "webp"));
+      await base.clone().flatten({ background: "#0b1220" }).jpeg({ quality: 82, mozjpeg: true }).toFile(derivativePath(room, name, size, "jpeg"));
+    }
+  };
+
+  // Resolves when all derivatives of the file exist; failures are logged and
+  // resolve to false (the gallery then falls back to a placeholder card).
+  const generate = (room, name) => {
+    const key = `${room}/${name}`;
+    if (pending.has(key)) return pending.get(key);
+    const rendered = queue.then(() => render(room, name));
+    queue = rendered.catch(() => {}); // a failed job doesn't stop the ones after it
+    const job = rendered
+      .then(() => true)
+      .catch((err) => {
+        console.error(`Thumbnail failed for ${key}: ${err.message}`);
+        remove(room, name);
+        return false;
+      })
+      .finally(() => pending.delete(key));
+    pending.set(key, job);
+    return job;
+  };
+
+  // Path of an existing derivative, generating it first if needed. null when
+  // the file isn't an image we can resize.
+  const get = async (room, name, size, format) => {
+    const file = library.getFile(room, name);
+    if (!file || !canThumbnail(file.mime) || !SIZES[size] || !FORMATS[format]) return null;
+    const p = derivativePath(room, name, size, format);
+    if (fs.existsSync(p)) return p;
+    return (await generate(room, name)) && fs.existsSync(p) ? p : null;
+  };
+
+  const remove = (room, name) => {
+    for (const size of Object.keys(SIZES)) {
+      for (const format of Object.keys(FORMATS)) fs.rmSync(derivativePath(room, name, size, format), { force: true });
+    }
+  };
+
+  library.events.on("file:added", ({ room, name, record }) => {
+    if (canThumbnail(record.mime)) generate(room, name);
+  });
+  library.events.on("file:deleted", ({ room, name }) => remove(room, name));
+  library.events.on("room:deleted", ({ room }) => fs.rmSync(roomCache(room), { recursive: true, force: true }));
+  library.events.on("room:renamed", ({ room, to }) => {
+    fs.rmSync(roomCache(to), { recursive: true, force: true });
+    if (fs.existsSync(roomCache(room))) fs.renameSync(roomCache(room), roomCache(to));
+  });
+
+  return { get, generate, remove };
+};
@@ -0,0 +1,52 @@
+// Bearer API tokens for admin API calls. Only a SHA-256 of each token is
+// stored; the plaintext is shown once when the token is created.
+
+import crypto from "crypto";
+
+const digest = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+// lastUsedAt is only written when it is older than this, not on every API call
+const TOUCH_MS = 60 * 1000;
+
+export const createTokens = ({ store }) => {
+  const tokens = () => store.data.tokens;
+
+  const list = () => tokens().map(({ hash, ...rest }) => rest);
+
+  const create = (name, createdBy) => {
+    const token = `rk_${crypto.randomBytes(24).toString("base64url")}`;
+    const record = {
+      id: crypto.randomBytes(6).toString("hex"),
+      name: String(name || "").trim() || "unnamed",
+      createdBy,
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null,
+    };
+    store.update((d) => d.tokens.push({ ...record, hash: digest(token) }));
+    return { token, record };
+  };
+
+  const revoke = (id) =>
+    store.update((d) => {
+      const before = d.tokens.length;
+      d.tokens = d.tokens.filter((t) => t.id !== id);
+      return d.tokens.length !== before;
+    });
+
+  // Returns the token record (without hash) or null.
+  const verify = (token) => {
+    if (!token) return null;
+    const hash = Buffer.from(digest(token), "hex");
+    const found = tokens().find((t) => crypto.timingSafeEqual(Buffer.from(t.hash, "hex"), hash));
+    if (!found) return null;
+    if (!found.lastUsedAt || Date.now() - Date.parse(found.lastUsedAt) >= TOUCH_MS) {
+      store.update(() => {
+        found.lastUsedAt = new Date().toISOString();
+      });
+    }
+    const { hash: _hash, ...rest } = found;
+    return rest;
+  };
+
+  return { list, create, revoke, verify };
+};
@@ -0,0 +1,116 @@
+// Trash for deleted files and rooms. Deleting moves the content to
+// <prefix><id>/ in the storage backend and keeps a record of what was deleted (file records, and the
+// room's full record so a restored private room stays private), by whom and
+// when. Items can be restored into their room (recreating it if it is gone)
+// or purged; items older than retentionMs are purged by a background job
+// (retentionMs 0 keeps them until purged by hand). Everything that touches
+// the content is async.
+
+import crypto from "crypto";
+
+export const createTrash = ({ library, storage, prefix, store, retentionMs }) => {
+  const itemPrefix = (id) => `${prefix}${id}/`;
+
+  const items = () => store.data.items;
+  const list = () => [...items()].sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+  const get = (id) => items().find((i) => i.id === id) || null;
+  const expiresAt = (item) => (retentionMs ? new Date(Date.parse(item.deletedAt) + retentionMs).toISOString() : null);
+
+  const record = (item) => {
+    const entry = {
+      id: item.id,
+      kind: item.kind,
+      room: item.room,
+      roomRecord: item.roomRecord,
+      files: item.files,
+      size: item.files.reduce((n, f) => n + (f.record.size || 0), 0),
+      deletedAt: new Date().toISOString(),
+      deletedBy: item.actor || null,
+    };
+    store.update((d) => d.items.push(entry));
+    return entry;
+  };
+
+  // File records without the fields getFile() adds.
+  const fileEntry = ({ name, mtimeMs, ...record }) => ({ name, record });
+
+  const forget = (id) =>
+    store.update((d) => {
+      d.items = d.items.filter((i) => i.id !== id);
+    });
+
+  // The item is recorded before its content moves, so sweep() never takes
+  // the content for an orphan.
+  const trashFile = async (room, name, { actor } = {}) => {
+    const file = library.getFile(room, name);
+    if (!file) return null;
+    const id = crypto.randomBytes(6).toString("hex");
+    const item = record({ id, kind: "file", room, roomRecord: library.getRoom(room), files: [fileEntry(file)], actor });
+    try {
+      if (await library.deleteFile(room, name, { actor, moveTo: `${itemPrefix(id)}${name}` })) return item;
+    } catch (err) {
+      forget(id);
+      throw err;
+    }
+    forget(id);
+    return null;
+  };
+
+  const trashRoom = async (room, { actor } = {}) => {
+    const roomRecord = library.getRoom(room);
+    if (!roomRecord) return null;
+    const id = crypto.randomBytes(6).toString("hex");
+    const item = record({ id, kind: "room", room, roomRecord, files: library.listFiles(room).map(fileEntry), actor });
+    try {
+      await library.deleteRoom(room, { actor, moveTo: itemPrefix(id) });
+    } catch (err) {
+      forget(id);
+      throw err;
+    }
+    return item;
+  };
+
+  const drop = async (id) => {
+    await storage.removePrefix(itemPrefix(id));
+    forget(id);
+  };
+
+  // Moves the item's files back into their room; resolves to the item or null.
+  const restore = async (id) => {
+    const item = get(id);
+    if (!item) return null;
+    if (!library.exists(item.room)) library.restoreRoom(item.room, item.roomRecord);
+    for (const { name, record } of item.files) {
+      const src = `${itemPrefix(id)}${name}`;
+      if (!(await storage.stat(src))) continue;
+      await storage.move(src, library.fileKey(item.room, name));
+      library.addFile(item.room, name, record);
+    }
+    await drop(id);
+    return item;
+  };
+
+  const purge = async (id) => {
+    const item = get(id);
+    if (item) await drop(id);
+    return item;
+  };
+
+  const empty = async () => {
+    const purged = [];
+    for (const { id } of [...items()]) purged.push(await purge(id));
+    return purged;
+  };
+
+  // Purges expired items and any content in the trash without a record.
+  const sweep = async () => {
+    const now = new Date().toISOString();
+    const expired = items().filter((i) => expiresAt(i) && expiresAt(i) <= now);
+    for (const item of expired) await drop(item.id);
+    const known = new Set(items().map((i) => i.id));
+    for (const id of await storage.listPrefixes(prefix)) if (!known.has(id)) await storage.removePrefix(itemPrefix(id));
+    return expired;
+  };
+
+  return { list, get, expiresAt, trashFile, trashRoom, restore, purge, empty, sweep };
+};
@@ -0,0 +1,225 @@
+// Resumable uploads following the tus 1.0.0 protocol (core + creation,
+// termination and expiration extensions), so any tus client can be used:
+//   POST   /tus/:room        Upload-Length, Upload-Metadata (filename, filetype, note, ttl, maxDownloads)
+//   HEAD   /tus/:room/:id    -> Upload-Offset
+//   PATCH  /tus/:room/:id    Upload-Offset + application/offset+octet-stream chunk
+//   DELETE /tus/:room/:id
+// Partial data lives in partialsDir as <id>.bin with an <id>.json sidecar.
+// The PATCH that completes an upload hands the file to uploads.ingest(), so it
+// gets the same type sniffing, policy checks and naming as a form upload.
+// Partials without activity for expireMs are removed by a sweeper.
+// onComplete(req, file) is called for every finished upload; rejected uploads
+// are answered with describe(req, err) (the error's message by default).
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import express from "express";
+import { UploadRejectedError } from "./policy.js";
+import { writeFileAtomic } from "./store.js";
+
+const TUS_VERSION = "1.0.0";
+const ID_RE = /^[a-f0-9]{32}$/;
+
+// "filename d29ybGQ=,note " -> { filename: "world", note: "" }
+const parseMetadata = (header) =>
+  Object.fromEntries(
+    String(header || "")
+      .split(",")
+      .map((pair) => pair.trim().split(" "))
+      .filter(([key]) => key)
+      .map(([key, value]) => [key, value ? Buffer.from(value, "base64").toString("utf8") : ""])
+  );
+
+export const createTus = ({ uploads, partialsDir, expireMs, maxSize, onComplete, describe = (req, err) => err.message }) => {
+  fs.mkdirSync(partialsDir, { recursive: true });
+  const router = express.Router({ mergeParams: true });
+  const busy = new Set();
+
+  const dataPath = (id) => path.join(partialsDir, `${id}.bin`);
+  const infoPath = (id) => path.join(partialsDir, `${id}.json`);
+
+  const readInfo = (id) => {
+    if (!ID_RE.test(id)) return null;
+    try {
+      return JSON.parse(fs.readFileSync(infoPath(id), "utf8"));
+    } catch {
+      return null;
+    }
+  };
+  const touch = (id, info) => {
+    info.updatedAt = Date.now();
+    writeFileAtomic(infoPath(id), JSON.stringify(info));
+  };
+  const discard = (id) => {
+    fs.rmSync(dataPath(id), { force: true });
+    fs.rmSync(infoPath(id), { force: true });
+  };
+  // The bytes on disk are the source of truth for the offset.
+  const offsetOf = (id) => {
+    try {
+      return fs.statSync(dataPath(id)).size;
+    } catch {
+      return 0;
+    }
+  };
+  const expiresAt = (info) => new Date(info.updatedAt + expireMs).toUTCString();
+
+  const sweep = () => {
+    const cutoff = Date.now() - expireMs;
+    for (const f of fs.readdirSync(partialsDir)) {
+      const id = f.split(".")[0];
+      if (busy.has(id)) continue;
+      const info = readInfo(id);
+      if (!info || info.updatedAt < cutoff) discard(id);
+    }
+  };
+  sweep();
+  const sweeper = setInterval(sweep, Math.min(expireMs, 10 * 60 * 1000)).unref();
+  // Stops the sweeps
+  router.close = () => clearInterval(sweeper);
+
+  const fail = (res, status, message) => res.status(status).type("text").send(message);
+
+  router.use((req, res, next) => {
+    res.set("Tus-Resumable", TUS_VERSION);
+    if (req.method === "OPTIONS") {
+      res.set({
+        "Tus-Version": TUS_VERSION,
+        "Tus-Extension": "creation,termination,expiration",
+        ...(maxSize && { "Tus-Max-Size": String(maxSize) }),
+      });
+      return res.status(204).end();
+    }
+    if (req.get("Tus-Resumable") !== TUS_VERSION) {
+      res.set("Tus-Version", TUS_VERSION);
+      return fail(res, 412, "Unsupported tus version");
+    }
+    next();
+  });
+
+  router.post("/", (req, res) => {
+    const room = req.params.room.toLowerCase();
+    const length = Number(req.get("Upload-Length"));
+    if (!Number.isSafeInteger(length) || length < 0) return fail(res, 400, "Upload-Length is required");
+    let limit;
+    try {
+      ({ limit } = uploads.preflight(room));
+      if (length > limit) throw uploads.tooLarge(limit);
+    } catch (err) {
+      if (err instanceof UploadRejectedError) return fail(res, err.status, describe(req, err));
+      throw err;
+    }
+    const id = crypto.randomBytes(16).toString("hex");
+    const info = { room, length, metadata: parseMetadata(req.get("Upload-Metadata")), createdAt: Date.now(), updatedAt: Date.now() };
+    fs.writeFileSync(dataPath(id), "");
+    touch(id, info);
+    res.set({ Location: `${req.baseUrl}/${id}`, "Upload-Expires": expiresAt(info) });
+    res.status(201).end();
+  });
+
+  // Loads the upload for :id (scoped to the room in the URL) into req.tus
+  router.param("id", (req, res, next, id) => {
+    const info = readInfo(id);
+    if (!info || info.room !== req.params.room.toLowerCase()) return fail(res, 404, "Upload not found");
+    req.tus = { id, info };
+    next();
+  });
+
+  router.head("/:id", (req, res) => {
+    const { id, info } = req.tus;
+    res.set({
+      "Upload-Offset": String(offsetOf(id)),
+      "Upload-Length": String(info.length),
+      "Upload-Expires": expiresAt(info),
+      "Cache-Control": "no-store",
+    });
+    res.status(200).end();
+  });
+
+  router.patch("/:id", (req, res, next) => {
+    const { id, info } = req.tus;
+    if (req.get("Content-Type") !== "application/offset+octet-stream") return fail(res, 415, "Wrong Content-Type");
+    if (busy.has(id)) return fail(res, 409, "Upload is locked by another request");
+    const offset = offsetOf(id);
+    if (Number(req.get("Upload-Offset")) !== offset) return fail(res, 409, "Upload-Offset mismatch");
+
+    busy.add(id);
+    const remaining = info.length - offset;
+    const out = fs.createWriteStream(dataPath(id), { flags: "a" });
+    let received = 0;
+
+    // Whatever reached the disk before a disconnect counts; the client resumes from there.
+    const done = async () => {
+      touch(id, info);
+      const newOffset = offsetOf(id);
+      res.set({ "Upload-Offset": String(newOffset), "Upload-Expires": expiresAt(info) });
+      if (newOffset < info.length) {
+        busy.delete(id);
+        return res.status(204).end();
+      }
+      // Stays locked while the finished file is hashed and ingested
+      try {
+        const file = await uploads.ingest(info.room, {
+          tmpPath: dataPath(id),
+          size: info.length,
+          originalName: info.metadata.filename || info.metadata.name,
+          note: info.metadata.note,
+          ttl: info.metadata.ttl,
+          maxDownloads: info.metadata.maxDownloads,
+        });
+        fs.rmSync(infoPath(id), { force: true });
+        onComplete?.(req, { ...file, originalName: info.metadata.filename || info.metadata.name, size: info.length });
+        res.set("X-Stored-Name", file.filename);
+        if (file.duplicate) res.set("X-Duplicate", "true");
+        res.status(204).end();
+      } catch (err) {
+        discard(id);
+        if (err instanceof UploadRejectedError) return fail(res, err.status, describe(req, err));
+        next(err);
+      } finally {
+        busy.delete(id);
+      }
+    };
+
+    req.on("data", (chunk) => {
+      if (out.destroyed) return;
+      // Bytes past Upload-Length are dropped
+      chunk = chunk.subarray(0, Math.max(0, remaining - received));
+      received += chunk.length;
+      if (chunk.length && !out.write(chunk)) {
+        req.pause();
+        out.once("drain", () => req.resume());
+      }
+    });
+    const finish = () => {
+      if (!out.writableEnded && !out.destroyed) out.end();
+    };
+    req.on("end", finish);
+    req.on("close", finish);
+    // A failed write is followed by "close" too; only the first outcome answers
+    let settled = false;
+    const once = (fn) => (arg) => {
+      if (settled) return;
+      settled = true;
+      fn(arg);
+    };
+    out.on("close", once(done));
+    out.on(
+      "error",
+      once((err) => {
+        busy.delete(id);
+        req.resume();
+        next(err);
+      })
+    );
+  });
+
+  router.delete("/:id", (req, res) => {
+    if (busy.has(req.tus.id)) return fail(res, 409, "Upload is in progress");
+    discard(req.tus.id);
+    res.status(204).end();
+  });
+
+  return router;
+};
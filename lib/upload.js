@@ -0,0 +1,166 @@
+// Upload intake: multer (or the resumable endpoint in lib/tus.js) writes into
+// a temp dir with the room's size limit, hashing (SHA-256) on the way in. Then
+// ingest() sniffs the file, checks it against the room policy and duplicates,
+// and only hands it to the storage backend (and records it in the library)
+// once accepted. With a content store (lib/blobs.js, local storage only) the
+// room file is a link to the shared blob instead.
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { PassThrough } from "stream";
+import { pipeline } from "stream/promises";
+import multer from "multer";
+import { nanoid } from "nanoid";
+import { sniffFile } from "./sniff.js";
+import { UploadRejectedError, formatBytes } from "./policy.js";
+import { hashFile } from "./blobs.js";
+import { expiresIn } from "./expiry.js";
+
+// The lifetime (hours) the uploader picked out of the room's choices, the first
+// choice when they picked none of them; 0 = keep.
+const lifetime = (policy, requested) => {
+  const choices = policy.fileTtlHours;
+  return choices.includes(Number(requested)) ? Number(requested) : choices[0] || 0;
+};
+
+// The lower of the room's and the uploader's download limit; null = unlimited.
+const downloadLimit = (policy, requested) => {
+  const limits = [policy.maxDownloads, Number(requested)].filter((n) => Number.isInteger(n) && n > 0);
+  return limits.length ? Math.min(...limits) : null;
+};
+
+export const createUploads = ({ library, storage, policies, tmpDir, blobs }) => {
+  fs.mkdirSync(tmpDir, { recursive: true });
+
+  const tmpName = () => path.join(tmpDir, `${Date.now()}-${nanoid(8)}.part`);
+
+  // multer storage engine: like diskStorage into tmpDir, plus file.sha256
+  const tempStorage = {
+    _handleFile(req, file, cb) {
+      const dest = tmpName();
+      const hash = crypto.createHash("sha256");
+      let size = 0;
+      const hasher = new PassThrough();
+      hasher.on("data", (chunk) => {
+        hash.update(chunk);
+        size += chunk.length;
+      });
+      pipeline(file.stream, hasher, fs.createWriteStream(dest)).then(
+        () => cb(null, { destination: tmpDir, filename: path.basename(dest), path: dest, size, sha256: hash.digest("hex") }),
+        (err) => cb(err)
+      );
+    },
+    _removeFile(req, file, cb) {
+      fs.rm(file.path, { force: true }, cb);
+    },
+  };
+
+  const usage = (room) => library.usage(room);
+
+  // Checks before receiving anything; returns the room's policy, its usage
+  // and the largest file it accepts right now. Throws UploadRejectedError.
+  const preflight = (room) => {
+    // Rooms are only created by admins; uploads never create one.
+    if (!library.exists(room)) throw new UploadRejectedError(404, "room_not_found");
+    const policy = policies.get(room);
+    const used = usage(room);
+    policies.checkRoomCapacity(policy, used);
+    return { policy, used, limit: policies.uploadLimit(policy, used) };
+  };
+
+  const tooLarge = (limit) =>
+    new UploadRejectedError(413, "file_too_large", { max: formatBytes(limit) });
+
+  // Accept a fully received temp file into the room under the room's naming
+  // scheme. Resolves to { filename, key, mimetype, sha256, duplicate, status },
+  // where duplicate means an existing file was returned instead (policy "link")
+  // and status is "pending" when the room holds uploads for review.
+  // The temp file is always consumed.
+  const ingest = async (room, { tmpPath, size, originalName, note, sha256, ttl, maxDownloads }) => {
+    try {
+      sha256 ||= await hashFile(tmpPath);
+      const { policy, used } = preflight(room);
+      const existing = policy.duplicates !== "allow" && library.findByHash(room, sha256);
+      if (existing) {
+        const file = library.getFile(room, existing);
+        if (policy.duplicates === "reject") {
+          throw new UploadRejectedError(409, "duplicate", { name: file.originalName });
+        }
+        return { filename: existing, key: library.fileKey(room, existing), mimetype: file.mime, sha256, duplicate: true, status: file.status };
+      }
+      const type = sniffFile(tmpPath);
+      policies.checkFile(policy, used, { size, mime: type.mime });
+      const filename = `${Date.now()}-${nanoid(6)}.${type.ext}`;
+      const key = library.fileKey(room, filename);
+      if (blobs) blobs.adopt(tmpPath, sha256, storage.localPath(key), key);
+      else await storage.putFile(key, tmpPath, { size, contentType: type.mime });
+      const status = policy.moderate ? "pending" : "approved";
+      library.addFile(room, filename, {
+        originalName,
+        note,
+        mime: type.mime,
+        size,
+        sha256,
+        status,
+        expiresAt: expiresIn(lifetime(policy, ttl)),
+        maxDownloads: downloadLimit(policy, maxDownloads),
+      });
+      return { filename, key, mimetype: type.mime, sha256, duplicate: false, status };
+    } finally {
+      fs.rmSync(tmpPath, { force: true });
+    }
+  };
+
+  // Like multer's .array(field, maxCount), but policy-checked: req.files holds
+  // the accepted files. Rejections are passed to next() as UploadRejectedError;
+  // files accepted before the rejected one stay.
+  const array = (field, maxCount) => (req, res, next) => {
+    const room = String(req.params.room || "").toLowerCase();
+    let limit;
+    try {
+      ({ limit } = preflight(room));
+    } catch (err) {
+      return next(err);
+    }
+
+    const limits = { files: maxCount, ...(Number.isFinite(limit) && { fileSize: limit }) };
+    multer({ storage: tempStorage, limits }).array(field, maxCount)(req, res, async (err) => {
+      if (err?.code === "LIMIT_FILE_SIZE") return next(tooLarge(limit));
+      if (err) return next(err);
+      const received = req.files || [];
+      req.files = [];
+      for (const [i, file] of received.entries()) {
+        try {
+          const accepted = await ingest(room, {
+            tmpPath: file.path,
+            size: file.size,
+            originalName: file.originalname,
+            note: req.body?.note,
+            ttl: req.body?.ttl,
+            maxDownloads: req.body?.maxDownloads,
+            sha256: file.sha256,
+          });
+          const { fieldname, originalname, encoding, mimetype: declaredMimetype, size } = file;
+          req.files.push({ fieldname, originalname, encoding, size, ...accepted, declaredMimetype });
+        } catch (e) {
+          for (const rest of received.slice(i + 1)) fs.rmSync(rest.path, { force: true });
+          return next(e);
+        }
+      }
+      next();
+    });
+  };
+
+  // Single-file variant: req.file
+  const single = (field) => {
+    const handler = array(field, 1);
+    return (req, res, next) =>
+      handler(req, res, (err) => {
+        if (!err) req.file = req.files[0];
+        next(err);
+      });
+  };
+
+  return { single, array, preflight, ingest, tooLarge, usage };
+};
@@ -0,0 +1,81 @@
+// View helpers for the HTML pages. Markup is written as html`...` templates:
+// every interpolated value is HTML-escaped (which also covers quoted
+// attributes) unless it is markup from another html`` template or marked
+// trusted with raw(). Arrays are joined and null / undefined / false render
+// as nothing, so `${cond && html`...`}` and `${list.map(...)}` work as read.
+// For JavaScript, js() turns a value into a literal: inside an event
+// handler attribute interpolate it as is (it gets HTML-escaped like any
+// value); inside a <script> block use raw(js(value)).
+// Themes are sets of CSS variables, picked per visitor (see themeCss()).
+
+class Html {
+  constructor(value) {
+    this.value = value;
+  }
+  toString() {
+    return this.value;
+  }
+}
+
+export const escapeHtml = (s) =>
+  String(s ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+// Trusted markup, inserted as is
+export const raw = (s) => (s instanceof Html ? s : new Html(String(s ?? "")));
+
+const render = (v) => {
+  if (v === null || v === undefined || v === false) return "";
+  if (v instanceof Html) return v.value;
+  if (Array.isArray(v)) return v.map(render).join("");
+  return escapeHtml(v);
+};
+
+export const html = (strings, ...values) => {
+  let out = strings[0];
+  values.forEach((v, i) => {
+    out += render(v) + strings[i + 1];
+  });
+  return new Html(out);
+};
+
+// Joins fragments with a separator (markup, e.g. "<hr>")
+export const join = (items, separator) => raw(items.map(render).join(render(separator)));
+
+// A JSON literal that can't end a <script> block or an attribute early
+export const js = (value) =>
+  JSON.stringify(value ?? null).replace(/[<>&\u2028\u2029]/g, (c) => `\\u${c.charCodeAt(0).toString(16).padStart(4, "0")}`);
+
+// ---------- themes ----------
+const DARK = {
+  bg: "#0b0c0f", panel: "#111827", card: "#0f172a", fg: "#e5e7eb", mut: "#9ca3af",
+  accent: "#4f46e5", danger: "#ef4444", ok: "#16a34a", link: "#60a5fa", warn: "#fbbf24",
+  btn: "#1f2937", "btn-fg": "#fff", "btn-border": "transparent", input: "#0b1220", border: "#334155", rule: "#263244",
+  "badge-bg": "#111827", "badge-border": "#374151", "badge-fg": "#a5b4fc", drop: "#111a33", shadow: "rgb(0 0 0 / .35)",
+};
+
+export const THEMES = {
+  dark: DARK,
+  light: {
+    ...DARK,
+    bg: "#f3f4f6", panel: "#ffffff", card: "#f9fafb", fg: "#111827", mut: "#4b5563",
+    link: "#1d4ed8", warn: "#b45309", danger: "#dc2626", ok: "#15803d",
+    btn: "#e5e7eb", "btn-fg": "#111827", input: "#ffffff", border: "#9ca3af", rule: "#e5e7eb",
+    "badge-bg": "#eef2ff", "badge-border": "#c7d2fe", "badge-fg": "#3730a3", drop: "#e0e7ff", shadow: "rgb(0 0 0 / .08)",
+  },
+  // Black, white and yellow; borders instead of shades
+  "high-contrast": {
+    ...DARK,
+    bg: "#000", panel: "#000", card: "#000", fg: "#fff", mut: "#fff",
+    accent: "#0000c0", link: "#ffff00", warn: "#ffff00", danger: "#c00000", ok: "#006400",
+    btn: "#000", "btn-fg": "#fff", "btn-border": "#fff", input: "#000", border: "#fff", rule: "#fff",
+    "badge-bg": "#000", "badge-border": "#fff", "badge-fg": "#fff", drop: "#000", shadow: "none",
+  },
+};
+
+// The variables of every theme, scoped by <html data-theme="...">
+export const themeCss = () =>
+  raw(
+    Object.entries(THEMES)
+      .map(([name, vars]) => `[data-theme="${name}"]{${Object.entries(vars).map(([k, v]) => `--${k}:${v}`).join(";")}}`)
+      .join("\n")
+  );
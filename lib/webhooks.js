@@ -0,0 +1,256 @@
+// Outgoing webhooks: file and room events are POSTed as JSON to the URLs
+// admins configure, either for every room or for one room. Each request is
+// signed with the hook's secret:
+//   X-Rooms-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+// with X-Rooms-Event and X-Rooms-Delivery (the delivery id) alongside.
+// Deliveries are queued in the store, so they survive restarts, and are
+// retried with exponential backoff (30 s, 1 min, 2 min, ... at most 6 h apart)
+// until the receiver answers 2xx or maxAttempts is reached. The newest `keep`
+// finished deliveries are kept for the admin page, where they can be sent again.
+
+import crypto from "crypto";
+import http from "http";
+import https from "https";
+
+export const WEBHOOK_EVENTS = ["file.added", "file.deleted", "room.deleted", "room.renamed"];
+
+const BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000;
+
+export const signPayload = (secret, body, t = Math.floor(Date.now() / 1000)) =>
+  `t=${t},v1=${crypto.createHmac("sha256", secret).update(`${t}.${body}`).digest("hex")}`;
+
+// Only http(s) URLs with a host
+const validUrl = (url) => {
+  try {
+    const u = new URL(url);
+    return (u.protocol === "http:" || u.protocol === "https:") && Boolean(u.hostname);
+  } catch {
+    return false;
+  }
+};
+
+// fileUrl(room, name): download link put into file events
+export const createWebhooks = ({ library, store, fileUrl, timeoutMs = 10 * 1000, maxAttempts = 8, keep = 200 }) => {
+  const hooks = () => store.data.hooks;
+  const deliveries = () => store.data.deliveries;
+  const newId = () => crypto.randomBytes(6).toString("hex");
+
+  // The secret is only returned here; the admin page shows it once
+  const create = ({ url, room = null, events = WEBHOOK_EVENTS, createdBy }) => {
+    if (!validUrl(url)) return null;
+    const hook = {
+      id: newId(),
+      url: String(url),
+      room: room || null,
+      events: events.filter((e) => WEBHOOK_EVENTS.includes(e)),
+      secret: `whsec_${crypto.randomBytes(24).toString("base64url")}`,
+      createdBy,
+      createdAt: new Date().toISOString(),
+    };
+    if (!hook.events.length) return null;
+    store.update((d) => d.hooks.push(hook));
+    return hook;
+  };
+
+  const list = () => hooks().map(({ secret, ...rest }) => rest);
+
+  // Pending deliveries to the hook are dropped with it
+  const remove = (id) =>
+    store.update((d) => {
+      const before = d.hooks.length;
+      d.hooks = d.hooks.filter((h) => h.id !== id);
+      d.deliveries = d.deliveries.filter((x) => x.hookId !== id || x.status !== "pending");
+      return d.hooks.length !== before;
+    });
+
+  // Newest first
+  const recent = (limit = 50) => deliveries().slice(-limit).reverse();
+
+  const enqueue = (hook, payload, extra = {}) => {
+    const delivery = {
+      id: newId(),
+      hookId: hook.id,
+      url: hook.url,
+      event: payload.event,
+      room: payload.room?.name || null,
+      payload,
+      status: "pending",
+      attempts: 0,
+      nextAt: Date.now(),
+      createdAt: new Date().toISOString(),
+      ...extra,
+    };
+    store.update((d) => d.deliveries.push(delivery));
+    schedule();
+    return delivery;
+  };
+
+  // One delivery per matching hook
+  const emit = (event, room, fields) => {
+    const targets = hooks().filter((h) => h.events.includes(event) && (!h.room || h.room === room));
+    if (!targets.length) return;
+    const info = library.getRoom(room);
+    const payload = {
+      id: newId(),
+      event,
+      createdAt: new Date().toISOString(),
+      room: { name: room, title: info?.title ?? room },
+      ...fields,
+    };
+    for (const hook of targets) enqueue(hook, payload);
+  };
+
+  const fileJson = (name, record) =>
+    record && {
+      name,
+      originalName: record.originalName,
+      note: record.note,
+      mime: record.mime,
+      size: record.size,
+      sha256: record.sha256,
+      uploadedAt: record.uploadedAt,
+      status: record.status,
+      expiresAt: record.expiresAt,
+    };
+
+  // file.added is sent once a file is published: right away, or when an
+  // admin approves it in a moderated room
+  const published = (room, name, record) => emit("file.added", room, { file: fileJson(name, record), url: fileUrl(room, name) });
+  library.events.on("file:added", ({ room, name, record }) => {
+    if (record.status !== "pending") published(room, name, record);
+  });
+  library.events.on("file:updated", ({ room, name, record, before }) => {
+    if (before.status === "pending" && record.status !== "pending") published(room, name, record);
+  });
+  library.events.on("file:deleted", ({ room, name, record, actor }) =>
+    emit("file.deleted", room, { file: fileJson(name, record) || { name }, actor: actor || null })
+  );
+  library.events.on("room:deleted", ({ room, files, actor }) => emit("room.deleted", room, { files: files.length, actor: actor || null }));
+  // Room hooks follow their room
+  library.events.on("room:renamed", ({ room, to, actor }) => {
+    if (hooks().some((h) => h.room === room)) {
+      store.update((d) => {
+        for (const h of d.hooks) if (h.room === room) h.room = to;
+      });
+    }
+    emit("room.renamed", to, { from: room, actor: actor || null });
+  });
+
+  // Sends the same payload again as a new delivery (signed with the hook's current secret)
+  const redeliver = (id) => {
+    const old = deliveries().find((x) => x.id === id);
+    const hook = old && hooks().find((h) => h.id === old.hookId);
+    return hook ? enqueue(hook, old.payload, { redeliveryOf: old.id }) : null;
+  };
+
+  // POST; resolves to { status, body } (the first 500 bytes of the response)
+  const post = (url, body, headers) =>
+    new Promise((resolve, reject) => {
+      const target = new URL(url);
+      const req = (target.protocol === "https:" ? https : http).request(
+        target,
+        {
+          method: "POST",
+          headers: { "content-type": "application/json", "content-length": Buffer.byteLength(body), "user-agent": "rooms-webhooks", ...headers },
+          timeout: timeoutMs,
+        },
+        (res) => {
+          let text = "";
+          res.setEncoding("utf8");
+          res.on("data", (chunk) => {
+            if (text.length < 500) text += chunk;
+          });
+          res.on("end", () => resolve({ status: res.statusCode, body: text.slice(0, 500) }));
+          res.on("error", reject);
+        }
+      );
+      req.on("timeout", () => req.destroy(new Error(`No response within ${timeoutMs / 1000} s`)));
+      req.on("error", reject);
+      req.end(body);
+    });
+
+  const attempt = async (delivery) => {
+    const hook = hooks().find((h) => h.id === delivery.hookId);
+    let result;
+    if (!hook) {
+      result = { error: "Webhook was removed" };
+    } else {
+      const body = JSON.stringify(delivery.payload);
+      try {
+        const res = await post(hook.url, body, {
+          "x-rooms-event": delivery.event,
+          "x-rooms-delivery": delivery.id,
+          "x-rooms-signature": signPayload(hook.secret, body),
+        });
+        result = { status: res.status, response: res.body, ok: res.status >= 200 && res.status < 300 };
+      } catch (err) {
+        result = { error: err.message };
+      }
+    }
+    store.update((d) => {
+      const x = d.deliveries.find((x) => x.id === delivery.id);
+      if (!x) return;
+      x.attempts += 1;
+      x.lastAttemptAt = new Date().toISOString();
+      x.lastStatus = result.status ?? null;
+      x.lastError = result.error || (result.ok ? null : `HTTP ${result.status}`);
+      x.response = result.response ?? null;
+      if (result.ok) {
+        x.status = "delivered";
+        x.deliveredAt = x.lastAttemptAt;
+      } else if (!hook || x.attempts >= maxAttempts) {
+        x.status = "failed";
+      } else {
+        x.nextAt = Date.now() + Math.min(BACKOFF_MS * 2 ** (x.attempts - 1), MAX_BACKOFF_MS);
+      }
+      // Forget the oldest finished deliveries
+      const finished = d.deliveries.filter((x) => x.status !== "pending");
+      if (finished.length > keep) {
+        const drop = new Set(finished.slice(0, finished.length - keep));
+        d.deliveries = d.deliveries.filter((x) => !drop.has(x));
+      }
+    });
+  };
+
+  // One delivery at a time; the timer is set for the next one due
+  let timer = null;
+  let running = false;
+  let closed = false;
+  const run = async () => {
+    timer = null;
+    running = true;
+    try {
+      for (;;) {
+        const due = deliveries().find((x) => x.status === "pending" && x.nextAt <= Date.now());
+        if (!due) break;
+        await attempt(due);
+      }
+    } catch (err) {
+      console.error("Webhook delivery failed:", err);
+    } finally {
+      running = false;
+      schedule();
+    }
+  };
+  const schedule = () => {
+    if (running || closed) return;
+    const pending = deliveries().filter((x) => x.status === "pending");
+    if (timer) clearTimeout(timer);
+    timer = null;
+    if (!pending.length) return;
+    const next = pending.reduce((min, x) => Math.min(min, x.nextAt), Infinity);
+    timer = setTimeout(run, Math.max(0, next - Date.now()));
+    timer.unref();
+  };
+  schedule(); // whatever was queued before a restart
+
+  // Stops sending; what is still pending stays queued for the next start
+  const close = () => {
+    closed = true;
+    clearTimeout(timer);
+    timer = null;
+  };
+
+  return { create, list, remove, recent, redeliver, close };
+};
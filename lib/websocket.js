@@ -0,0 +1,98 @@
+// Just enough of the WebSocket protocol (RFC 6455) for server-to-client
+// messages: the handshake, unfragmented text frames out, and ping/pong/close
+// in. Whatever the client sends otherwise is read and ignored.
+
+import crypto from "crypto";
+import { EventEmitter } from "events";
+
+const GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const MAX_INCOMING = 64 * 1024;
+const OP = { text: 0x1, close: 0x8, ping: 0x9, pong: 0xa };
+
+const frame = (opcode, payload = Buffer.alloc(0)) => {
+  const len = payload.length;
+  const extra = len < 126 ? 0 : len < 65536 ? 2 : 8;
+  const head = Buffer.alloc(2 + extra);
+  head[0] = 0x80 | opcode; // FIN
+  head[1] = extra === 0 ? len : extra === 2 ? 126 : 127;
+  if (extra === 2) head.writeUInt16BE(len, 2);
+  if (extra === 8) head.writeBigUInt64BE(BigInt(len), 2);
+  return Buffer.concat([head, payload]);
+};
+
+// Refuses an upgrade request with a plain HTTP status
+export const rejectUpgrade = (socket, status, message) => {
+  socket.end(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+};
+
+// Completes the handshake of an upgrade request. Returns a connection
+// (an EventEmitter with "close") with send(text), ping() and close(), or null
+// when the request was not a valid WebSocket handshake (it is answered 400).
+export const acceptWebSocket = (req, socket) => {
+  const key = req.headers["sec-websocket-key"];
+  if (String(req.headers.upgrade).toLowerCase() !== "websocket" || !key || req.headers["sec-websocket-version"] !== "13") {
+    rejectUpgrade(socket, 400, "Bad Request");
+    return null;
+  }
+  const accept = crypto.createHash("sha1").update(key + GUID).digest("base64");
+  socket.write(`HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Accept: ${accept}\r\n\r\n`);
+  socket.setNoDelay(true);
+
+  const conn = new EventEmitter();
+  let closed = false;
+  conn.alive = true;
+
+  const write = (opcode, payload) => {
+    if (!closed && socket.writable) socket.write(frame(opcode, payload));
+  };
+  conn.send = (text) => write(OP.text, Buffer.from(text, "utf8"));
+  conn.ping = () => write(OP.ping);
+  conn.close = (code = 1000) => {
+    if (closed) return;
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code);
+    write(OP.close, payload);
+    closed = true;
+    socket.end();
+  };
+
+  // Incoming frames (always masked by clients)
+  let buffered = Buffer.alloc(0);
+  socket.on("data", (chunk) => {
+    buffered = Buffer.concat([buffered, chunk]);
+    while (buffered.length >= 2) {
+      const opcode = buffered[0] & 0x0f;
+      let len = buffered[1] & 0x7f;
+      let at = 2;
+      if (len === 126) {
+        if (buffered.length < 4) return;
+        len = buffered.readUInt16BE(2);
+        at = 4;
+      } else if (len === 127) {
+        if (buffered.length < 10) return;
+        len = Number(buffered.readBigUInt64BE(2));
+        at = 10;
+      }
+      if (len > MAX_INCOMING) return conn.close(1009);
+      const masked = buffered[1] & 0x80;
+      if (buffered.length < at + (masked ? 4 : 0) + len) return;
+      const mask = masked ? buffered.subarray(at, at + 4) : null;
+      at += masked ? 4 : 0;
+      const payload = Buffer.from(buffered.subarray(at, at + len));
+      if (mask) for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+      buffered = buffered.subarray(at + len);
+
+      if (opcode === OP.close) return conn.close();
+      if (opcode === OP.ping) write(OP.pong, payload);
+      if (opcode === OP.pong) conn.alive = true;
+    }
+  });
+  const done = () => {
+    if (conn.ended) return;
+    conn.ended = closed = true;
+    conn.emit("close");
+  };
+  socket.on("close", done);
+  socket.on("error", done);
+  return conn;
+};
@@ -0,0 +1,227 @@
+// ZIP archives without a dependency:
+// - zipStream(entries): streams a ZIP of the given entries (stored, not
+//   compressed: room files are mostly media that doesn't compress anyway).
+//   Each entry's content is read only when it is its turn, so nothing is
+//   buffered; CRCs go into data descriptors. ZIP64 records are used where
+//   sizes or offsets need them.
+// - zipEntries(file): reads a ZIP file's central directory and yields its
+//   entries with an open() for the (inflated) content.
+
+import fs from "fs";
+import zlib from "zlib";
+import { Readable, pipeline } from "stream";
+
+const MAX32 = 0xffffffff;
+const MAX16 = 0xffff;
+const UTF8_FLAG = 0x0800;
+const DESCRIPTOR_FLAG = 0x0008;
+// Central directories are read whole; 64 MB holds about a million entries
+const MAX_CD_BYTES = 64 * 1024 * 1024;
+
+// CRC-32 of a buffer, continuing from crc. zlib.crc32 is node >= 20.15; the
+// table version is for older ones
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  for (let k = 0; k < 8; k++) n = n & 1 ? 0xedb88320 ^ (n >>> 1) : n >>> 1;
+  return n >>> 0;
+});
+export const crc32 =
+  zlib.crc32 ||
+  ((buf, crc = 0) => {
+    crc = ~crc;
+    for (const byte of buf) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return ~crc >>> 0;
+  });
+
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+  date: (Math.max(date.getFullYear() - 1980, 0) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+
+// Little-endian record from [bytes, value] fields
+const record = (fields) => {
+  const buf = Buffer.alloc(fields.reduce((n, [bytes]) => n + bytes, 0));
+  let at = 0;
+  for (const [bytes, value] of fields) {
+    if (bytes === 8) buf.writeBigUInt64LE(BigInt(value), at);
+    else if (bytes === 4) buf.writeUInt32LE(value >>> 0, at);
+    else buf.writeUInt16LE(value, at);
+    at += bytes;
+  }
+  return buf;
+};
+
+// entries: iterable of { name, size, mtime, open: async () => Readable }
+async function* generateZip(entries) {
+  const central = [];
+  let offset = 0;
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, "utf8");
+    const { time, date } = dosDateTime(entry.mtime || new Date());
+    const zip64 = entry.size >= MAX32;
+    const localExtra = zip64 ? record([[2, 0x0001], [2, 16], [8, 0], [8, 0]]) : Buffer.alloc(0);
+    const header = record([
+      [4, 0x04034b50],
+      [2, zip64 ? 45 : 20],
+      [2, UTF8_FLAG | DESCRIPTOR_FLAG],
+      [2, 0], // stored
+      [2, time],
+      [2, date],
+      [4, 0],
+      [4, zip64 ? MAX32 : 0],
+      [4, zip64 ? MAX32 : 0],
+      [2, name.length],
+      [2, localExtra.length],
+    ]);
+    const start = offset;
+    yield Buffer.concat([header, name, localExtra]);
+    offset += header.length + name.length + localExtra.length;
+
+    let crc = 0;
+    let size = 0;
+    for await (const chunk of await entry.open()) {
+      crc = crc32(chunk, crc);
+      size += chunk.length;
+      yield chunk;
+    }
+    offset += size;
+    const descriptor = zip64
+      ? record([[4, 0x08074b50], [4, crc], [8, size], [8, size]])
+      : record([[4, 0x08074b50], [4, crc], [4, size], [4, size]]);
+    yield descriptor;
+    offset += descriptor.length;
+    central.push({ name, time, date, crc, size, start, zip64 });
+  }
+
+  const cdStart = offset;
+  for (const e of central) {
+    const big = [e.size >= MAX32 && e.size, e.size >= MAX32 && e.size, e.start >= MAX32 && e.start].filter((v) => v !== false);
+    const extra = big.length ? record([[2, 0x0001], [2, big.length * 8], ...big.map((v) => [8, v])]) : Buffer.alloc(0);
+    const header = record([
+      [4, 0x02014b50],
+      [2, (3 << 8) | 45], // made by: unix
+      [2, e.zip64 || big.length ? 45 : 20],
+      [2, UTF8_FLAG | DESCRIPTOR_FLAG],
+      [2, 0],
+      [2, e.time],
+      [2, e.date],
+      [4, e.crc],
+      [4, Math.min(e.size, MAX32)],
+      [4, Math.min(e.size, MAX32)],
+      [2, e.name.length],
+      [2, extra.length],
+      [2, 0],
+      [2, 0],
+      [2, 0],
+      [4, 0o100644 << 16], // regular file, rw-r--r--
+      [4, Math.min(e.start, MAX32)],
+    ]);
+    yield Buffer.concat([header, e.name, extra]);
+    offset += header.length + e.name.length + extra.length;
+  }
+
+  const cdSize = offset - cdStart;
+  if (central.length >= MAX16 || cdStart >= MAX32 || cdSize >= MAX32) {
+    yield record([
+      [4, 0x06064b50],
+      [8, 44],
+      [2, (3 << 8) | 45],
+      [2, 45],
+      [4, 0],
+      [4, 0],
+      [8, central.length],
+      [8, central.length],
+      [8, cdSize],
+      [8, cdStart],
+    ]);
+    yield record([[4, 0x07064b50], [4, 0], [8, offset], [4, 1]]);
+  }
+  yield record([
+    [4, 0x06054b50],
+    [2, 0],
+    [2, 0],
+    [2, Math.min(central.length, MAX16)],
+    [2, Math.min(central.length, MAX16)],
+    [4, Math.min(cdSize, MAX32)],
+    [4, Math.min(cdStart, MAX32)],
+    [2, 0],
+  ]);
+}
+
+export const zipStream = (entries) => Readable.from(generateZip(entries), { objectMode: false });
+
+const readAt = (fd, position, length) => {
+  const buf = Buffer.alloc(length);
+  const n = fs.readSync(fd, buf, 0, length, position);
+  return buf.subarray(0, n);
+};
+
+const corrupt = (why) => Object.assign(new Error(`Not a valid ZIP file (${why})`), { code: "EBADARCHIVE" });
+
+// Entries of a ZIP file: { name, type: "file" | "dir" | "symlink" | "other",
+// size (as declared), reason (for "other"), open() -> Readable }.
+export async function* zipEntries(file) {
+  const fd = fs.openSync(file, "r");
+  try {
+    const fileSize = fs.fstatSync(fd).size;
+    const tailStart = Math.max(0, fileSize - (22 + MAX16));
+    const tail = readAt(fd, tailStart, fileSize - tailStart);
+    const eocd = tail.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    if (eocd === -1) throw corrupt("no end of central directory");
+    let count = tail.readUInt16LE(eocd + 10);
+    let cdSize = tail.readUInt32LE(eocd + 12);
+    let cdStart = tail.readUInt32LE(eocd + 16);
+    if (count === MAX16 || cdSize === MAX32 || cdStart === MAX32) {
+      const locator = eocd - 20;
+      if (locator < 0 || tail.readUInt32LE(locator) !== 0x07064b50) throw corrupt("no ZIP64 locator");
+      const z = readAt(fd, Number(tail.readBigUInt64LE(locator + 8)), 56);
+      if (z.readUInt32LE(0) !== 0x06064b50) throw corrupt("no ZIP64 end of central directory");
+      count = Number(z.readBigUInt64LE(32));
+      cdSize = Number(z.readBigUInt64LE(40));
+      cdStart = Number(z.readBigUInt64LE(48));
+    }
+    if (cdStart + cdSize > fileSize) throw corrupt("central directory past the end of the file");
+    if (cdSize > MAX_CD_BYTES) throw corrupt("central directory too large");
+    const cd = readAt(fd, cdStart, cdSize);
+    let at = 0;
+    for (let i = 0; i < count; i++) {
+      if (cd.length < at + 46 || cd.readUInt32LE(at) !== 0x02014b50) throw corrupt("bad central directory");
+      const madeBy = cd.readUInt16LE(at + 4) >> 8;
+      const flags = cd.readUInt16LE(at + 8);
+      const method = cd.readUInt16LE(at + 10);
+      let compressed = cd.readUInt32LE(at + 20);
+      let size = cd.readUInt32LE(at + 24);
+      const nameLength = cd.readUInt16LE(at + 28);
+      const extraLength = cd.readUInt16LE(at + 30);
+      const commentLength = cd.readUInt16LE(at + 32);
+      const mode = cd.readUInt32LE(at + 38) >>> 16;
+      let local = cd.readUInt32LE(at + 42);
+      const name = cd.subarray(at + 46, at + 46 + nameLength).toString(flags & UTF8_FLAG ? "utf8" : "latin1");
+      // ZIP64 extra field: the 32-bit fields that are maxed out, in order
+      const extra = cd.subarray(at + 46 + nameLength, at + 46 + nameLength + extraLength);
+      for (let x = 0; x + 4 <= extra.length; x += 4 + extra.readUInt16LE(x + 2)) {
+        if (extra.readUInt16LE(x) !== 0x0001) continue;
+        let y = x + 4;
+        const next = () => Number(extra.readBigUInt64LE((y += 8) - 8));
+        if (size === MAX32) size = next();
+        if (compressed === MAX32) compressed = next();
+        if (local === MAX32) local = next();
+      }
+      at += 46 + nameLength + extraLength + commentLength;
+
+      const isSymlink = madeBy === 3 && (mode & 0o170000) === 0o120000;
+      const type = name.endsWith("/") ? "dir" : isSymlink ? "symlink" : flags & 1 ? "other" : ![0, 8].includes(method) ? "other" : "file";
+      const reason = flags & 1 ? "encrypted" : type === "other" ? "unsupported compression" : undefined;
+      const open = () => {
+        const header = readAt(fd, local, 30);
+        if (header.readUInt32LE(0) !== 0x04034b50) throw corrupt("bad local header");
+        const start = local + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+        const raw = compressed ? fs.createReadStream(file, { start, end: start + compressed - 1 }) : Readable.from([]);
+        // pipeline() hands read errors on to the inflated stream
+        return method === 8 ? pipeline(raw, zlib.createInflateRaw(), () => {}) : raw;
+      };
+      yield { name, type, size, reason, open };
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+}
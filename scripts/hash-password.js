@@ -0,0 +1,12 @@
+// Print an scrypt hash for ADMIN_USERS:
+//   npm run hash-password -- <name> <password>
+// -> name:scrypt$<salt>$<hash>
+
+import { hashPassword } from "../lib/auth.js";
+
+const [name, password] = process.argv.slice(2);
+if (!name || !password) {
+  console.error("Usage: npm run hash-password -- <name> <password>");
+  process.exit(1);
+}
+console.log(`${name}:${hashPassword(password)}`);
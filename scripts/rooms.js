@@ -0,0 +1,243 @@
+#!/usr/bin/env node
+// Manage rooms and the data directory while the app is stopped:
+//   npm run rooms -- list
+//   npm run rooms -- create <room> [--title <title>] [--description <text>] [--expires-in <hours>]
+//   npm run rooms -- delete <room> [--purge]
+//   npm run rooms -- purge [--older-than <days> [--dry-run] [<room> ...]]
+//   npm run rooms -- usage
+//   npm run rooms -- backup <file.zip>
+//   npm run rooms -- restore <file.zip> [--force]
+// The data directory is DATA_DIR (default data/); storage and the other
+// settings come from the environment like the app's. Deleted rooms go to the
+// trash unless --purge is given. `purge` does what the app does in the
+// background (expired rooms and files, old trash items) and, with
+// --older-than, deletes files uploaded more than that many days ago for good.
+// Changes are recorded in the audit log with the actor "cli". Backups leave
+// out what the app rebuilds (thumbnail cache, content store, temp files);
+// restore unpacks next to the data directory and swaps it in, keeping the
+// old one (with --force) as <dir>.before-restore-<time>.
+
+import fs from "fs";
+import path from "path";
+import { pipeline } from "stream/promises";
+import { Readable } from "stream";
+import { createCore, dataDirFromEnv, dirSize, runningApp } from "../lib/core.js";
+import { ROOM_NAME_RE } from "../lib/rooms.js";
+import { formatBytes } from "../lib/policy.js";
+import { expiresIn } from "../lib/expiry.js";
+import { zipStream, zipEntries } from "../lib/zip.js";
+
+const DATA_DIR = dataDirFromEnv(process.env);
+const SYSTEM_DIR = path.join(DATA_DIR, ".system");
+const ACTOR = "cli";
+// Left out of backups: rebuilt or recreated by the app
+const NOT_BACKED_UP = ["cache", "tmp", "partials", "blobs", "blobs.json", "app.pid"].map((p) => `.system/${p}`);
+
+const args = process.argv.slice(2);
+const flag = (name) => {
+  const i = args.indexOf(`--${name}`);
+  if (i !== -1) args.splice(i, 1);
+  return i !== -1;
+};
+const option = (name) => {
+  const i = args.indexOf(`--${name}`);
+  return i === -1 ? undefined : args.splice(i, 2)[1];
+};
+const fail = (message) => {
+  console.error(message);
+  process.exit(1);
+};
+const USAGE = `Usage: npm run rooms -- <command>
+  list
+  create <room> [--title <title>] [--description <text>] [--expires-in <hours>]
+  delete <room> [--purge]
+  purge [--older-than <days> [--dry-run] [<room> ...]]
+  usage
+  backup <file.zip>
+  restore <file.zip> [--force]`;
+
+// Two processes writing the same JSON stores would lose each other's changes
+const pid = fs.existsSync(SYSTEM_DIR) && runningApp(SYSTEM_DIR);
+if (pid) fail(`The app is running on ${DATA_DIR} (process ${pid}); stop it first.`);
+
+const openCore = () => createCore({ dataDir: DATA_DIR, env: process.env });
+const roomArg = (room) => {
+  if (!ROOM_NAME_RE.test(room || "")) fail(`Not a room name: ${room || "(none)"}`);
+  return room;
+};
+const when = (iso) => (iso ? iso.slice(0, 16).replace("T", " ") : "-");
+
+const commands = {
+  async list() {
+    const { library } = await openCore();
+    const rooms = library.listRooms();
+    if (!rooms.length) return console.log("No rooms");
+    for (const room of rooms) {
+      const { files, bytes } = library.usage(room.name);
+      const expires = room.expiresAt ? `  expires ${when(room.expiresAt)} UTC` : "";
+      console.log(`${room.name.padEnd(24)} ${String(files).padStart(6)} files ${formatBytes(bytes).padStart(10)}  ${room.title}${expires}`);
+    }
+  },
+
+  async create() {
+    const title = option("title");
+    const description = option("description");
+    const hours = Number(option("expires-in") || 0);
+    if (!(hours >= 0)) fail("--expires-in takes a number of hours");
+    const room = roomArg(args[0]?.toLowerCase());
+    const { library, audit } = await openCore();
+    if (library.exists(room)) fail(`Room ${room} exists already`);
+    const { expiresAt } = library.createRoom(room, {
+      title,
+      description,
+      createdBy: ACTOR,
+      expiresAt: expiresIn(hours),
+    });
+    audit.log(null, "room.create", { room, actor: ACTOR, ...(expiresAt && { expiresAt }) });
+    console.log(`Created ${room}${expiresAt ? ` (expires ${when(expiresAt)} UTC)` : ""}`);
+  },
+
+  async delete() {
+    const purge = flag("purge");
+    const room = roomArg(args[0]);
+    const { library, trash, audit } = await openCore();
+    if (!library.exists(room)) fail(`No room ${room}`);
+    const item = await trash.trashRoom(room, { actor: ACTOR });
+    audit.log(null, "room.delete", { room, files: item.files.length, actor: ACTOR });
+    if (purge) {
+      await trash.purge(item.id);
+      audit.log(null, "trash.purge", { room, kind: "room", actor: ACTOR });
+    }
+    console.log(`Deleted ${room} with ${item.files.length} files${purge ? "" : " (in the trash)"}`);
+  },
+
+  async purge() {
+    const days = option("older-than");
+    const dryRun = flag("dry-run");
+    if (days !== undefined && !(Number(days) > 0)) fail("--older-than takes a number of days");
+    if (days === undefined && (dryRun || args.length)) fail(USAGE);
+    const { library, trash, audit, sweepExpired } = await openCore();
+    if (days !== undefined) {
+      const cutoff = new Date(Date.now() - Number(days) * 24 * 60 * 60 * 1000).toISOString();
+      const rooms = args.length ? args.map(roomArg) : library.listRooms().map((r) => r.name);
+      let count = 0;
+      let bytes = 0;
+      for (const room of rooms) {
+        if (!library.exists(room)) fail(`No room ${room}`);
+        for (const f of library.listFiles(room).filter((f) => f.uploadedAt < cutoff)) {
+          console.log(`${dryRun ? "Would delete" : "Deleting"} ${room}/${f.name} (${f.originalName}, ${when(f.uploadedAt)})`);
+          if (!dryRun && (await library.deleteFile(room, f.name, { actor: ACTOR }))) {
+            audit.log(null, "file.delete", { room, file: f.name, originalName: f.originalName, olderThanDays: Number(days), actor: ACTOR });
+          }
+          count++;
+          bytes += f.size;
+        }
+      }
+      console.log(`${count} files older than ${days} days (${formatBytes(bytes)})${dryRun ? "; nothing deleted" : " deleted"}`);
+      if (dryRun) return;
+    }
+    const expired = await sweepExpired({ actor: ACTOR });
+    console.log(`${expired.length} expired rooms/files deleted`);
+    const emptied = await trash.sweep();
+    console.log(`${emptied.length} trash items past their retention emptied`);
+  },
+
+  async usage() {
+    const { library, trash, blobs, storage } = await openCore();
+    let files = 0;
+    let bytes = 0;
+    for (const room of library.listRooms()) {
+      const u = library.usage(room.name);
+      files += u.files;
+      bytes += u.bytes;
+      console.log(`${room.name.padEnd(24)} ${String(u.files).padStart(6)} files ${formatBytes(u.bytes).padStart(10)}`);
+    }
+    console.log(`${"(all rooms)".padEnd(24)} ${String(files).padStart(6)} files ${formatBytes(bytes).padStart(10)}`);
+    console.log(`Trash: ${trash.list().length} items, ${formatBytes(trash.list().reduce((n, item) => n + item.size, 0))}`);
+    console.log(`Thumbnail cache: ${formatBytes(dirSize(path.join(SYSTEM_DIR, "cache")))}`);
+    if (blobs) console.log(`Content store: ${blobs.stats().blobs} files for ${blobs.stats().references} room files`);
+    if (storage.driver === "local") {
+      const disk = fs.statfsSync(DATA_DIR);
+      console.log(`Disk: ${formatBytes(disk.bavail * disk.bsize)} free of ${formatBytes(disk.blocks * disk.bsize)}`);
+    } else {
+      console.log(`Storage: ${storage.driver}`);
+    }
+  },
+
+  async backup() {
+    const out = path.resolve(args[0] || fail(USAGE));
+    if (!fs.existsSync(SYSTEM_DIR)) fail(`Nothing to back up in ${DATA_DIR}`);
+    if (out.startsWith(DATA_DIR + path.sep)) fail("The backup can't go into the data directory");
+    // Directories first, each followed by what's in it
+    const entries = [];
+    const walk = (rel) => {
+      for (const d of fs.readdirSync(path.join(DATA_DIR, rel), { withFileTypes: true })) {
+        const name = rel ? `${rel}/${d.name}` : d.name;
+        if (NOT_BACKED_UP.includes(name)) continue;
+        const file = path.join(DATA_DIR, name);
+        const stat = fs.statSync(file);
+        if (d.isDirectory()) {
+          entries.push({ name: `${name}/`, size: 0, mtime: stat.mtime, open: async () => Readable.from([]) });
+          walk(name);
+        } else if (d.isFile()) {
+          entries.push({ name, size: stat.size, mtime: stat.mtime, open: async () => fs.createReadStream(file) });
+        }
+      }
+    };
+    walk("");
+    const tmp = `${out}.partial`;
+    await pipeline(zipStream(entries), fs.createWriteStream(tmp));
+    fs.renameSync(tmp, out);
+    const files = entries.filter((e) => !e.name.endsWith("/"));
+    console.log(`Backed up ${files.length} files (${formatBytes(files.reduce((n, e) => n + e.size, 0))}) to ${out}`);
+    if ((process.env.STORAGE_DRIVER || "local") !== "local") console.log("File content in the storage backend is not part of the backup.");
+  },
+
+  async restore() {
+    const force = flag("force");
+    const file = path.resolve(args[0] || fail(USAGE));
+    if (!fs.existsSync(file)) fail(`No such file: ${file}`);
+    const occupied = fs.existsSync(DATA_DIR) && fs.readdirSync(DATA_DIR).length > 0;
+    if (occupied && !force) fail(`${DATA_DIR} is not empty; use --force to replace it (the old one is kept)`);
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+    const staging = `${DATA_DIR}.restore-${stamp}`;
+    fs.mkdirSync(staging);
+    try {
+      let count = 0;
+      for await (const entry of zipEntries(file)) {
+        const parts = entry.name.split("/").filter(Boolean);
+        if (entry.name.startsWith("/") || entry.name.includes("\\") || parts.some((p) => p === "." || p === "..")) {
+          throw new Error(`Unsafe path in the backup: ${entry.name}`);
+        }
+        const dest = path.join(staging, ...parts);
+        if (entry.type === "dir") {
+          fs.mkdirSync(dest, { recursive: true });
+        } else if (entry.type === "file") {
+          fs.mkdirSync(path.dirname(dest), { recursive: true });
+          await pipeline(entry.open(), fs.createWriteStream(dest, { flags: "wx" }));
+          count++;
+        } else {
+          throw new Error(`Unsupported entry in the backup: ${entry.name} (${entry.reason || entry.type})`);
+        }
+      }
+      if (!fs.existsSync(path.join(staging, ".system", "rooms.json"))) throw new Error("Not a backup of the rooms data directory");
+      let kept = null;
+      if (occupied) {
+        kept = `${DATA_DIR}.before-restore-${stamp}`;
+        fs.renameSync(DATA_DIR, kept);
+      } else if (fs.existsSync(DATA_DIR)) {
+        fs.rmdirSync(DATA_DIR);
+      }
+      fs.renameSync(staging, DATA_DIR);
+      console.log(`Restored ${count} files to ${DATA_DIR}${kept ? `; the previous data is in ${kept}` : ""}`);
+    } catch (err) {
+      fs.rmSync(staging, { recursive: true, force: true });
+      fail(`Restore failed: ${err.message}`);
+    }
+  },
+};
+
+const command = args.shift();
+if (!Object.hasOwn(commands, command)) fail(USAGE);
+await commands[command]();
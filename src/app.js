@@ -1,5 +1,5 @@
 // Rooms app with:
-// • 18+ gate (cookie)
+// • Age gate with a signed consent cookie (lib/agegate.js, same settings as the main app)
 // • Per-room uploads + gallery (no login for visitors)
 // • Admin delete via password (?admin=PASS)
 // • Mobile-friendly single-file server
@@ -7,11 +7,16 @@
 import fs from "fs";
 import fsp from "fs/promises";
 import path from "path";
+import crypto from "crypto";
 import express from "express";
+import cookieParser from "cookie-parser";
 import multer from "multer";
 import mime from "mime-types";
 import { nanoid } from "nanoid";
 import { fileURLToPath } from "url";
+import { createAgeGate, ageGateFromEnv } from "../lib/agegate.js";
+import { createI18n } from "../lib/i18n.js";
+import { html } from "../lib/view.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -20,6 +25,10 @@ const app = express();
 const PORT = process.env.PORT || 3000;
 const ADMIN_PASS = process.env.ADMIN_PASS || "changeme";
 const UPLOAD_ROOT = path.join(__dirname, "uploads");
+const AGE_GATE = ageGateFromEnv(process.env);
+const gate = createAgeGate({ secret: process.env.SESSION_SECRET || crypto.randomBytes(32).toString("hex"), defaults: AGE_GATE });
+// The age prompt uses the main app's gate wording (locales/*.json)
+const i18n = createI18n({ dir: path.join(__dirname, "..", "locales"), defaultLocale: process.env.LOCALE || "en" });
 
 // Ensure uploads root exists
 await fsp.mkdir(UPLOAD_ROOT, { recursive: true });
@@ -27,16 +36,8 @@ await fsp.mkdir(UPLOAD_ROOT, { recursive: true });
 // ---------- helpers ----------
 const safeBase = (p) => path.basename(String(p || "")).replace(/[^\w.-]/g, "_");
 
-const parseCookies = (req) => {
-  const raw = req.headers.cookie || "";
-  return Object.fromEntries(
-    raw.split(";").map(v => v.trim()).filter(Boolean).map(v => {
-      const idx = v.indexOf("=");
-      if (idx === -1) return [v, ""];
-      return [decodeURIComponent(v.slice(0, idx).trim()), decodeURIComponent(v.slice(idx + 1).trim())];
-    })
-  );
-};
+// Only same-site paths as redirect targets
+const safeRedirect = (p) => (typeof p === "string" && /^\/(?!\/)/.test(p) ? p : "/");
 
 const isImage = (name) => /^image\//.test(mime.lookup(name) || "");
 const isVideo = (name) => /^video\//.test(mime.lookup(name) || "");
@@ -61,19 +62,20 @@ const storage = multer.diskStorage({
 const upload = multer({ storage });
 
 // ---------- age-gate middleware ----------
+app.use(cookieParser());
 app.use((req, res, next) => {
-  // allow assets + age routes
-  if (req.path.startsWith("/raw/") || req.path.startsWith("/age")) return next();
-
-  const cookies = parseCookies(req);
-  const ageOK = cookies.age_ok === "1";
-
-  // any /room/* requires age_ok cookie
-  if (req.path.startsWith("/room/") && !ageOK) {
-    const redirectTo = encodeURIComponent(req.originalUrl);
-    return res.redirect(`/age?redirect=${redirectTo}`);
+  // /room/<room> pages, /raw/<room>/<file> and uploads need a consent for that room
+  const m = /^\/(room|raw|upload)\/([^/]+)/.exec(req.path);
+  if (!m) return next();
+  let room;
+  try {
+    room = safeBase(decodeURIComponent(m[2]));
+  } catch {
+    return res.status(400).send("Bad room name");
   }
-  next();
+  if (gate.passes(req, room)) return next();
+  if (m[1] === "upload" || (m[1] === "raw" && req.get("Sec-Fetch-Mode") !== "navigate")) return res.status(403).send("Confirm your age first");
+  res.redirect(`/age?room=${encodeURIComponent(room)}&redirect=${encodeURIComponent(req.originalUrl)}`);
 });
 
 // ---------- static for raw files ----------
@@ -108,10 +110,14 @@ app.get("/", (req, res) => {
 
 // Age prompt
 app.get("/age", (req, res) => {
-  const redirect = req.query.redirect || "/";
-  res.type("html").send(`
-<!doctype html><meta name="viewport" content="width=device-width,initial-scale=1">
-<title>18+ Check</title>
+  const redirect = safeRedirect(req.query.redirect);
+  const room = safeBase(req.query.room);
+  const { minAge } = gate.settings(room);
+  const locale = i18n.negotiate(req.headers["accept-language"]);
+  const t = i18n.translator(locale);
+  res.type("html").send(String(html`
+<!doctype html><html lang="${locale}"><meta name="viewport" content="width=device-width,initial-scale=1">
+<title>${t("gate.pageTitle")}</title>
 <style>
   :root{--bg:#0b0c0f;--card:#111827;--fg:#e5e7eb;--mut:#9ca3af;--ok:#22c55e;--no:#374151}
   body{margin:0;min-height:100vh;display:grid;place-items:center;background:var(--bg);color:var(--fg);font-family:system-ui,-apple-system,Segoe UI,Roboto,Inter,Arial}
@@ -119,24 +125,25 @@ app.get("/age", (req, res) => {
   h1{margin:4px 0 12px;font-size:30px}
   p{color:var(--mut);margin:0 0 18px}
   .row{display:flex;gap:10px;justify-content:center}
-  a{display:inline-block;padding:12px 20px;border-radius:12px;text-decoration:none;color:#fff}
+  a,button{display:inline-block;padding:12px 20px;border-radius:12px;border:0;font:inherit;text-decoration:none;color:#fff;cursor:pointer}
   .yes{background:var(--ok)} .no{background:var(--no)}
 </style>
 <div class="card">
-  <h1>Are you 18 or older?</h1>
-  <p>You must confirm your age to continue.</p>
-  <div class="row">
-    <a class="no" href="https://google.com">No</a>
-    <a class="yes" href="/age/yes?redirect=${encodeURIComponent(redirect)}">Yes</a>
-  </div>
-</div>`);
+  <h1>${t("gate.title", { age: minAge })}</h1>
+  <p>${gate.text(room, t("gate.text"))}</p>
+  <form class="row" method="POST" action="/age">
+    <input type="hidden" name="room" value="${room}">
+    <input type="hidden" name="redirect" value="${redirect}">
+    <a class="no" href="https://google.com">${t("gate.no")}</a>
+    <button class="yes">${t("gate.yes", { age: minAge })}</button>
+  </form>
+</div>`));
 });
 
-// Age accept -> set cookie and bounce back
-app.get("/age/yes", (req, res) => {
-  const redirect = req.query.redirect || "/";
-  res.setHeader("Set-Cookie", "age_ok=1; Max-Age=604800; Path=/; SameSite=Lax");
-  res.redirect(redirect);
+// Age accept -> signed consent cookie, bounce back
+app.post("/age", express.urlencoded({ extended: false }), (req, res) => {
+  gate.confirm(req, res, safeBase(req.body.room));
+  res.redirect(safeRedirect(req.body.redirect));
 });
 
 // Room page
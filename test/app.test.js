@@ -0,0 +1,362 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import http from "http";
+import crypto from "crypto";
+import { once } from "events";
+import { createRoomsApp } from "../lib/app.js";
+import { hashPassword, verifyPassword } from "../lib/auth.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "app-test-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Intervals started and not cleared yet (the app's are unref'd, so they don't
+// show among the process's active resources)
+const open = new Set();
+const { setInterval: realSetInterval, clearInterval: realClearInterval } = globalThis;
+globalThis.setInterval = (...args) => {
+  const timer = realSetInterval(...args);
+  open.add(timer);
+  return timer;
+};
+globalThis.clearInterval = (timer) => {
+  open.delete(timer);
+  realClearInterval(timer);
+};
+after(() => Object.assign(globalThis, { setInterval: realSetInterval, clearInterval: realClearInterval }));
+
+const listen = async (server) => {
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return server.address().port;
+};
+
+// Resolves to { socket, head } once the handshake is answered
+const openWebSocket = (port, url) =>
+  new Promise((resolve, reject) => {
+    const req = http.request({
+      port,
+      host: "127.0.0.1",
+      path: url,
+      headers: { connection: "Upgrade", upgrade: "websocket", "sec-websocket-version": "13", "sec-websocket-key": crypto.randomBytes(16).toString("base64") },
+    });
+    req.on("upgrade", (res, socket, head) => resolve({ socket, head }));
+    req.on("response", (res) => reject(new Error(`HTTP ${res.statusCode}`)));
+    req.on("error", reject);
+    req.end();
+  });
+
+// An app on a fresh data dir, listening on a free port until the test ends
+const start = async (t, { env = {}, ...config } = {}) => {
+  const rooms = await createRoomsApp({
+    env: { AGE_GATE: "0", ...env },
+    dataDir: fs.mkdtempSync(path.join(dir, "data-")),
+    admins: new Map(),
+    sessionSecret: "test",
+    ...config,
+  });
+  const server = http.createServer(rooms.app);
+  t.after(() => {
+    rooms.close();
+    server.closeAllConnections();
+    server.close();
+  });
+  const port = await listen(server);
+  return { rooms, base: `http://127.0.0.1:${port}` };
+};
+
+const admins = new Map([["alice", hashPassword("right horse battery")]]);
+
+// Logs alice in; resolves to her session cookie and CSRF token
+const login = async (base) => {
+  const res = await fetch(`${base}/admin/login`, {
+    method: "POST",
+    body: new URLSearchParams({ username: "alice", password: "right horse battery", next: "/rooms" }),
+    redirect: "manual",
+  });
+  assert.equal(res.status, 302);
+  const cookie = res.headers.get("set-cookie").split(";")[0];
+  const page = await (await fetch(`${base}/rooms`, { headers: { cookie } })).text();
+  return { cookie, csrf: page.match(/name="_csrf" value="([0-9a-f]+)"/)[1] };
+};
+
+// 1x1 pixel
+const PNG = Buffer.from("iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==", "base64");
+
+// POSTs files ({ name: data }) and form fields to the plain upload form
+const upload = (base, room, files, fields = {}, headers = {}) => {
+  const form = new FormData();
+  for (const [k, v] of Object.entries(fields)) form.append(k, v);
+  for (const [name, data] of Object.entries(files)) form.append("file", new Blob([data]), name);
+  return fetch(`${base}/upload/${room}`, { method: "POST", body: form, headers, redirect: "manual" });
+};
+
+test("close() stops the timers and ends live connections", { timeout: 10 * 1000 }, async (t) => {
+  const rooms = await createRoomsApp({ env: { AGE_GATE: "0" }, dataDir: path.join(dir, "data"), admins: new Map(), sessionSecret: "test" });
+  const server = http.createServer(rooms.app);
+  server.on("upgrade", (req, socket) => rooms.upgrade(req, socket) || socket.destroy());
+  t.after(() => {
+    rooms.close();
+    server.closeAllConnections();
+    server.close();
+  });
+  rooms.library.createRoom("party", { title: "Party" });
+  const port = await listen(server);
+  assert.ok(open.size > 0);
+
+  const sse = await new Promise((resolve, reject) => http.get({ port, host: "127.0.0.1", path: "/live/party" }, resolve).on("error", reject));
+  assert.equal(sse.statusCode, 200);
+  await once(sse, "data");
+  const { socket: ws, head } = await openWebSocket(port, "/live/party");
+  const frames = [head];
+  ws.on("data", (chunk) => frames.push(chunk));
+
+  const sseEnded = once(sse, "end");
+  const wsEnded = once(ws, "end");
+  rooms.close();
+  await sseEnded;
+  await wsEnded;
+  // the last frame is a close frame with 1001 "going away"
+  assert.deepEqual([...Buffer.concat(frames).subarray(-4)], [0x88, 0x02, 0x03, 0xe9]);
+  assert.equal(open.size, 0);
+  assert.equal(fs.existsSync(path.join(dir, "data", ".system", "app.pid")), false);
+});
+
+test("every visitor GET of a file with a download limit counts, whatever its range", async (t) => {
+  const { rooms, base } = await start(t);
+  rooms.library.createRoom("party", { title: "Party" });
+  assert.equal((await upload(base, "party", { "pic.png": PNG }, { maxDownloads: "2" })).status, 302);
+  const [{ name }] = rooms.library.listFiles("party");
+  const url = `${base}/file/party/${name}`;
+  for (let i = 1; i <= 2; i++) {
+    const res = await fetch(url, { headers: { Range: "bytes=1-" } });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("accept-ranges"), "none");
+    assert.deepEqual(Buffer.from(await res.arrayBuffer()), PNG);
+  }
+  // used up: refused while it's still there, then deleted
+  assert.ok([404, 410].includes((await fetch(url, { headers: { Range: "bytes=1-" } })).status));
+});
+
+test("ranges of files without a download limit don't count", async (t) => {
+  const { rooms, base } = await start(t);
+  rooms.library.createRoom("party", { title: "Party" });
+  await upload(base, "party", { "pic.png": PNG });
+  const [{ name }] = rooms.library.listFiles("party");
+  const res = await fetch(`${base}/file/party/${name}`, { headers: { Range: "bytes=1-" } });
+  assert.equal(res.status, 206);
+  assert.deepEqual(Buffer.from(await res.arrayBuffer()), PNG.subarray(1));
+  assert.equal(rooms.library.getFile("party", name).downloads, 0);
+});
+
+test("uploads and reports need the age confirmation", async (t) => {
+  const { rooms, base } = await start(t, { env: { AGE_GATE: "1" } });
+  rooms.library.createRoom("party", { title: "Party" });
+  const form = await upload(base, "party", { "pic.png": PNG });
+  assert.equal(form.status, 403);
+  assert.match(await form.text(), /Confirm your age on the room page before uploading/);
+  const tus = await fetch(`${base}/tus/party`, { method: "POST", headers: { "Tus-Resumable": "1.0.0", "Upload-Length": String(PNG.length) } });
+  assert.equal(tus.status, 403);
+  assert.equal(await tus.text(), "Confirm your age on the room page first.");
+  assert.deepEqual(rooms.library.listFiles("party"), []);
+
+  const confirmed = await fetch(`${base}/age/party`, { method: "POST", body: new URLSearchParams({ next: "/room/party" }), redirect: "manual" });
+  const cookie = confirmed.headers.get("set-cookie").split(";")[0];
+  assert.equal((await upload(base, "party", { "pic.png": PNG }, {}, { cookie })).status, 302);
+  const [{ name }] = rooms.library.listFiles("party");
+  const report = (headers) =>
+    fetch(`${base}/report/party/${name}`, { method: "POST", body: new URLSearchParams({ reason: "spam" }), headers, redirect: "manual" });
+  assert.equal((await report({})).status, 403);
+  assert.equal(rooms.library.getFile("party", name).reports.length, 0);
+  assert.equal((await report({ cookie })).status, 302);
+  assert.equal(rooms.library.getFile("party", name).reports.length, 1);
+});
+
+test("the upload rate limit counts every file of a post", async (t) => {
+  const { rooms, base } = await start(t, { env: { RATE_IP_UPLOADS_PER_MIN: "3" } });
+  rooms.library.createRoom("party", { title: "Party" });
+  const pics = Object.fromEntries([1, 2, 3].map((n) => [`pic${n}.png`, Buffer.concat([PNG, Buffer.from([n])])]));
+  assert.equal((await upload(base, "party", pics)).status, 302);
+  assert.equal(rooms.library.listFiles("party").length, 3);
+  const limited = await upload(base, "party", { "pic4.png": PNG });
+  assert.equal(limited.status, 429);
+  assert.ok(Number(limited.headers.get("retry-after")) > 0);
+
+  const ghost = await upload(base, "no-such-room", { "pic.png": PNG });
+  assert.equal(ghost.status, 404);
+});
+
+test("HTML and SVG disguised as images are refused", async (t) => {
+  const { rooms, base } = await start(t, { env: { UPLOAD_ALLOWED_TYPES: "image,video,audio,text,application" } });
+  rooms.library.createRoom("party", { title: "Party" });
+  const disguised = {
+    "cat.png": "<!DOCTYPE html><script>fetch('/admin')</script>",
+    "logo.png": '<svg xmlns="http://www.w3.org/2000/svg" onload="alert(document.cookie)"/>',
+    "notes.txt": '\uFEFF  <?xml version="1.0"?><svg><script>alert(1)</script></svg>',
+    "photo.jpg": "\n<iframe src=/admin></iframe>",
+  };
+  for (const [name, data] of Object.entries(disguised)) {
+    const form = new FormData();
+    form.append("file", new Blob([data], { type: name.endsWith(".txt") ? "text/plain" : "image/png" }), name);
+    const res = await fetch(`${base}/upload/party`, { method: "POST", body: form, redirect: "manual" });
+    assert.equal(res.status, 415, name);
+    assert.match(await res.text(), /Files of type (text\/html|image\/svg\+xml) are not allowed/, name);
+  }
+
+  // Same for resumable uploads
+  const data = Buffer.from("<html><body onload=alert(1)>");
+  const created = await fetch(`${base}/tus/party`, {
+    method: "POST",
+    headers: { "Tus-Resumable": "1.0.0", "Upload-Length": String(data.length), "Upload-Metadata": `filename ${Buffer.from("cat.gif").toString("base64")}` },
+  });
+  assert.equal(created.status, 201);
+  const patch = await fetch(new URL(created.headers.get("location"), base), {
+    method: "PATCH",
+    headers: { "Tus-Resumable": "1.0.0", "Upload-Offset": "0", "Content-Type": "application/offset+octet-stream" },
+    body: data,
+  });
+  assert.equal(patch.status, 415);
+  assert.deepEqual(rooms.library.listFiles("party"), []);
+
+  // Harmless text still gets through
+  assert.equal((await upload(base, "party", { "notes.txt": "just notes" })).status, 302);
+  assert.equal(rooms.library.listFiles("party")[0].mime, "text/plain");
+});
+
+test("room pages escape titles, notes and file names once", async (t) => {
+  const { rooms, base } = await start(t);
+  const evil = `"><script>alert(1)</script>`;
+  const escaped = "&quot;&gt;&lt;script&gt;alert(1)&lt;/script&gt;";
+  rooms.library.createRoom("party", { title: `${evil} & co` });
+  // Names lose everything up to the last "/" and fetch sends " as %22
+  const name = `<img src=x onerror='alert(1)'>.png`;
+  assert.equal((await upload(base, "party", { [name]: PNG }, { note: evil })).status, 302);
+  const page = await (await fetch(`${base}/room/party`)).text();
+  assert.ok(!page.includes("<script>alert(1)") && !page.includes("<img src=x"));
+  assert.ok(page.includes(`${escaped} &amp; co`));
+  assert.ok(page.includes("&lt;img src=x onerror=&#39;alert(1)&#39;&gt;.png"));
+  assert.ok(!page.includes("&amp;lt;") && !page.includes("&amp;quot;"));
+});
+
+test("verifyPassword() checks scrypt hashes and never matches malformed ones", () => {
+  const stored = hashPassword("secret");
+  assert.equal(verifyPassword("secret", stored), true);
+  assert.equal(verifyPassword("Secret", stored), false);
+  const [, salt, hash] = stored.split("$");
+  for (const bad of [undefined, "", "secret", `bcrypt$${salt}$${hash}`, `scrypt$${salt}$`, `scrypt$${salt}$zz`, `scrypt$${salt}$${hash.slice(1)}`, `scrypt$$${hash}`, `${stored}$00`]) {
+    assert.equal(verifyPassword("secret", bad), false, String(bad));
+  }
+});
+
+test("admins log in with their password and get a session", async (t) => {
+  const { base } = await start(t, { admins });
+  const wrong = await fetch(`${base}/admin/login`, { method: "POST", body: new URLSearchParams({ username: "alice", password: "wrong" }), redirect: "manual" });
+  assert.equal(wrong.status, 401);
+  assert.equal(wrong.headers.get("set-cookie"), null);
+  assert.equal((await fetch(`${base}/admin`, { redirect: "manual" })).headers.get("location"), "/admin/login?next=%2Fadmin");
+
+  const { cookie, csrf } = await login(base);
+  assert.equal((await fetch(`${base}/admin`, { headers: { cookie }, redirect: "manual" })).status, 200);
+  // a made-up or unsigned session id is nobody's
+  assert.equal((await fetch(`${base}/admin`, { headers: { cookie: cookie.replace(/=.*/, "=s%3Aforged.sig") }, redirect: "manual" })).status, 302);
+
+  const logout = await fetch(`${base}/admin/logout`, { method: "POST", headers: { cookie }, body: new URLSearchParams({ _csrf: csrf }), redirect: "manual" });
+  assert.equal(logout.status, 302);
+  assert.equal((await fetch(`${base}/admin`, { headers: { cookie }, redirect: "manual" })).status, 302);
+});
+
+test("sessions expire after SESSION_TTL_HOURS", async (t) => {
+  const { base } = await start(t, { admins, env: { SESSION_TTL_HOURS: String(0.3 / 3600) } });
+  const { cookie } = await login(base);
+  await new Promise((r) => setTimeout(r, 400));
+  assert.equal((await fetch(`${base}/admin`, { headers: { cookie }, redirect: "manual" })).status, 302);
+});
+
+test("admin forms need the session's CSRF token", async (t) => {
+  const { rooms, base } = await start(t, { admins });
+  const { cookie, csrf } = await login(base);
+  const create = (fields) => fetch(`${base}/admin/create-room`, { method: "POST", headers: { cookie }, body: new URLSearchParams(fields), redirect: "manual" });
+  for (const fields of [{ room: "party" }, { room: "party", _csrf: "0".repeat(csrf.length) }, { room: "party", _csrf: csrf.slice(1) }]) {
+    assert.equal((await create(fields)).status, 403);
+  }
+  assert.equal(rooms.library.exists("party"), false);
+  assert.equal((await create({ room: "party", _csrf: csrf })).status, 302);
+  assert.equal(rooms.library.exists("party"), true);
+  // another session's token doesn't do
+  const other = await login(base);
+  assert.equal((await create({ room: "other", _csrf: other.csrf })).status, 403);
+});
+
+test("files are deleted with a POST carrying the CSRF token", async (t) => {
+  const { rooms, base } = await start(t, { admins });
+  rooms.library.createRoom("party", { title: "Party" });
+  await upload(base, "party", { "pic.png": PNG });
+  const [{ name }] = rooms.library.listFiles("party");
+  const { cookie, csrf } = await login(base);
+  const page = await (await fetch(`${base}/room/party`, { headers: { cookie } })).text();
+  assert.match(page, new RegExp(`<form method="post" action="/delete/party/${name}"`));
+
+  const url = `${base}/delete/party/${name}`;
+  assert.equal((await fetch(url, { headers: { cookie }, redirect: "manual" })).status, 404);
+  assert.equal((await fetch(url, { method: "POST", headers: { cookie }, redirect: "manual" })).status, 403);
+  assert.ok(rooms.library.getFile("party", name));
+  const res = await fetch(url, { method: "POST", headers: { cookie }, body: new URLSearchParams({ _csrf: csrf }), redirect: "manual" });
+  assert.equal(res.status, 302);
+  assert.equal(rooms.library.getFile("party", name), null);
+  assert.equal(rooms.trash.list().length, 1);
+});
+
+test("private rooms: passphrases and invite links grant access, also after a rename", async (t) => {
+  const { rooms, base } = await start(t, { admins, env: { PUBLIC_URL: "https://rooms.example/" } });
+  rooms.library.createRoom("party", { title: "Party" });
+  const admin = await login(base);
+  const post = (url, fields, cookie = admin.cookie) =>
+    fetch(`${base}${url}`, { method: "POST", headers: { cookie }, body: new URLSearchParams({ _csrf: admin.csrf, ...fields }), redirect: "manual" });
+  await post("/admin/access/party", { visibility: "private", passphrase: "open sesame" });
+  await post("/admin/invites/party", { perm: "view", hours: "24" });
+
+  const page = (room, cookie = "") => fetch(`${base}/room/${room}`, { headers: { cookie }, redirect: "manual" });
+  assert.equal((await page("party")).status, 403);
+
+  // invite links use PUBLIC_URL, whatever Host the request names
+  const adminPage = await (await fetch(`${base}/room/party`, { headers: { cookie: admin.cookie } })).text();
+  const [link] = adminPage.match(/https?:\/\/[^"]*\/invite\/[^"]+/);
+  assert.match(link, /^https:\/\/rooms\.example\/invite\/party\//);
+  const spoofed = await new Promise((resolve, reject) =>
+    http
+      .get(`${base}/room/party`, { headers: { cookie: admin.cookie, host: "evil.example" } }, (res) => {
+        let body = "";
+        res.on("data", (chunk) => (body += chunk)).on("end", () => resolve(body));
+      })
+      .on("error", reject)
+  );
+  assert.doesNotMatch(spoofed, /evil\.example\/invite/);
+
+  const invited = await fetch(`${base}${new URL(link).pathname}`, { redirect: "manual" });
+  assert.equal(invited.status, 302);
+  const guest = invited.headers.get("set-cookie").split(";")[0];
+  assert.equal((await page("party", guest)).status, 200);
+  // a view invite doesn't let them upload
+  assert.equal((await upload(base, "party", { "pic.png": PNG }, {}, { cookie: guest })).status, 403);
+  // a tampered link grants nothing
+  assert.equal((await fetch(`${base}${new URL(link).pathname.replace(/.$/, (c) => (c === "A" ? "B" : "A"))}`, { redirect: "manual" })).status, 403);
+
+  assert.equal((await post("/room/party/unlock", { passphrase: "wrong" }, "")).status, 403);
+  const unlocked = await post("/room/party/unlock", { passphrase: "open sesame" }, "");
+  assert.equal(unlocked.status, 302);
+  const member = unlocked.headers.get("set-cookie").split(";")[0];
+  assert.equal((await upload(base, "party", { "pic.png": PNG }, {}, { cookie: member })).status, 302);
+
+  assert.equal((await post("/admin/rename-room/party", { to: "fiesta" })).status, 302);
+  assert.equal((await page("fiesta", guest)).status, 200);
+  assert.equal((await page("fiesta", member)).status, 200);
+  assert.equal((await page("fiesta")).status, 403);
+
+  // revoking the invite ends the guest's access; a new passphrase the member's
+  const [invite] = adminPage.match(/\/admin\/invites\/party\/[0-9a-f]+\/revoke/);
+  await post(invite.replace("/party/", "/fiesta/"), {});
+  assert.equal((await page("fiesta", guest)).status, 403);
+  await post("/admin/access/fiesta", { visibility: "private", passphrase: "new one" });
+  assert.equal((await page("fiesta", member)).status, 403);
+});
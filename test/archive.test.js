@@ -0,0 +1,176 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import zlib from "zlib";
+import { createCore } from "../lib/core.js";
+import { createImporter } from "../lib/archive.js";
+import { UploadRejectedError } from "../lib/policy.js";
+import { tarArchive, zipArchive } from "./archives.js";
+
+let dir;
+let core;
+let importer;
+let n = 0;
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "archive-test-"));
+  core = await createCore({
+    dataDir: path.join(dir, "data"),
+    env: { UPLOAD_ALLOWED_TYPES: "text,image", UPLOAD_DUPLICATES: "allow" },
+  });
+  importer = createImporter({ uploads: core.upload, tmpDir: path.join(core.systemDir, "tmp") });
+});
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// A fresh room and the archive as a file
+const setup = (name, data) => {
+  const room = `import-${++n}`;
+  core.library.createRoom(room, { title: room });
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, data);
+  return { room, file };
+};
+
+const summary = ({ imported, skipped, truncated }) => ({
+  imported: imported.map((f) => f.originalName),
+  skipped: skipped.map((s) => [s.name, s.reason]),
+  truncated,
+});
+
+const roomFiles = (room) => core.library.listFiles(room).map((f) => f.originalName).sort();
+
+test("files from a ZIP are imported flat, under their base names", async () => {
+  const zip = zipArchive([
+    { name: "trip/", mode: 0o040755 },
+    { name: "trip/day1/notes.txt", data: "day one" },
+    { name: "list.txt", data: "list", deflate: true },
+  ]);
+  const { room, file } = setup("photos.zip", zip);
+  assert.deepEqual(summary(await importer.importArchive(room, file)), { imported: ["notes.txt", "list.txt"], skipped: [], truncated: false });
+  assert.deepEqual(roomFiles(room), ["list.txt", "notes.txt"]);
+  const notes = core.library.listFiles(room).find((f) => f.originalName === "notes.txt");
+  const chunks = [];
+  for await (const chunk of await core.storage.createReadStream(core.library.fileKey(room, notes.name))) chunks.push(chunk);
+  assert.equal(Buffer.concat(chunks).toString(), "day one");
+});
+
+test("path traversal, absolute paths, links and system files are skipped", async () => {
+  const bad = [
+    { name: "../escape.txt", data: "up" },
+    { name: "ok/../../escape.txt", data: "up" },
+    { name: "/etc/cron.d/job.txt", data: "abs" },
+    { name: "C:/Windows/evil.txt", data: "drive" },
+    { name: "..\\windows.txt", data: "backslash" },
+    { name: "__MACOSX/._a.txt", data: "meta" },
+    { name: ".DS_Store", data: "meta" },
+    { name: "evil-link", data: "/etc/passwd", mode: 0o120777 },
+  ];
+  const { room, file } = setup("bad.zip", zipArchive([...bad, { name: "good.txt", data: "good" }]));
+  assert.deepEqual(summary(await importer.importArchive(room, file)), {
+    imported: ["good.txt"],
+    skipped: [
+      ["../escape.txt", "path outside the archive"],
+      ["ok/../../escape.txt", "path outside the archive"],
+      ["/etc/cron.d/job.txt", "absolute path"],
+      ["C:/Windows/evil.txt", "absolute path"],
+      ["..\\windows.txt", "path outside the archive"],
+      ["__MACOSX/._a.txt", "system file"],
+      [".DS_Store", "system file"],
+      ["evil-link", "symlink entry"],
+    ],
+    truncated: false,
+  });
+  assert.deepEqual(roomFiles(room), ["good.txt"]);
+  assert.equal(fs.existsSync(path.join(dir, "escape.txt")), false);
+  assert.equal(fs.existsSync(path.join(core.dataDir, "escape.txt")), false);
+});
+
+test("tar links and traversal are skipped", async () => {
+  const tar = tarArchive([
+    { name: "../../escape.txt", data: "up" },
+    { name: "/tmp/abs.txt", data: "abs" },
+    { name: "x", pax: "../pax-escape.txt", data: "pax" },
+    { name: "link.txt", type: "2" },
+    { name: "hard.txt", type: "1" },
+    { name: "fine.txt", data: "fine" },
+  ]);
+  const { room, file } = setup("bad.tar.gz", zlib.gzipSync(tar));
+  assert.deepEqual(summary(await importer.importArchive(room, file)), {
+    imported: ["fine.txt"],
+    skipped: [
+      ["../../escape.txt", "path outside the archive"],
+      ["/tmp/abs.txt", "absolute path"],
+      ["../pax-escape.txt", "path outside the archive"],
+      ["link.txt", "symlink entry"],
+      ["hard.txt", "link entry"],
+    ],
+    truncated: false,
+  });
+});
+
+test("entries above the room's size limit are cut off while unpacking", async () => {
+  const tar = tarArchive([
+    { name: "small.txt", data: "small" },
+    { name: "large.txt", data: Buffer.alloc(8 * 1024, "L"), base256: true },
+    { name: "after.txt", data: "after" },
+  ]);
+  const { room, file } = setup("sizes.tar", tar);
+  core.policies.set(room, { maxFileSize: 4 * 1024 });
+  const result = await importer.importArchive(room, file);
+  assert.deepEqual(summary(result).imported, ["small.txt", "after.txt"]);
+  const [skipped] = result.skipped;
+  assert.equal(skipped.name, "large.txt");
+  assert.ok(skipped.error instanceof UploadRejectedError);
+  assert.equal(skipped.error.code, "file_too_large");
+  assert.deepEqual(roomFiles(room), ["after.txt", "small.txt"]);
+  assert.deepEqual(fs.readdirSync(path.join(core.systemDir, "tmp")), []);
+});
+
+test("policy rejections are reported per entry", async () => {
+  const exe = Buffer.from([0x4d, 0x5a, 0x90, 0x00, 0x03]);
+  const { room, file } = setup("types.zip", zipArchive([{ name: "program.exe", data: exe }, { name: "ok.txt", data: "ok" }]));
+  const result = await importer.importArchive(room, file);
+  assert.deepEqual(summary(result).imported, ["ok.txt"]);
+  assert.equal(result.skipped[0].error.code, "type_not_allowed");
+});
+
+test("a truncated tar.gz keeps what was imported before the damage", async () => {
+  // letters that don't compress to nothing, so the cut lands in the second entry
+  const letters = Buffer.from(Array.from({ length: 64 * 1024 }, (_, i) => 97 + ((i * 7919) % 26)));
+  const tar = tarArchive([{ name: "first.txt", data: "first" }, { name: "second.txt", data: letters }]);
+  const gz = zlib.gzipSync(tar);
+  const { room, file } = setup("cut.tar.gz", gz.subarray(0, gz.length - 200));
+  const result = await importer.importArchive(room, file);
+  assert.deepEqual(summary(result).imported, ["first.txt"]);
+  assert.equal(result.skipped.at(-1).name, "(rest of the archive)");
+  assert.deepEqual(roomFiles(room), ["first.txt"]);
+  assert.deepEqual(fs.readdirSync(path.join(core.systemDir, "tmp")), []);
+});
+
+test("damaged archives with nothing readable are rejected", async () => {
+  for (const [name, data] of [
+    ["cut.tar.gz", zlib.gzipSync(tarArchive([{ name: "a.txt", data: "a" }])).subarray(0, 20)],
+    ["noise.tar", Buffer.alloc(2048, "noise")],
+    ["cut.zip", zipArchive([{ name: "a.txt", data: "a" }]).subarray(0, 40)],
+  ]) {
+    const { room, file } = setup(name, data);
+    await assert.rejects(importer.importArchive(room, file), { status: 415, code: "not_an_archive" });
+  }
+});
+
+test("imports stop after maxEntries entries", async () => {
+  const entries = Array.from({ length: 8 }, (_, i) => ({ name: `f${i}.txt`, data: `file ${i}` }));
+  const { room, file } = setup("many.zip", zipArchive(entries));
+  const limited = createImporter({ uploads: core.upload, tmpDir: path.join(core.systemDir, "tmp"), maxEntries: 5 });
+  const result = summary(await limited.importArchive(room, file));
+  assert.deepEqual(result.imported, ["f0.txt", "f1.txt", "f2.txt", "f3.txt", "f4.txt"]);
+  assert.equal(result.truncated, true);
+});
+
+test("unknown rooms are refused before reading the archive", async () => {
+  const file = path.join(dir, "any.zip");
+  fs.writeFileSync(file, zipArchive([{ name: "a.txt", data: "a" }]));
+  await assert.rejects(importer.importArchive("no-such-room", file), { code: "room_not_found" });
+});
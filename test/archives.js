@@ -0,0 +1,114 @@
+// Hand-made archives for the tests: tar entries with the header fields set
+// directly (GNU base-256 sizes, pax and GNU long-name headers, links) and ZIP
+// files built record by record (symlinks, deflate, encryption flags, ZIP64).
+
+import zlib from "zlib";
+import { crc32 } from "../lib/zip.js";
+
+const BLOCK = 512;
+const MAX32 = 0xffffffff;
+
+const pad = (buf) => Buffer.concat([buf, Buffer.alloc((BLOCK - (buf.length % BLOCK)) % BLOCK)]);
+
+// One tar header block; base256 writes the size in GNU base-256
+export const tarHeader = ({ name, size = 0, type = "0", prefix = "", base256 = false }) => {
+  const h = Buffer.alloc(BLOCK);
+  h.write(name, 0, 100, "utf8");
+  h.write("0000644\0", 100);
+  h.write("0000000\0", 108);
+  h.write("0000000\0", 116);
+  if (base256) {
+    h[124] = 0x80;
+    h.writeUIntBE(size, 136 - 6, 6);
+  } else {
+    h.write(`${size.toString(8).padStart(11, "0")}\0`, 124);
+  }
+  h.write("00000000000\0", 136);
+  h.write(type, 156);
+  h.write("ustar\0", 257);
+  h.write("00", 263);
+  if (prefix) h.write(prefix, 345, 155, "utf8");
+  h.fill(0x20, 148, 156);
+  const sum = h.reduce((n, b) => n + b, 0);
+  h.write(`${sum.toString(8).padStart(6, "0")}\0 `, 148);
+  return h;
+};
+
+// entries: { name, data, type, prefix, base256, pax, longName }
+export const tarArchive = (entries) => {
+  const blocks = [];
+  for (const { data = Buffer.alloc(0), pax, longName, ...header } of entries) {
+    if (pax) {
+      let record = ` path=${pax}\n`;
+      let length = record.length;
+      while (`${length}${record}`.length !== length) length = `${length}${record}`.length;
+      const body = Buffer.from(`${length}${record}`);
+      blocks.push(tarHeader({ name: "PaxHeader", size: body.length, type: "x" }), pad(body));
+    }
+    if (longName) {
+      const body = Buffer.from(`${longName}\0`);
+      blocks.push(tarHeader({ name: "././@LongLink", size: body.length, type: "L" }), pad(body));
+    }
+    blocks.push(tarHeader({ ...header, size: data.length }), pad(Buffer.from(data)));
+  }
+  blocks.push(Buffer.alloc(2 * BLOCK));
+  return Buffer.concat(blocks);
+};
+
+const record = (fields) =>
+  Buffer.concat(
+    fields.map(([bytes, value]) => {
+      const buf = Buffer.alloc(bytes);
+      if (bytes === 8) buf.writeBigUInt64LE(BigInt(value));
+      else if (bytes === 4) buf.writeUInt32LE(value >>> 0);
+      else buf.writeUInt16LE(value);
+      return buf;
+    })
+  );
+
+// entries: { name, data, deflate, encrypted, mode (unix, for symlinks) };
+// zip64 writes every size and offset through the ZIP64 extra field and ends
+// the archive with the ZIP64 end of central directory records
+export const zipArchive = (entries, { zip64 = false } = {}) => {
+  const locals = [];
+  const central = [];
+  let offset = 0;
+  for (const { name, data = Buffer.alloc(0), deflate = false, encrypted = false, mode = 0o100644 } of entries) {
+    const nameBuf = Buffer.from(name);
+    const content = deflate ? zlib.deflateRawSync(data) : Buffer.from(data);
+    const crc = crc32(Buffer.from(data));
+    const flags = 0x0800 | (encrypted ? 1 : 0);
+    const method = deflate ? 8 : 0;
+    const local = record([
+      [4, 0x04034b50], [2, 20], [2, flags], [2, method], [2, 0], [2, 0x21],
+      [4, crc], [4, content.length], [4, data.length], [2, nameBuf.length], [2, 0],
+    ]);
+    locals.push(local, nameBuf, content);
+    const extra = zip64 ? record([[2, 0x0001], [2, 24], [8, data.length], [8, content.length], [8, offset]]) : Buffer.alloc(0);
+    central.push(
+      record([
+        [4, 0x02014b50], [2, (3 << 8) | 45], [2, zip64 ? 45 : 20], [2, flags], [2, method], [2, 0], [2, 0x21], [4, crc],
+        [4, zip64 ? MAX32 : content.length], [4, zip64 ? MAX32 : data.length],
+        [2, nameBuf.length], [2, extra.length], [2, 0], [2, 0], [2, 0], [4, mode << 16], [4, zip64 ? MAX32 : offset],
+      ]),
+      nameBuf,
+      extra
+    );
+    offset += local.length + nameBuf.length + content.length;
+  }
+  const cd = Buffer.concat(central);
+  const tail = [];
+  if (zip64) {
+    tail.push(
+      record([[4, 0x06064b50], [8, 44], [2, (3 << 8) | 45], [2, 45], [4, 0], [4, 0], [8, entries.length], [8, entries.length], [8, cd.length], [8, offset]]),
+      record([[4, 0x07064b50], [4, 0], [8, offset + cd.length], [4, 1]])
+    );
+  }
+  tail.push(
+    record([
+      [4, 0x06054b50], [2, 0], [2, 0], [2, zip64 ? 0xffff : entries.length], [2, zip64 ? 0xffff : entries.length],
+      [4, zip64 ? MAX32 : cd.length], [4, zip64 ? MAX32 : offset], [2, 0],
+    ])
+  );
+  return Buffer.concat([...locals, cd, ...tail]);
+};
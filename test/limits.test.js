@@ -0,0 +1,155 @@
+import { test, mock } from "node:test";
+import assert from "node:assert/strict";
+import { createLimits, parseCidr, normalizeIp } from "../lib/limits.js";
+
+const memoryStore = () => {
+  const data = { block: [], allow: [] };
+  return { data, update: (fn) => fn(data) };
+};
+
+const MB = 1024 * 1024;
+
+const setup = (t, rates = {}, { rooms = ["lobby", "other"] } = {}) => {
+  const limits = createLimits({
+    store: memoryStore(),
+    rates: { ipUploadsPerMinute: 0, ipBytesPerHour: 0, roomUploadsPerMinute: 0, roomBytesPerHour: 0, ...rates },
+    isAdmin: (req) => Boolean(req.admin),
+    roomExists: (room) => rooms.includes(room),
+  });
+  t.after(() => limits.close());
+  return limits;
+};
+
+// Runs guard() for a fake request (length null: no Content-Length); resolves to { err, headers, req }
+const attempt = (guard, { ip = "10.0.0.1", room = "lobby", length = 100, ...extra } = {}) => {
+  const headers = {};
+  const req = { ip, params: { room }, get: (name) => (name === "Content-Length" && length !== null ? String(length) : undefined), ...extra };
+  const res = { set: (name, value) => (headers[name] = value) };
+  return new Promise((resolve) => guard(req, res, (err) => resolve({ err, headers, req })));
+};
+
+test("parseCidr and normalizeIp", () => {
+  assert.deepEqual(parseCidr(" 10.0.0.0/8 "), { address: "10.0.0.0", prefix: 8, type: "ipv4", cidr: "10.0.0.0/8" });
+  assert.equal(parseCidr("192.168.1.7").cidr, "192.168.1.7/32");
+  assert.equal(parseCidr("2001:db8::/32").type, "ipv6");
+  assert.equal(parseCidr("2001:db8::1").cidr, "2001:db8::1/128");
+  for (const bad of ["", "10.0.0.0/33", "2001:db8::/129", "10.0.0.0/8/1", "10.0.0.0/x", "10.0.0.256", "example.com"]) {
+    assert.equal(parseCidr(bad), null, bad);
+  }
+  assert.equal(normalizeIp("::ffff:10.0.0.1"), "10.0.0.1");
+  assert.equal(normalizeIp("::ffff:a00:1"), "::ffff:a00:1");
+  assert.equal(normalizeIp(undefined), "");
+});
+
+test("block and allow lists match addresses and CIDR ranges", async (t) => {
+  const limits = setup(t, { ipUploadsPerMinute: 1 });
+  assert.equal(limits.addRule("block", "not-an-ip"), null);
+  assert.equal(limits.addRule("nope", "10.0.0.1"), null);
+
+  const range = limits.addRule("block", "10.0.0.0/8", { note: "lab", addedBy: "alice" });
+  limits.addRule("block", "2001:db8::/32");
+  assert.equal(range.cidr, "10.0.0.0/8");
+  assert.equal(range.addedBy, "alice");
+  assert.equal(limits.isBlocked("10.200.3.4"), true);
+  assert.equal(limits.isBlocked("::ffff:10.200.3.4"), true);
+  assert.equal(limits.isBlocked("11.0.0.1"), false);
+  assert.equal(limits.isBlocked("2001:db8:1::5"), true);
+  assert.equal(limits.isBlocked("2001:db9::5"), false);
+  assert.equal(limits.isBlocked("garbage"), false);
+
+  // Blocked addresses can't upload at all, not even as admins
+  assert.equal((await attempt(limits.guard(), { ip: "10.1.1.1" })).err.code, "ip_blocked");
+  assert.equal((await attempt(limits.guard(), { ip: "10.1.1.1", admin: {} })).err.code, "ip_blocked");
+
+  assert.equal(limits.removeRule("block", range.id).cidr, "10.0.0.0/8");
+  assert.equal(limits.removeRule("block", range.id), null);
+  assert.equal(limits.isBlocked("10.200.3.4"), false);
+
+  // Allowed addresses skip the rate limits
+  limits.addRule("allow", "192.168.0.0/16");
+  for (let i = 0; i < 3; i++) assert.equal((await attempt(limits.guard(), { ip: "::ffff:192.168.4.4" })).err, undefined);
+  assert.equal((await attempt(limits.guard(), { ip: "172.16.0.1" })).err, undefined);
+  assert.equal((await attempt(limits.guard(), { ip: "172.16.0.1" })).err.code, "rate_limited");
+});
+
+test("token buckets limit files and bytes, and refill over time", async (t) => {
+  mock.timers.enable({ apis: ["Date"], now: 1_700_000_000_000 });
+  t.after(() => mock.timers.reset());
+  const limits = setup(t, { ipUploadsPerMinute: 2, ipBytesPerHour: 10 * MB });
+  const guard = limits.guard();
+
+  assert.equal((await attempt(guard)).err, undefined);
+  assert.equal((await attempt(guard)).err, undefined);
+  const { err, headers } = await attempt(guard);
+  assert.equal(err.status, 429);
+  assert.equal(err.code, "rate_limited");
+  assert.equal(err.params.limit, "ip-uploads");
+  // One token comes back every 30 s
+  assert.equal(headers["Retry-After"], "30");
+  assert.equal(limits.hits()[0].limitId, "ip-uploads");
+  assert.equal(limits.hits()[0].ip, "10.0.0.1");
+
+  // Other addresses have their own bucket
+  assert.equal((await attempt(guard, { ip: "10.0.0.2" })).err, undefined);
+  // Admins and token holders aren't limited
+  assert.equal((await attempt(guard, { admin: {} })).err, undefined);
+  assert.equal((await attempt(guard, { apiToken: {} })).err, undefined);
+
+  mock.timers.tick(30 * 1000);
+  assert.equal((await attempt(guard)).err, undefined);
+  assert.equal((await attempt(guard)).err.code, "rate_limited");
+
+  // A large upload goes into debt; the next one waits until the bucket has refilled
+  const big = limits.guard();
+  assert.equal((await attempt(big, { ip: "10.0.0.3", length: 25 * MB })).err, undefined);
+  const after = await attempt(big, { ip: "10.0.0.3", length: 1 });
+  assert.equal(after.err.params.limit, "ip-bytes");
+  // 15 MB + 1 byte missing at 10 MB per hour
+  assert.equal(after.headers["Retry-After"], "5401");
+
+  // A missing or bogus length is refused
+  assert.equal((await attempt(guard, { ip: "10.0.0.4", length: null })).err.code, "length_required");
+  assert.equal((await attempt(guard, { ip: "10.0.0.4", length: "-1" })).err.code, "length_required");
+});
+
+test("room buckets are only made for rooms that exist", async (t) => {
+  const limits = setup(t, { roomUploadsPerMinute: 1 });
+  const guard = limits.guard();
+  const ghost = await attempt(guard, { room: "no-such-room" });
+  assert.equal(ghost.err.status, 404);
+  assert.equal(ghost.err.code, "room_not_found");
+  assert.equal(ghost.req.rateKeys, undefined);
+
+  assert.equal((await attempt(guard, { room: "LOBBY", ip: "10.0.0.1" })).err, undefined);
+  assert.equal((await attempt(guard, { room: "lobby", ip: "10.0.0.2" })).err.params.limit, "room-uploads");
+  assert.equal((await attempt(guard, { room: "other", ip: "10.0.0.2" })).err, undefined);
+});
+
+test("perFile charges every file of a post", async (t) => {
+  const limits = setup(t, { ipUploadsPerMinute: 3 });
+  const guard = limits.guard();
+  const post = async (files, failure) => {
+    const { err, req } = await attempt(guard);
+    if (err) return err;
+    const handler = limits.perFile((req, res, next) => {
+      req.files = Array.from({ length: files }, (_, i) => ({ name: `f${i}` }));
+      next(failure);
+    });
+    return new Promise((resolve) => handler(req, {}, resolve));
+  };
+
+  // Three files use up the whole bucket
+  assert.equal(await post(3), undefined);
+  assert.equal((await post(1)).code, "rate_limited");
+
+  // The rejected file counts as well
+  const other = setup(t, { ipUploadsPerMinute: 2 });
+  const { req } = await attempt(other.guard());
+  const rejection = new Error("rejected");
+  const handler = other.perFile((req, res, next) => {
+    req.files = [{ name: "ok" }];
+    next(rejection);
+  });
+  assert.equal(await new Promise((resolve) => handler(req, {}, resolve)), rejection);
+  assert.equal((await attempt(other.guard())).err.code, "rate_limited");
+});
@@ -0,0 +1,96 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createPolicies, defaultPolicyFromEnv, UploadRejectedError } from "../lib/policy.js";
+
+const MB = 1024 * 1024;
+
+const memoryStore = () => {
+  const data = { rooms: {} };
+  return { data, update: (fn) => fn(data) };
+};
+
+const setup = (env = {}) => {
+  const defaults = defaultPolicyFromEnv(env);
+  return { policies: createPolicies({ store: memoryStore(), defaults }), defaults };
+};
+
+// The UploadRejectedError thrown by fn, checked for status and code
+const rejected = (fn, status, code) =>
+  assert.throws(fn, (err) => err instanceof UploadRejectedError && err.status === status && err.code === code);
+
+test("defaults come from the environment", () => {
+  const policy = defaultPolicyFromEnv({
+    UPLOAD_MAX_MB: "5",
+    ROOM_MAX_FILES: "10",
+    ROOM_QUOTA_MB: "50",
+    UPLOAD_ALLOWED_TYPES: "image, text,bogus",
+    UPLOAD_DUPLICATES: "link",
+    UPLOAD_MODERATION: "1",
+    FILE_TTL_HOURS: "24,0,24,x",
+    FILE_MAX_DOWNLOADS: "3",
+  });
+  assert.deepEqual(policy, {
+    maxFileSize: 5 * MB,
+    maxFiles: 10,
+    quotaBytes: 50 * MB,
+    allowedFamilies: ["image", "text"],
+    duplicates: "link",
+    moderate: true,
+    fileTtlHours: [24, 0],
+    maxDownloads: 3,
+  });
+  const plain = defaultPolicyFromEnv({ UPLOAD_DUPLICATES: "sometimes" });
+  assert.equal(plain.maxFileSize, 100 * MB);
+  assert.deepEqual(plain.allowedFamilies, ["image", "video", "audio"]);
+  assert.equal(plain.duplicates, "reject");
+  assert.equal(plain.moderate, false);
+});
+
+test("room overrides apply on top of the defaults and can be dropped again", () => {
+  const { policies, defaults } = setup();
+  policies.set("party", { maxFiles: 2, allowedFamilies: ["image"] });
+  assert.deepEqual(policies.get("party"), { ...defaults, maxFiles: 2, allowedFamilies: ["image"] });
+  assert.deepEqual(policies.get("other"), defaults);
+  policies.set("party", { maxFiles: undefined });
+  assert.deepEqual(policies.get("party"), defaults);
+});
+
+test("room capacity and the upload limit", () => {
+  const { policies } = setup({ UPLOAD_MAX_MB: "10", ROOM_MAX_FILES: "2", ROOM_QUOTA_MB: "25" });
+  const policy = policies.get("party");
+  policies.checkRoomCapacity(policy, { files: 1, bytes: 0 });
+  rejected(() => policies.checkRoomCapacity(policy, { files: 2, bytes: 0 }), 409, "room_full");
+  rejected(() => policies.checkRoomCapacity(policy, { files: 0, bytes: 25 * MB }), 413, "quota_exceeded");
+
+  assert.equal(policies.uploadLimit(policy, { files: 0, bytes: 0 }), 10 * MB);
+  assert.equal(policies.uploadLimit(policy, { files: 1, bytes: 20 * MB }), 5 * MB);
+  assert.equal(policies.uploadLimit(policy, { files: 1, bytes: 30 * MB }), 0);
+  assert.equal(policies.uploadLimit({ ...policy, maxFileSize: 0, quotaBytes: 0 }, { files: 0, bytes: 0 }), Infinity);
+});
+
+test("files are checked for size, quota and type family", () => {
+  const { policies } = setup({ UPLOAD_MAX_MB: "10", ROOM_QUOTA_MB: "25" });
+  const policy = policies.get("party");
+  const usage = { files: 1, bytes: 20 * MB };
+  policies.checkFile(policy, usage, { size: MB, mime: "image/png" });
+  policies.checkFile(policy, usage, { size: MB, mime: "video/mp4" });
+  rejected(() => policies.checkFile(policy, usage, { size: 11 * MB, mime: "image/png" }), 413, "file_too_large");
+  rejected(() => policies.checkFile(policy, usage, { size: 6 * MB, mime: "image/png" }), 413, "quota_exceeded");
+  rejected(() => policies.checkFile(policy, usage, { size: MB, mime: "application/pdf" }), 415, "type_not_allowed");
+  rejected(() => policies.checkFile(policy, usage, { size: MB, mime: "text/plain" }), 415, "type_not_allowed");
+});
+
+test("HTML, SVG and XML are refused even where their family is allowed", () => {
+  const { policies } = setup({ UPLOAD_ALLOWED_TYPES: "image,video,audio,text,application" });
+  const policy = policies.get("party");
+  const usage = { files: 0, bytes: 0 };
+  policies.checkFile(policy, usage, { size: 1, mime: "text/plain" });
+  policies.checkFile(policy, usage, { size: 1, mime: "application/pdf" });
+  for (const mime of ["text/html", "image/svg+xml", "application/xhtml+xml", "application/xml"]) {
+    assert.throws(
+      () => policies.checkFile(policy, usage, { size: 1, mime }),
+      (err) => err.status === 415 && err.code === "type_not_allowed" && err.params.type === mime,
+      mime
+    );
+  }
+});
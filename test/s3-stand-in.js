@@ -0,0 +1,166 @@
+// A small S3 stand-in for the tests, in the spirit of a local MinIO: one
+// bucket, path-style URLs, objects kept in memory. Every request must carry
+// a valid AWS Signature V4 (Authorization header, or the query of a
+// presigned URL), checked from the request as it arrived. ListObjectsV2
+// answers in pages of `pageSize` entries so continuation tokens get used.
+// clock.offset (ms) moves the stand-in's time, for expiring presigned URLs.
+
+import http from "http";
+import crypto from "crypto";
+
+const sha256Hex = (data) => crypto.createHash("sha256").update(data).digest("hex");
+const hmac = (key, data) => crypto.createHmac("sha256", key).update(data).digest();
+const encode = (s) => encodeURIComponent(s).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+const escapeXml = (s) => String(s).replace(/[&<>]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;" })[c]);
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+// "20130524T000000Z" -> ms
+const parseAmzDate = (d) => Date.parse(`${d.slice(0, 4)}-${d.slice(4, 6)}-${d.slice(6, 8)}T${d.slice(9, 11)}:${d.slice(11, 13)}:${d.slice(13, 15)}Z`);
+
+export const startS3 = async ({ bucket = "rooms", accessKeyId = "AKIDSTANDIN", secretAccessKey = "standin-secret", region = "us-east-1", pageSize = 2 } = {}) => {
+  const objects = new Map(); // full key -> { body, type, mtime }
+  const clock = { offset: 0 };
+  const now = () => Date.now() + clock.offset;
+
+  const fail = (res, status, code, message = code) => {
+    res.writeHead(status, { "content-type": "application/xml" });
+    res.end(`<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code><Message>${escapeXml(message)}</Message></Error>`);
+  };
+
+  // The error code for a request with a bad signature, or null
+  const checkSignature = (req, rawPath, params) => {
+    const presigned = params.has("X-Amz-Signature");
+    let credential, signedHeaders, signature, date, payloadHash;
+    if (presigned) {
+      credential = params.get("X-Amz-Credential");
+      signedHeaders = params.get("X-Amz-SignedHeaders");
+      signature = params.get("X-Amz-Signature");
+      date = params.get("X-Amz-Date");
+      payloadHash = "UNSIGNED-PAYLOAD";
+      if (parseAmzDate(date) + Number(params.get("X-Amz-Expires")) * 1000 < now()) return "AccessDenied";
+    } else {
+      const m = /^AWS4-HMAC-SHA256 Credential=([^,]+), SignedHeaders=([^,]+), Signature=([0-9a-f]+)$/.exec(req.headers.authorization || "");
+      if (!m) return "AccessDenied";
+      [, credential, signedHeaders, signature] = m;
+      date = req.headers["x-amz-date"];
+      payloadHash = req.headers["x-amz-content-sha256"];
+    }
+    const [key, day, credRegion, service] = credential.split("/");
+    if (key !== accessKeyId) return "InvalidAccessKeyId";
+    if (credRegion !== region || service !== "s3" || !date?.startsWith(day)) return "SignatureDoesNotMatch";
+    const query = [...params]
+      .filter(([k]) => k !== "X-Amz-Signature")
+      .map(([k, v]) => [encode(k), encode(v)])
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+      .map(([k, v]) => `${k}=${v}`)
+      .join("&");
+    const names = signedHeaders.split(";");
+    const canonicalRequest = [
+      req.method,
+      rawPath,
+      query,
+      names.map((n) => `${n}:${String(req.headers[n] ?? "").trim()}\n`).join(""),
+      signedHeaders,
+      payloadHash,
+    ].join("\n");
+    const scope = `${day}/${region}/s3/aws4_request`;
+    const stringToSign = ["AWS4-HMAC-SHA256", date, scope, sha256Hex(canonicalRequest)].join("\n");
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, day), region), "s3"), "aws4_request");
+    return hmac(signingKey, stringToSign).toString("hex") === signature ? null : "SignatureDoesNotMatch";
+  };
+
+  const list = (res, params) => {
+    const prefix = params.get("prefix") || "";
+    const delimiter = params.get("delimiter");
+    const entries = [];
+    for (const key of [...objects.keys()].sort()) {
+      if (!key.startsWith(prefix)) continue;
+      const cut = delimiter ? key.indexOf(delimiter, prefix.length) : -1;
+      if (cut === -1) entries.push({ key });
+      else if (entries.at(-1)?.prefix !== key.slice(0, cut + 1)) entries.push({ prefix: key.slice(0, cut + 1) });
+    }
+    const start = Number(params.get("continuation-token") ? Buffer.from(params.get("continuation-token"), "base64").toString() : 0);
+    const page = entries.slice(start, start + pageSize);
+    const truncated = start + pageSize < entries.length;
+    const contents = page.filter((e) => e.key).map(({ key }) => {
+      const o = objects.get(key);
+      return `<Contents><Key>${escapeXml(key)}</Key><LastModified>${new Date(o.mtime).toISOString()}</LastModified><Size>${o.body.length}</Size></Contents>`;
+    });
+    const prefixes = page.filter((e) => e.prefix).map((e) => `<CommonPrefixes><Prefix>${escapeXml(e.prefix)}</Prefix></CommonPrefixes>`);
+    res.writeHead(200, { "content-type": "application/xml" });
+    res.end(
+      `<?xml version="1.0" encoding="UTF-8"?><ListBucketResult><Name>${bucket}</Name><Prefix>${escapeXml(prefix)}</Prefix>` +
+        `<KeyCount>${page.length}</KeyCount><IsTruncated>${truncated}</IsTruncated>` +
+        (truncated ? `<NextContinuationToken>${Buffer.from(String(start + pageSize)).toString("base64")}</NextContinuationToken>` : "") +
+        `${contents.join("")}${prefixes.join("")}</ListBucketResult>`
+    );
+  };
+
+  const handle = async (req, res) => {
+    const [rawPath, rawQuery = ""] = req.url.split("?");
+    const params = new URLSearchParams(rawQuery);
+    const body = await readAll(req);
+    const bad = checkSignature(req, rawPath, params);
+    if (bad) return fail(res, 403, bad);
+    if (!rawPath.startsWith(`/${bucket}/`)) return fail(res, 404, "NoSuchBucket");
+    const key = rawPath.slice(bucket.length + 2).split("/").map(decodeURIComponent).join("/");
+
+    if (!key && req.method === "GET" && params.get("list-type") === "2") return list(res, params);
+    if (req.method === "PUT" && req.headers["x-amz-copy-source"]) {
+      const source = decodeURIComponent(req.headers["x-amz-copy-source"]).replace(`/${bucket}/`, "");
+      const o = objects.get(source);
+      if (!o) return fail(res, 404, "NoSuchKey");
+      objects.set(key, { ...o, mtime: now() });
+      res.writeHead(200, { "content-type": "application/xml" });
+      return res.end(`<CopyObjectResult><LastModified>${new Date(now()).toISOString()}</LastModified></CopyObjectResult>`);
+    }
+    if (req.method === "PUT") {
+      if (Number(req.headers["content-length"]) !== body.length) return fail(res, 400, "IncompleteBody");
+      objects.set(key, { body, type: req.headers["content-type"], mtime: now() });
+      return res.writeHead(200).end();
+    }
+    if (req.method === "DELETE") {
+      objects.delete(key);
+      return res.writeHead(204).end();
+    }
+    const o = objects.get(key);
+    if (req.method !== "GET" && req.method !== "HEAD") return fail(res, 405, "MethodNotAllowed");
+    if (!o) return req.method === "HEAD" ? res.writeHead(404).end() : fail(res, 404, "NoSuchKey");
+    const headers = {
+      "content-type": params.get("response-content-type") || o.type || "application/octet-stream",
+      "last-modified": new Date(o.mtime).toUTCString(),
+      ...(params.has("response-content-disposition") && { "content-disposition": params.get("response-content-disposition") }),
+    };
+    const range = /^bytes=(\d+)-(\d*)$/.exec(req.headers.range || "");
+    if (range) {
+      const start = Number(range[1]);
+      const end = range[2] ? Math.min(Number(range[2]), o.body.length - 1) : o.body.length - 1;
+      const part = o.body.subarray(start, end + 1);
+      res.writeHead(206, { ...headers, "content-length": part.length, "content-range": `bytes ${start}-${end}/${o.body.length}` });
+      return res.end(req.method === "HEAD" ? undefined : part);
+    }
+    res.writeHead(200, { ...headers, "content-length": o.body.length });
+    res.end(req.method === "HEAD" ? undefined : o.body);
+  };
+
+  const server = http.createServer((req, res) =>
+    handle(req, res).catch((err) => {
+      res.writeHead(500).end(String(err));
+    })
+  );
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const endpoint = `http://127.0.0.1:${server.address().port}`;
+
+  const close = () =>
+    new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(resolve);
+    });
+
+  return { endpoint, bucket, region, accessKeyId, secretAccessKey, objects, clock, close };
+};
@@ -0,0 +1,160 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { Readable } from "stream";
+import { createS3Storage } from "../lib/s3.js";
+import { createStorageFromEnv } from "../lib/storage.js";
+import { startS3 } from "./s3-stand-in.js";
+
+let s3;
+let storage;
+
+const connect = (options = {}) =>
+  createS3Storage({
+    endpoint: s3.endpoint,
+    region: s3.region,
+    bucket: s3.bucket,
+    accessKeyId: s3.accessKeyId,
+    secretAccessKey: s3.secretAccessKey,
+    forcePathStyle: true,
+    ...options,
+  });
+
+const text = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString("utf8");
+};
+
+const putText = (key, value, options = {}) => storage.put(key, Readable.from([Buffer.from(value)]), { size: Buffer.byteLength(value), ...options });
+
+before(async () => {
+  s3 = await startS3();
+  storage = connect();
+});
+after(() => s3.close());
+
+test("put, stat and read back, whole and by range", async () => {
+  await putText("room/a.txt", "hello world", { contentType: "text/plain" });
+  assert.equal(s3.objects.get("room/a.txt").type, "text/plain");
+  const s = await storage.stat("room/a.txt");
+  assert.equal(s.size, 11);
+  assert.ok(Number.isFinite(s.mtimeMs));
+  assert.equal(await text(await storage.createReadStream("room/a.txt")), "hello world");
+  assert.equal(await text(await storage.createReadStream("room/a.txt", { start: 6, end: 8 })), "wor");
+  assert.equal(await text(await storage.createReadStream("room/a.txt", { start: 6 })), "world");
+});
+
+test("put needs the size", async () => {
+  await assert.rejects(storage.put("room/x", Readable.from(["x"]), {}), /size/);
+});
+
+test("putFile uploads a local file and removes it", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "s3-test-"));
+  const file = path.join(dir, "upload.bin");
+  fs.writeFileSync(file, "from disk");
+  await storage.putFile("room/disk.bin", file);
+  assert.equal(fs.existsSync(file), false);
+  fs.rmSync(dir, { recursive: true });
+  assert.equal(await text(await storage.createReadStream("room/disk.bin")), "from disk");
+});
+
+test("keys with spaces, unicode and reserved characters", async () => {
+  const key = "room/ä b (1)+x'*!.txt";
+  await putText(key, "odd");
+  assert.equal(await text(await storage.createReadStream(key)), "odd");
+  assert.ok((await storage.list("room/")).some((o) => o.key === key));
+});
+
+test("missing objects", async () => {
+  assert.equal(await storage.stat("room/none"), null);
+  await assert.rejects(storage.createReadStream("room/none"), { code: "ENOENT" });
+  await storage.remove("room/none");
+});
+
+test("list and listPrefixes follow continuation tokens", async () => {
+  for (const name of ["1", "2", "3", "4", "5"]) await putText(`paged/${name}.txt`, name);
+  for (const room of ["p1", "p2", "p3"]) await putText(`rooms/${room}/f.txt`, room);
+  const keys = (await storage.list("paged/")).map((o) => o.key);
+  assert.deepEqual(keys, ["paged/1.txt", "paged/2.txt", "paged/3.txt", "paged/4.txt", "paged/5.txt"]);
+  assert.deepEqual((await storage.list("paged/")).map((o) => o.size), [1, 1, 1, 1, 1]);
+  assert.deepEqual(await storage.listPrefixes("rooms/"), ["p1", "p2", "p3"]);
+  assert.deepEqual(await storage.list("nothing/"), []);
+});
+
+test("copy, move and remove", async () => {
+  await putText("c/src.txt", "content");
+  await storage.copy("c/src.txt", "c/copy.txt");
+  assert.equal(await text(await storage.createReadStream("c/copy.txt")), "content");
+  await storage.move("c/copy.txt", "c/moved.txt");
+  assert.equal(await storage.stat("c/copy.txt"), null);
+  assert.equal(await text(await storage.createReadStream("c/moved.txt")), "content");
+  await assert.rejects(storage.copy("c/none.txt", "c/other.txt"), /NoSuchKey/);
+  await storage.remove("c/moved.txt");
+  assert.equal(await storage.stat("c/moved.txt"), null);
+});
+
+test("movePrefix and removePrefix", async () => {
+  for (const name of ["a", "b", "c"]) await putText(`from/${name}`, name);
+  await storage.movePrefix("from/", ".system/trash/x/");
+  assert.deepEqual(await storage.list("from/"), []);
+  assert.deepEqual((await storage.list(".system/trash/x/")).map((o) => o.key), [".system/trash/x/a", ".system/trash/x/b", ".system/trash/x/c"]);
+  await storage.removePrefix(".system/trash/x/");
+  assert.deepEqual(await storage.list(".system/trash/x/"), []);
+});
+
+test("S3_PREFIX keeps keys under a prefix in the bucket", async () => {
+  const prefixed = connect({ prefix: "app1/" });
+  await prefixed.put("room/p.txt", Readable.from([Buffer.from("p")]), { size: 1 });
+  assert.ok(s3.objects.has("app1/room/p.txt"));
+  assert.deepEqual((await prefixed.list("room/")).map((o) => o.key), ["room/p.txt"]);
+  assert.deepEqual(await prefixed.listPrefixes(""), ["room"]);
+  await prefixed.copy("room/p.txt", "room/q.txt");
+  assert.ok(s3.objects.has("app1/room/q.txt"));
+});
+
+test("requests with a wrong secret are refused", async () => {
+  const wrong = connect({ secretAccessKey: "not-the-secret" });
+  await assert.rejects(wrong.stat("room/a.txt"), { status: 403 });
+  await assert.rejects(wrong.list("room/"), /SignatureDoesNotMatch/);
+});
+
+test("presigned GET URLs", async () => {
+  await putText("room/photo.jpg", "jpeg bytes", { contentType: "application/octet-stream" });
+  const url = storage.signedUrl("room/photo.jpg", { expiresIn: 60, contentType: "image/jpeg", filename: "Sommer 2024.jpg" });
+  const res = await fetch(url);
+  assert.equal(res.status, 200);
+  assert.equal(await res.text(), "jpeg bytes");
+  assert.equal(res.headers.get("content-type"), "image/jpeg");
+  assert.equal(res.headers.get("content-disposition"), "attachment; filename*=UTF-8''Sommer%202024.jpg");
+
+  const tampered = url.replace(/X-Amz-Signature=([0-9a-f])/, (m, c) => `X-Amz-Signature=${c === "0" ? "1" : "0"}`);
+  assert.equal((await fetch(tampered)).status, 403);
+  const otherKey = url.replace("photo.jpg", "a.txt");
+  assert.equal((await fetch(otherKey)).status, 403);
+
+  s3.clock.offset = 61 * 1000;
+  try {
+    assert.equal((await fetch(url)).status, 403);
+  } finally {
+    s3.clock.offset = 0;
+  }
+});
+
+test("createStorageFromEnv configures the s3 driver", async () => {
+  assert.throws(() => createStorageFromEnv({ STORAGE_DRIVER: "s3" }, { dataDir: "/nonexistent" }), /S3_BUCKET/);
+  const fromEnv = createStorageFromEnv(
+    {
+      STORAGE_DRIVER: "s3",
+      S3_ENDPOINT: s3.endpoint,
+      S3_BUCKET: s3.bucket,
+      S3_ACCESS_KEY_ID: s3.accessKeyId,
+      S3_SECRET_ACCESS_KEY: s3.secretAccessKey,
+    },
+    { dataDir: "/nonexistent" }
+  );
+  assert.equal(fromEnv.driver, "s3");
+  assert.equal(await text(await fromEnv.createReadStream("room/a.txt")), "hello world");
+});
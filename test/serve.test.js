@@ -0,0 +1,179 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import http from "http";
+import express from "express";
+import { createLocalStorage } from "../lib/storage.js";
+import { createFileServer } from "../lib/serve.js";
+
+let dir;
+let storage;
+let files;
+let server;
+let base;
+const records = new Map();
+
+const CONTENT = "0123456789";
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "serve-test-"));
+  storage = createLocalStorage({ dir });
+  files = createFileServer({ storage, secret: "test" });
+  const add = (name, mime, originalName) => {
+    fs.mkdirSync(path.join(dir, "party"), { recursive: true });
+    fs.writeFileSync(path.join(dir, "party", name), CONTENT);
+    records.set(`party/${name}`, { mime, originalName, size: CONTENT.length, mtimeMs: Date.UTC(2024, 0, 1), sha256: `hash-of-${name}` });
+  };
+  add("photo.png", "image/png", "Grüße aus Köln.png");
+  add("page.html", "text/html", "page.html");
+  add("doc.pdf", "application/pdf", 'say "hi".pdf');
+  records.set("party/gone.png", { mime: "image/png", originalName: "gone.png", size: 5, mtimeMs: 0 });
+
+  const app = express();
+  app.get("/file/:room/:name", (req, res, next) => {
+    const target = files.resolve(req.params.room, req.params.name);
+    if (!target) return res.status(404).send("bad name");
+    files.send(req, res, target, records.get(target.key), { download: req.query.download === "1" }).catch(next);
+  });
+  server = http.createServer(app);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => {
+  server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const get = (name, headers = {}) => fetch(`${base}/file/party/${name}`, { headers });
+
+test("resolve() only takes valid room and file names", () => {
+  assert.deepEqual(files.resolve("Party", "photo.png"), { key: "party/photo.png", room: "party", name: "photo.png" });
+  for (const [room, name] of [
+    ["party", "../photo.png"],
+    ["party", ".."],
+    ["party", ".hidden"],
+    ["party", "a/b.png"],
+    ["party", "a\\b.png"],
+    ["party", "%2e%2e"],
+    ["party", ""],
+    ["party", `${"x".repeat(201)}.png`],
+    ["..", "photo.png"],
+    ["../party", "photo.png"],
+    [".system", "tokens.json"],
+    ["", "photo.png"],
+    [undefined, undefined],
+  ]) {
+    assert.equal(files.resolve(room, name), null, `${room} ${name}`);
+  }
+});
+
+test("names with dots and slashes in the URL don't reach the disk", async () => {
+  fs.writeFileSync(path.join(dir, "secret.txt"), "secret");
+  for (const url of ["/file/party/..%2Fsecret.txt", "/file/party/%2e%2e", "/file/..%2Fparty/photo.png", "/file/party/photo.png%2F..%2F..%2Fsecret.txt"]) {
+    const res = await fetch(`${base}${url}`);
+    assert.equal(res.status, 404, url);
+    assert.notEqual(await res.text(), "secret");
+  }
+});
+
+test("images are shown inline, sandboxed and never sniffed", async () => {
+  const res = await get("photo.png");
+  assert.equal(res.status, 200);
+  assert.equal(await res.text(), CONTENT);
+  assert.equal(res.headers.get("content-type"), "image/png");
+  assert.equal(res.headers.get("content-disposition"), `inline; filename="Gr__e aus K_ln.png"; filename*=UTF-8''Gr%C3%BC%C3%9Fe%20aus%20K%C3%B6ln.png`);
+  assert.equal(res.headers.get("x-content-type-options"), "nosniff");
+  assert.match(res.headers.get("content-security-policy"), /^default-src 'none';.*; sandbox$/);
+  assert.equal(res.headers.get("cross-origin-resource-policy"), "same-origin");
+  assert.equal(res.headers.get("accept-ranges"), "bytes");
+});
+
+test("types a browser could run are sent as attachments", async () => {
+  let res = await get("page.html");
+  assert.equal(res.headers.get("content-disposition"), `attachment; filename="page.html"; filename*=UTF-8''page.html`);
+  assert.match(res.headers.get("content-security-policy"), /sandbox/);
+  res = await get("doc.pdf");
+  assert.equal(res.headers.get("content-disposition"), `attachment; filename="say _hi_.pdf"; filename*=UTF-8''say%20%22hi%22.pdf`);
+  res = await fetch(`${base}/file/party/photo.png?download=1`);
+  assert.match(res.headers.get("content-disposition"), /^attachment;/);
+});
+
+test("single byte ranges", async () => {
+  for (const [range, status, body, contentRange] of [
+    ["bytes=2-5", 206, "2345", "bytes 2-5/10"],
+    ["bytes=7-", 206, "789", "bytes 7-9/10"],
+    ["bytes=-3", 206, "789", "bytes 7-9/10"],
+    ["bytes=8-100", 206, "89", "bytes 8-9/10"],
+    ["bytes=-100", 206, CONTENT, "bytes 0-9/10"],
+    ["bytes=0-0", 206, "0", "bytes 0-0/10"],
+    // malformed, several ranges or none at all: the whole file
+    ["bytes=a-b", 200, CONTENT, null],
+    ["bytes=0-1,4-5", 200, CONTENT, null],
+    ["bytes=-", 200, CONTENT, null],
+    ["items=0-1", 200, CONTENT, null],
+  ]) {
+    const res = await get("photo.png", { Range: range });
+    assert.equal(res.status, status, range);
+    assert.equal(await res.text(), body, range);
+    assert.equal(res.headers.get("content-range"), contentRange, range);
+    assert.equal(res.headers.get("content-length"), String(body.length), range);
+  }
+});
+
+test("ranges past the end are unsatisfiable", async () => {
+  for (const range of ["bytes=10-", "bytes=50-60", "bytes=6-2"]) {
+    const res = await get("photo.png", { Range: range });
+    assert.equal(res.status, 416, range);
+    assert.equal(res.headers.get("content-range"), "bytes */10");
+  }
+});
+
+test("If-Range and conditional requests", async () => {
+  const etag = (await get("photo.png")).headers.get("etag");
+  assert.equal(etag, '"hash-of-photo.png"');
+  let res = await get("photo.png", { Range: "bytes=0-1", "If-Range": etag });
+  assert.equal(res.status, 206);
+  res = await get("photo.png", { Range: "bytes=0-1", "If-Range": '"another version"' });
+  assert.equal(res.status, 200);
+  assert.equal(await res.text(), CONTENT);
+  // (fetch would add Cache-Control: no-cache to a conditional request)
+  const status = await new Promise((resolve, reject) =>
+    http.get(`${base}/file/party/photo.png`, { headers: { "If-None-Match": etag } }, (r) => resolve(r.resume().statusCode)).on("error", reject)
+  );
+  assert.equal(status, 304);
+});
+
+test("a record whose content is gone answers 404 without the file headers", async () => {
+  const res = await get("gone.png");
+  assert.equal(res.status, 404);
+  assert.equal(res.headers.get("content-disposition"), null);
+  assert.doesNotMatch(res.headers.get("content-type"), /image\/png/);
+  assert.equal(res.headers.get("last-modified"), null);
+});
+
+test("signed URLs expire and can't be altered or moved to another file", () => {
+  const query = (url) => ({ query: Object.fromEntries(new URL(url, base).searchParams) });
+  assert.equal(files.verify(query("/file/party/photo.png"), "party", "photo.png"), true, "signing off");
+
+  const signed = createFileServer({ storage, secret: "test", signing: true, ttlSeconds: 600 });
+  const url = signed.url("party", "photo.png", { download: 1 });
+  assert.match(url, /^\/file\/party\/photo\.png\?download=1&exp=\d+&sig=[\w-]+$/);
+  const req = query(url);
+  assert.equal(signed.verify(req, "party", "photo.png"), true);
+  assert.equal(signed.verify(req, "party", "doc.pdf"), false);
+  assert.equal(signed.verify(req, "other", "photo.png"), false);
+  assert.equal(signed.verify({ query: { ...req.query, exp: String(Number(req.query.exp) + 3600) } }, "party", "photo.png"), false);
+  assert.equal(signed.verify({ query: { ...req.query, sig: req.query.sig.replace(/^./, (c) => (c === "A" ? "B" : "A")) } }, "party", "photo.png"), false);
+  assert.equal(signed.verify({ query: { exp: req.query.exp } }, "party", "photo.png"), false);
+  assert.equal(signed.verify({ query: {} }, "party", "photo.png"), false);
+  // another secret's signature
+  const foreign = createFileServer({ storage, secret: "other", signing: true });
+  assert.equal(signed.verify(query(foreign.url("party", "photo.png")), "party", "photo.png"), false);
+  // signed correctly, but already expired
+  const expired = createFileServer({ storage, secret: "test", signing: true, ttlSeconds: -60 });
+  assert.equal(signed.verify(query(expired.url("party", "photo.png")), "party", "photo.png"), false);
+  // thumbnails share the file's grant
+  assert.equal(signed.verify(query(signed.url("party", "photo.png", { route: "thumb", size: "preview" })), "party", "photo.png"), true);
+});
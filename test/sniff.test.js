@@ -0,0 +1,64 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { sniffBuffer, sniffFile } from "../lib/sniff.js";
+
+const bytes = (...parts) => Buffer.concat(parts.map((p) => (typeof p === "string" ? Buffer.from(p, "latin1") : Buffer.from(p))));
+
+test("media and archives are told apart by their magic bytes", () => {
+  const tar = Buffer.alloc(512);
+  tar.write("ustar", 257, "latin1");
+  const cases = [
+    [bytes([0xff, 0xd8, 0xff, 0xe0]), "image/jpeg", "jpg"],
+    [bytes([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), "image/png", "png"],
+    [bytes("GIF89a"), "image/gif", "gif"],
+    [bytes("RIFF\0\0\0\0WEBPVP8 "), "image/webp", "webp"],
+    [bytes("RIFF\0\0\0\0WAVEfmt "), "audio/wav", "wav"],
+    [bytes("\0\0\0\x18ftypheic"), "image/heic", "heic"],
+    [bytes("\0\0\0\x18ftypavif"), "image/avif", "avif"],
+    [bytes("\0\0\0\x18ftypqt  "), "video/quicktime", "mov"],
+    [bytes("\0\0\0\x18ftypM4A "), "audio/mp4", "m4a"],
+    [bytes("\0\0\0\x18ftypisom"), "video/mp4", "mp4"],
+    [bytes([0x1a, 0x45, 0xdf, 0xa3], "\0\0\0\0webm"), "video/webm", "webm"],
+    [bytes("OggS"), "audio/ogg", "ogg"],
+    [bytes("ID3\x04"), "audio/mpeg", "mp3"],
+    [bytes("%PDF-1.7"), "application/pdf", "pdf"],
+    [bytes([0x50, 0x4b, 0x03, 0x04]), "application/zip", "zip"],
+    [bytes([0x1f, 0x8b, 0x08]), "application/gzip", "gz"],
+    [tar, "application/x-tar", "tar"],
+  ];
+  for (const [buf, mime, ext] of cases) assert.deepEqual(sniffBuffer(buf), { mime, ext }, mime);
+});
+
+test("HTML, SVG and XML are recognised however they start", () => {
+  const html = { mime: "text/html", ext: "html" };
+  const svg = { mime: "image/svg+xml", ext: "svg" };
+  assert.deepEqual(sniffBuffer(bytes("<!DOCTYPE html><p>hi")), html);
+  assert.deepEqual(sniffBuffer(bytes("\n\t  <HTML><body>")), html);
+  assert.deepEqual(sniffBuffer(bytes("\xEF\xBB\xBF<script>alert(1)</script>")), html);
+  assert.deepEqual(sniffBuffer(bytes("<iframe src=//evil>")), html);
+  assert.deepEqual(sniffBuffer(bytes("<!-- x --><img src=x onerror=alert(1)>")), html);
+  assert.deepEqual(sniffBuffer(bytes('<svg xmlns="http://www.w3.org/2000/svg" onload="alert(1)"/>')), svg);
+  assert.deepEqual(sniffBuffer(bytes('  <?xml version="1.0"?>\n<!DOCTYPE svg>\n<svg>')), svg);
+  assert.deepEqual(sniffBuffer(bytes('<?xml version="1.0"?><feed/>')), { mime: "application/xml", ext: "xml" });
+});
+
+test("other content is text or binary", () => {
+  assert.deepEqual(sniffBuffer(bytes("just some notes\n")), { mime: "text/plain", ext: "txt" });
+  assert.deepEqual(sniffBuffer(Buffer.from("grüße ✓")), { mime: "text/plain", ext: "txt" });
+  // A multi-byte character cut off at the end of the sample is still text
+  assert.deepEqual(sniffBuffer(Buffer.from("grüße ✓").subarray(0, -1)), { mime: "text/plain", ext: "txt" });
+  assert.deepEqual(sniffBuffer(bytes("a\0b")), { mime: "application/octet-stream", ext: "bin" });
+  assert.deepEqual(sniffBuffer(bytes([0xc3, 0x28, 0x41])), { mime: "application/octet-stream", ext: "bin" });
+  assert.deepEqual(sniffBuffer(Buffer.alloc(0)), { mime: "application/octet-stream", ext: "bin" });
+});
+
+test("sniffFile() reads the start of a file, whatever its name", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "sniff-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "holiday.jpg");
+  fs.writeFileSync(file, `<html><body>${"x".repeat(10000)}</body></html>`);
+  assert.deepEqual(sniffFile(file), { mime: "text/html", ext: "html" });
+});
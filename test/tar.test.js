@@ -0,0 +1,102 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import zlib from "zlib";
+import { Readable } from "stream";
+import { tarEntries } from "../lib/tar.js";
+import { tarArchive, tarHeader } from "./archives.js";
+
+// Archive bytes, split into small chunks so reads cross chunk boundaries
+const source = (buf, chunk = 700) => Readable.from(Array.from({ length: Math.ceil(buf.length / chunk) }, (_, i) => buf.subarray(i * chunk, (i + 1) * chunk)));
+
+const readTar = async (stream) => {
+  const out = [];
+  for await (const e of tarEntries(stream)) {
+    const chunks = [];
+    for await (const chunk of e.open()) chunks.push(chunk);
+    out.push({ name: e.name, type: e.type, size: e.size, data: Buffer.concat(chunks).toString() });
+  }
+  return out;
+};
+
+test("ustar entries, plain and gzipped", async () => {
+  const tar = tarArchive([
+    { name: "photos/", type: "5" },
+    { name: "photos/a.jpg", data: "jpeg" },
+    { name: "empty.txt", data: "" },
+    { name: "b.txt", prefix: "some/deep/folder", data: "with a ustar prefix" },
+    { name: "link", type: "2" },
+    { name: "hard", type: "1" },
+    { name: "fifo", type: "6" },
+  ]);
+  const expected = [
+    { name: "photos/", type: "dir", size: 0, data: "" },
+    { name: "photos/a.jpg", type: "file", size: 4, data: "jpeg" },
+    { name: "empty.txt", type: "file", size: 0, data: "" },
+    { name: "some/deep/folder/b.txt", type: "file", size: 19, data: "with a ustar prefix" },
+    { name: "link", type: "symlink", size: 0, data: "" },
+    { name: "hard", type: "link", size: 0, data: "" },
+    { name: "fifo", type: "other", size: 0, data: "" },
+  ];
+  assert.deepEqual(await readTar(source(tar)), expected);
+  assert.deepEqual(await readTar(source(zlib.gzipSync(tar))), expected);
+});
+
+test("content left unread is skipped", async () => {
+  const tar = tarArchive([
+    { name: "a.bin", data: Buffer.alloc(3000, "a") },
+    { name: "b.txt", data: "bee" },
+  ]);
+  const names = [];
+  for await (const e of tarEntries(source(tar))) {
+    names.push(e.name);
+    if (e.name === "b.txt") for await (const chunk of e.open()) assert.equal(chunk.toString(), "bee");
+  }
+  assert.deepEqual(names, ["a.bin", "b.txt"]);
+});
+
+test("GNU base-256 sizes", async () => {
+  const data = Buffer.alloc(1500, "z");
+  const tar = tarArchive([{ name: "big.bin", data, base256: true }, { name: "after.txt", data: "next" }]);
+  assert.equal(tar[124], 0x80);
+  assert.deepEqual(await readTar(source(tar)), [
+    { name: "big.bin", type: "file", size: 1500, data: data.toString() },
+    { name: "after.txt", type: "file", size: 4, data: "next" },
+  ]);
+});
+
+test("pax and GNU long names", async () => {
+  const long = `${"verzeichnis/".repeat(12)}Grüße aus dem Urlaub.jpg`;
+  const tar = tarArchive([
+    { name: "truncated-name", pax: long, data: "pax" },
+    { name: "././@LongLink-target", longName: `${long}.gnu`, data: "gnu" },
+    { name: "plain.txt", data: "plain" },
+  ]);
+  assert.deepEqual(
+    (await readTar(source(tar))).map((e) => [e.name, e.data]),
+    [
+      [long, "pax"],
+      [`${long}.gnu`, "gnu"],
+      ["plain.txt", "plain"],
+    ]
+  );
+});
+
+test("damaged archives", async () => {
+  const tar = tarArchive([{ name: "a.txt", data: Buffer.alloc(2000, "a") }]);
+  await assert.rejects(readTar(source(tar.subarray(0, 1024))), { code: "EBADARCHIVE", message: /unexpected end/ });
+  await assert.rejects(readTar(source(tar.subarray(0, 512 + 2048))), { code: "EBADARCHIVE", message: /unexpected end/ });
+
+  const badSum = Buffer.from(tar);
+  badSum[0] = "b".charCodeAt(0);
+  await assert.rejects(readTar(source(badSum)), { code: "EBADARCHIVE", message: /checksum/ });
+
+  const hugePax = Buffer.concat([tarHeader({ name: "PaxHeader", size: 2 * 1024 * 1024, type: "x" }), Buffer.alloc(1024)]);
+  await assert.rejects(readTar(source(hugePax)), { code: "EBADARCHIVE", message: /oversized/ });
+
+  const gz = zlib.gzipSync(tar);
+  await assert.rejects(readTar(source(gz.subarray(0, gz.length >> 1))), { code: "Z_BUF_ERROR" });
+});
+
+test("an empty input has no entries", async () => {
+  assert.deepEqual(await readTar(Readable.from([])), []);
+});
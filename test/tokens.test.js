@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createTokens } from "../lib/tokens.js";
+
+// An in-memory store that counts its writes
+const memoryStore = () => {
+  const data = { tokens: [] };
+  const store = {
+    data,
+    writes: 0,
+    update: (fn) => {
+      store.writes++;
+      return fn(data);
+    },
+  };
+  return store;
+};
+
+test("create, verify and revoke", () => {
+  const store = memoryStore();
+  const tokens = createTokens({ store });
+  const { token, record } = tokens.create("  ci  ", "admin");
+  assert.match(token, /^rk_/);
+  assert.equal(record.name, "ci");
+  assert.equal(JSON.stringify(store.data).includes(token), false);
+  assert.equal(tokens.verify(token).id, record.id);
+  assert.equal(tokens.verify(token).hash, undefined);
+  assert.equal(tokens.verify(`${token}x`), null);
+  assert.equal(tokens.verify(""), null);
+  assert.equal(tokens.revoke(record.id), true);
+  assert.equal(tokens.verify(token), null);
+  assert.equal(tokens.revoke(record.id), false);
+});
+
+test("lastUsedAt is written at most once a minute", () => {
+  const store = memoryStore();
+  const tokens = createTokens({ store });
+  const { token } = tokens.create("ci", "admin");
+  const created = store.writes;
+  const ago = (s) => {
+    store.data.tokens[0].lastUsedAt = new Date(Date.now() - s * 1000).toISOString();
+  };
+
+  assert.ok(tokens.verify(token).lastUsedAt);
+  for (let i = 0; i < 50; i++) tokens.verify(token);
+  assert.equal(store.writes, created + 1);
+
+  ago(50);
+  const earlier = store.data.tokens[0].lastUsedAt;
+  assert.equal(tokens.verify(token).lastUsedAt, earlier);
+  assert.equal(store.writes, created + 1);
+
+  ago(61);
+  assert.ok(tokens.verify(token).lastUsedAt > earlier);
+  assert.equal(store.writes, created + 2);
+});
@@ -0,0 +1,96 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import http from "http";
+import express from "express";
+import { createTus } from "../lib/tus.js";
+
+let dir;
+let server;
+let base;
+let tus;
+const ingested = [];
+const errors = [];
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "tus-test-"));
+  // Takes every upload in; the file's content is kept for the checks
+  const uploads = {
+    preflight: () => ({ limit: Infinity }),
+    ingest: async (room, { tmpPath, originalName }) => {
+      ingested.push({ room, originalName, data: fs.readFileSync(tmpPath, "utf8") });
+      fs.rmSync(tmpPath);
+      return { filename: `stored-${ingested.length}.txt`, duplicate: false };
+    },
+  };
+  tus = createTus({ uploads, partialsDir: path.join(dir, "partials"), expireMs: 60 * 1000 });
+  const app = express();
+  app.use("/tus/:room", tus);
+  app.use((err, req, res, next) => {
+    errors.push(err);
+    res.status(500).send("failed");
+  });
+  server = http.createServer(app);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => {
+  tus.close();
+  server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const TUS = { "Tus-Resumable": "1.0.0" };
+
+const create = async (length, filename) => {
+  const res = await fetch(`${base}/tus/party`, {
+    method: "POST",
+    headers: { ...TUS, "Upload-Length": String(length), "Upload-Metadata": `filename ${Buffer.from(filename).toString("base64")}` },
+  });
+  assert.equal(res.status, 201);
+  return `${base}${res.headers.get("location")}`;
+};
+
+const patch = (url, offset, body) =>
+  fetch(url, { method: "PATCH", headers: { ...TUS, "Upload-Offset": String(offset), "Content-Type": "application/offset+octet-stream" }, body });
+
+test("an upload sent in two chunks is ingested once it is complete", async () => {
+  const url = await create(11, "hello.txt");
+  let res = await patch(url, 0, "hello");
+  assert.equal(res.status, 204);
+  assert.equal(res.headers.get("upload-offset"), "5");
+  assert.deepEqual(ingested, []);
+  res = await fetch(url, { method: "HEAD", headers: TUS });
+  assert.equal(res.headers.get("upload-offset"), "5");
+  res = await patch(url, 5, " world");
+  assert.equal(res.status, 204);
+  assert.equal(res.headers.get("x-stored-name"), "stored-1.txt");
+  assert.deepEqual(ingested.splice(0), [{ room: "party", originalName: "hello.txt", data: "hello world" }]);
+  assert.equal((await fetch(url, { method: "HEAD", headers: TUS })).status, 404);
+});
+
+test("a chunk at the wrong offset is refused", async () => {
+  const url = await create(4, "a.txt");
+  assert.equal((await patch(url, 2, "ab")).status, 409);
+  assert.equal((await fetch(url, { method: "HEAD", headers: TUS })).headers.get("upload-offset"), "0");
+});
+
+test("a failed write answers once, with the error, and ingests nothing", async () => {
+  const url = await create(1000 * 1000, "broken.bin");
+  // The partial file can't be opened for writing any more
+  const data = path.join(dir, "partials", `${url.split("/").pop()}.bin`);
+  fs.rmSync(data);
+  fs.mkdirSync(data);
+  const offset = (await fetch(url, { method: "HEAD", headers: TUS })).headers.get("upload-offset");
+  const res = await patch(url, offset, Buffer.alloc(64 * 1024));
+  assert.equal(res.status, 500);
+  assert.equal(await res.text(), "failed");
+  await new Promise((r) => setTimeout(r, 100));
+  assert.deepEqual(
+    errors.map((e) => e.code),
+    ["EISDIR"]
+  );
+  assert.deepEqual(ingested, []);
+});
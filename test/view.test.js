@@ -0,0 +1,51 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { html, raw, join, js, escapeHtml } from "../lib/view.js";
+
+const EVIL = `"><script>alert('x')</script>&amp;`;
+const ESCAPED = "&quot;&gt;&lt;script&gt;alert(&#39;x&#39;)&lt;/script&gt;&amp;amp;";
+
+test("escapeHtml() escapes the five special characters", () => {
+  assert.equal(escapeHtml(EVIL), ESCAPED);
+  assert.equal(escapeHtml("plain text, ü ✓"), "plain text, ü ✓");
+  assert.equal(escapeHtml(null), "");
+  assert.equal(escapeHtml(undefined), "");
+  assert.equal(escapeHtml(42), "42");
+});
+
+test("values are escaped in text and in attributes", () => {
+  assert.equal(String(html`<p>${EVIL}</p>`), `<p>${ESCAPED}</p>`);
+  assert.equal(String(html`<a title="${EVIL}">x</a>`), `<a title="${ESCAPED}">x</a>`);
+  assert.equal(String(html`<a title='${EVIL}'>x</a>`), `<a title='${ESCAPED}'>x</a>`);
+  // Objects are escaped through their string form
+  assert.equal(String(html`${{ toString: () => "<b>" }}`), "&lt;b&gt;");
+});
+
+test("nested templates and raw() pass through without being escaped twice", () => {
+  const name = "Tom & Jerry <3";
+  const inner = html`<b title="${name}">${name}</b>`;
+  assert.equal(String(html`<p>${inner}</p>`), `<p><b title="Tom &amp; Jerry &lt;3">Tom &amp; Jerry &lt;3</b></p>`);
+  assert.equal(String(html`<div>${html`<p>${inner}</p>`}</div>`), `<div><p>${inner}</p></div>`);
+  assert.equal(String(html`${raw("<hr>")}${raw(raw("<br>"))}`), "<hr><br>");
+  // A plain string that happens to hold markup is still escaped
+  assert.equal(String(html`${String(inner)}`), escapeHtml(String(inner)));
+});
+
+test("arrays, conditionals and join()", () => {
+  const items = ["a<b", "c&d"];
+  assert.equal(String(html`<ul>${items.map((i) => html`<li>${i}</li>`)}</ul>`), "<ul><li>a&lt;b</li><li>c&amp;d</li></ul>");
+  assert.equal(String(html`${["<", html`<i>`, [">"]]}`), "&lt;<i>&gt;");
+  assert.equal(String(html`[${null}${undefined}${false}]`), "[]");
+  assert.equal(String(html`${0}${""}${true}`), "0true");
+  assert.equal(String(join(["<a>", html`<b>`], raw("<hr>"))), "&lt;a&gt;<hr><b>");
+  assert.equal(String(join(["x", "y"], " & ")), "x &amp; y");
+});
+
+test("js() makes literals that can't break out of a script or attribute", () => {
+  assert.equal(js("</script><script>alert(1)</script>"), '"\\u003c/script\\u003e\\u003cscript\\u003ealert(1)\\u003c/script\\u003e"');
+  assert.equal(js("a & b\u2028"), '"a \\u0026 b\\u2028"');
+  assert.equal(js(undefined), "null");
+  assert.deepEqual(JSON.parse(js({ q: "<x> & 'y'" })), { q: "<x> & 'y'" });
+  // In an event handler attribute the literal is HTML-escaped like any value
+  assert.equal(String(html`<button onclick="go(${js(`"); alert("x`)})">`), `<button onclick="go(&quot;\\&quot;); alert(\\&quot;x&quot;)">`);
+});
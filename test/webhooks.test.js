@@ -0,0 +1,98 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import http from "http";
+import { createCore } from "../lib/core.js";
+import { openJsonStore } from "../lib/store.js";
+import { createModeration } from "../lib/moderation.js";
+import { createWebhooks, signPayload } from "../lib/webhooks.js";
+
+let dir;
+let core;
+let moderation;
+let webhooks;
+let server;
+let received = [];
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "webhooks-test-"));
+  core = await createCore({ dataDir: path.join(dir, "data"), env: {} });
+  moderation = createModeration({ library: core.library, trash: core.trash });
+  webhooks = createWebhooks({
+    library: core.library,
+    store: openJsonStore(path.join(dir, "webhooks.json"), { hooks: [], deliveries: [] }),
+    fileUrl: (room, name) => `https://rooms.example/files/${room}/${name}`,
+  });
+  server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      received.push({ headers: req.headers, body });
+      res.end("ok");
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+});
+after(() => {
+  server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Deliveries are sent in the background
+const settle = async () => {
+  for (let i = 0; i < 100 && webhooks.recent().some((d) => d.status === "pending"); i++) await new Promise((r) => setTimeout(r, 20));
+  const out = received.map(({ headers, body }) => ({ headers, payload: JSON.parse(body) }));
+  received = [];
+  return out;
+};
+
+const addFile = (room, name, status) => core.library.addFile(room, name, { originalName: name, mime: "image/png", size: 1, status });
+
+test("file.added is sent when a file is published, not while it waits for review", async () => {
+  core.library.createRoom("party", { title: "Party" });
+  const hook = webhooks.create({ url: `http://127.0.0.1:${server.address().port}/hook`, room: "party", createdBy: "admin" });
+
+  addFile("party", "open.png", "approved");
+  addFile("party", "held.png", "pending");
+  let sent = await settle();
+  assert.deepEqual(
+    sent.map((s) => [s.payload.event, s.payload.file.name, s.payload.file.status]),
+    [["file.added", "open.png", "approved"]]
+  );
+  const [{ headers, payload }] = sent;
+  assert.equal(payload.url, "https://rooms.example/files/party/open.png");
+  assert.equal(payload.room.title, "Party");
+  const t = headers["x-rooms-signature"].match(/^t=(\d+),/)[1];
+  assert.equal(headers["x-rooms-signature"], signPayload(hook.secret, JSON.stringify(payload), Number(t)));
+
+  moderation.approve("party", "held.png");
+  sent = await settle();
+  assert.deepEqual(
+    sent.map((s) => [s.payload.event, s.payload.file.name, s.payload.file.status]),
+    [["file.added", "held.png", "approved"]]
+  );
+
+  // Dismissing reports on a published file is no new publication
+  moderation.report("party", "open.png", { reason: "spam", ip: "192.0.2.1" });
+  moderation.approve("party", "open.png");
+  assert.deepEqual(await settle(), []);
+});
+
+test("hooks for one room ignore the others", async () => {
+  core.library.createRoom("other", { title: "Other" });
+  addFile("other", "x.png", "approved");
+  assert.deepEqual(await settle(), []);
+});
+
+test("close() stops sending; pending deliveries stay queued", async () => {
+  webhooks.close();
+  addFile("party", "late.png", "approved");
+  await new Promise((r) => setTimeout(r, 100));
+  assert.deepEqual(received, []);
+  assert.deepEqual(
+    webhooks.recent(1).map((d) => [d.status, d.payload.file.name]),
+    [["pending", "late.png"]]
+  );
+});
@@ -0,0 +1,218 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
+import { zipStream, zipEntries, crc32 } from "../lib/zip.js";
+import { zipArchive } from "./archives.js";
+
+let dir;
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "zip-test-"));
+});
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const content = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+const entry = (name, data, mtime = new Date(2024, 5, 1, 12, 30, 10)) => ({
+  name,
+  size: Buffer.byteLength(data),
+  mtime,
+  open: async () => Readable.from(data.length ? [Buffer.from(data)] : []),
+});
+
+const writeZip = async (name, entries) => {
+  const file = path.join(dir, name);
+  await pipeline(zipStream(entries), fs.createWriteStream(file));
+  return file;
+};
+
+const readZip = async (file) => {
+  const out = [];
+  for await (const e of zipEntries(file)) {
+    out.push({ name: e.name, type: e.type, size: e.size, reason: e.reason, data: e.type === "file" ? await content(e.open()) : null });
+  }
+  return out;
+};
+
+test("zipStream -> zipEntries round trip", async () => {
+  const big = Buffer.alloc(200 * 1024, "xyz");
+  const file = await writeZip("round.zip", [
+    entry("folder/", ""),
+    entry("folder/hello.txt", "hello"),
+    entry("empty.txt", ""),
+    entry("Fotos/Sommer – Grüße 😀.jpg", "jpeg"),
+    { name: "big.bin", size: big.length, open: async () => Readable.from([big.subarray(0, 1000), big.subarray(1000)]) },
+  ]);
+  assert.deepEqual(await readZip(file), [
+    { name: "folder/", type: "dir", size: 0, reason: undefined, data: null },
+    { name: "folder/hello.txt", type: "file", size: 5, reason: undefined, data: Buffer.from("hello") },
+    { name: "empty.txt", type: "file", size: 0, reason: undefined, data: Buffer.alloc(0) },
+    { name: "Fotos/Sommer – Grüße 😀.jpg", type: "file", size: 4, reason: undefined, data: Buffer.from("jpeg") },
+    { name: "big.bin", type: "file", size: big.length, reason: undefined, data: big },
+  ]);
+});
+
+test("each entry is opened once the one before it is read", async () => {
+  const log = [];
+  const logged = (name) => ({
+    name,
+    size: 1,
+    open: async () => {
+      log.push(`open ${name}`);
+      return Readable.from(
+        (async function* () {
+          yield Buffer.from(name);
+          log.push(`read ${name}`);
+        })()
+      );
+    },
+  });
+  await writeZip("lazy.zip", [logged("a"), logged("b")]);
+  assert.deepEqual(log, ["open a", "read a", "open b", "read b"]);
+});
+
+test("CRCs and sizes go into data descriptors", async () => {
+  const file = await writeZip("descriptors.zip", [entry("a.txt", "first"), entry("b.txt", "second one")]);
+  const zip = fs.readFileSync(file);
+  let at = 0;
+  for (const data of ["first", "second one"]) {
+    assert.equal(zip.readUInt32LE(at), 0x04034b50);
+    assert.equal(zip.readUInt16LE(at + 6) & 0x0008, 0x0008);
+    // the local header leaves CRC and sizes to the descriptor
+    assert.deepEqual([zip.readUInt32LE(at + 14), zip.readUInt32LE(at + 18), zip.readUInt32LE(at + 22)], [0, 0, 0]);
+    const start = at + 30 + zip.readUInt16LE(at + 26) + zip.readUInt16LE(at + 28);
+    assert.equal(zip.subarray(start, start + data.length).toString(), data);
+    const d = start + data.length;
+    assert.equal(zip.readUInt32LE(d), 0x08074b50);
+    assert.equal(zip.readUInt32LE(d + 4), crc32(Buffer.from(data)));
+    assert.deepEqual([zip.readUInt32LE(d + 8), zip.readUInt32LE(d + 12)], [data.length, data.length]);
+    at = d + 16;
+  }
+  assert.equal(zip.readUInt32LE(at), 0x02014b50); // central directory follows
+});
+
+test("entries of 4 GB or more get ZIP64 local headers and descriptors", async () => {
+  const data = "declared as huge";
+  const file = await writeZip("zip64-entry.zip", [{ name: "huge.bin", size: 2 ** 32, open: async () => Readable.from([Buffer.from(data)]) }]);
+  const zip = fs.readFileSync(file);
+  assert.equal(zip.readUInt16LE(4), 45);
+  assert.deepEqual([zip.readUInt32LE(18), zip.readUInt32LE(22)], [0xffffffff, 0xffffffff]);
+  assert.equal(zip.readUInt16LE(30 + 8), 0x0001); // ZIP64 extra field after the name
+  const d = 30 + 8 + 20 + data.length;
+  assert.equal(zip.readUInt32LE(d), 0x08074b50);
+  assert.deepEqual([zip.readBigUInt64LE(d + 8), zip.readBigUInt64LE(d + 16)], [BigInt(data.length), BigInt(data.length)]);
+  assert.deepEqual(await readZip(file), [{ name: "huge.bin", type: "file", size: data.length, reason: undefined, data: Buffer.from(data) }]);
+});
+
+test("65535 entries or more end with the ZIP64 end of central directory", async () => {
+  const count = 0xffff + 2;
+  const entries = function* () {
+    for (let i = 0; i < count; i++) yield entry(`f${i}`, i % 1000 ? "" : String(i));
+  };
+  const file = await writeZip("many.zip", entries());
+  const zip = fs.readFileSync(file);
+  assert.equal(zip.readUInt16LE(zip.length - 22 + 10), 0xffff);
+  assert.equal(zip.readUInt32LE(zip.length - 22 - 20), 0x07064b50);
+  let n = 0;
+  let last;
+  for await (const e of zipEntries(file)) {
+    n++;
+    last = e;
+  }
+  assert.equal(n, count);
+  assert.equal(last.name, `f${count - 1}`);
+});
+
+test("ZIP64 sizes and offsets in the central directory are read", async () => {
+  const file = path.join(dir, "crafted64.zip");
+  fs.writeFileSync(file, zipArchive([{ name: "a.txt", data: "alpha" }, { name: "b.txt", data: "bravo bravo", deflate: true }], { zip64: true }));
+  const entries = await readZip(file);
+  assert.deepEqual(
+    entries.map((e) => [e.name, e.size, e.data.toString()]),
+    [
+      ["a.txt", 5, "alpha"],
+      ["b.txt", 11, "bravo bravo"],
+    ]
+  );
+});
+
+test("deflated, encrypted, symlink and directory entries", async () => {
+  const file = path.join(dir, "kinds.zip");
+  fs.writeFileSync(
+    file,
+    zipArchive([
+      { name: "text.txt", data: Buffer.alloc(5000, "abc"), deflate: true },
+      { name: "secret.txt", data: "x", encrypted: true },
+      { name: "link", data: "../../etc/passwd", mode: 0o120777 },
+      { name: "dir/", mode: 0o040755 },
+    ])
+  );
+  const entries = await readZip(file);
+  assert.deepEqual(entries[0].data, Buffer.alloc(5000, "abc"));
+  assert.deepEqual(
+    entries.map((e) => [e.name, e.type, e.reason]),
+    [
+      ["text.txt", "file", undefined],
+      ["secret.txt", "other", "encrypted"],
+      ["link", "symlink", undefined],
+      ["dir/", "dir", undefined],
+    ]
+  );
+});
+
+test("damaged ZIP files", async () => {
+  const good = zipArchive([{ name: "a.txt", data: "alpha" }]);
+  const noEnd = path.join(dir, "no-end.zip");
+  fs.writeFileSync(noEnd, good.subarray(0, good.length - 30));
+  await assert.rejects(readZip(noEnd), { code: "EBADARCHIVE", message: /no end of central directory/ });
+
+  const badCd = Buffer.from(good);
+  badCd.writeUInt32LE(0, badCd.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02])));
+  const badCdFile = path.join(dir, "bad-cd.zip");
+  fs.writeFileSync(badCdFile, badCd);
+  await assert.rejects(readZip(badCdFile), { code: "EBADARCHIVE", message: /bad central directory/ });
+
+  const noLocator = zipArchive([{ name: "a.txt", data: "alpha" }], { zip64: true });
+  noLocator.writeUInt32LE(0, noLocator.length - 22 - 20);
+  const noLocatorFile = path.join(dir, "no-locator.zip");
+  fs.writeFileSync(noLocatorFile, noLocator);
+  await assert.rejects(readZip(noLocatorFile), { code: "EBADARCHIVE", message: /no ZIP64 locator/ });
+});
+
+test("crc32 matches the standard check value", () => {
+  // "123456789" is the usual check value
+  assert.equal(crc32(Buffer.from("123456789")), 0xcbf43926);
+  assert.equal(crc32(Buffer.from("56789"), crc32(Buffer.from("1234"))), 0xcbf43926);
+  assert.equal(crc32(Buffer.alloc(0)), 0);
+});
+
+test("central directory sizes beyond the file are refused before reading", async () => {
+  const good = zipArchive([{ name: "a.txt", data: "alpha" }]);
+  const huge = Buffer.from(good);
+  huge.writeUInt32LE(0xfffffff0, huge.length - 22 + 12);
+  const hugeFile = path.join(dir, "huge-cd.zip");
+  fs.writeFileSync(hugeFile, huge);
+  await assert.rejects(readZip(hugeFile), { code: "EBADARCHIVE", message: /central directory past the end/ });
+
+  const huge64 = zipArchive([{ name: "a.txt", data: "alpha" }], { zip64: true });
+  huge64.writeBigUInt64LE(2n ** 40n, huge64.length - 22 - 20 - 56 + 40);
+  const huge64File = path.join(dir, "huge-cd64.zip");
+  fs.writeFileSync(huge64File, huge64);
+  await assert.rejects(readZip(huge64File), { code: "EBADARCHIVE", message: /central directory past the end/ });
+});
+
+test("a read error reaches the reader of a deflated entry", { timeout: 5000 }, async () => {
+  const file = path.join(dir, "vanishing.zip");
+  fs.writeFileSync(file, zipArchive([{ name: "a.txt", data: Buffer.alloc(5000, "abc"), deflate: true }]));
+  for await (const e of zipEntries(file)) {
+    fs.rmSync(file);
+    await assert.rejects(content(e.open()), { code: "ENOENT" });
+  }
+});